@@ -3,6 +3,10 @@ const API_BASE_URL = 'http://localhost:3000/api';
 let map;
 let reports = [];
 let currentFilters = {};
+let reportsCursor = null;
+let reportsTotal = 0;
+let selectedReportIds = new Set();
+let authSession = JSON.parse(localStorage.getItem('civicfix_auth') || 'null');
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', function() {
@@ -12,12 +16,184 @@ document.addEventListener('DOMContentLoaded', function() {
     setupNavigation();
     setupEventListeners();
     setupMobileMenu();
+    updateAuthDisplay();
+    if (!authSession) {
+        showLoginModal();
+    }
     loadDashboardData();
     // DON'T initialize map here - it's hidden and won't render properly
     // Map will initialize when user clicks "Map View" tab
     console.log('✅ Dashboard Ready!');
 });
 
+// Authentication helpers
+function saveAuthSession(session) {
+    authSession = session;
+    if (session) {
+        localStorage.setItem('civicfix_auth', JSON.stringify(session));
+    } else {
+        localStorage.removeItem('civicfix_auth');
+    }
+    updateAuthDisplay();
+}
+
+function updateAuthDisplay() {
+    const userLabel = document.getElementById('current-user');
+    const logoutButton = document.getElementById('logout-button');
+    
+    if (userLabel) {
+        userLabel.textContent = authSession?.user
+            ? `${authSession.user.full_name || authSession.user.username} (${authSession.user.role})`
+            : '';
+    }
+    if (logoutButton) {
+        logoutButton.style.display = authSession ? 'inline-block' : 'none';
+    }
+}
+
+// Fetch wrapper that sends the access token and refreshes it once on 401
+async function apiFetch(url, options = {}) {
+    const withAuth = () => {
+        const headers = { ...(options.headers || {}) };
+        if (authSession?.accessToken) {
+            headers['Authorization'] = `Bearer ${authSession.accessToken}`;
+        }
+        return fetch(url, { ...options, headers });
+    };
+    
+    let response = await withAuth();
+    
+    if (response.status === 401 && authSession?.refreshToken) {
+        const refreshed = await refreshSession();
+        if (refreshed) {
+            response = await withAuth();
+        }
+    }
+    
+    if (response.status === 401) {
+        saveAuthSession(null);
+        showLoginModal();
+    }
+    
+    return response;
+}
+
+async function refreshSession() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken: authSession.refreshToken })
+        });
+        
+        if (!response.ok) return false;
+        
+        const data = await response.json();
+        saveAuthSession({ accessToken: data.accessToken, refreshToken: data.refreshToken, user: data.user });
+        return true;
+        
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        return false;
+    }
+}
+
+async function login(username, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Login failed');
+    }
+    
+    saveAuthSession({ accessToken: data.accessToken, refreshToken: data.refreshToken, user: data.user });
+    console.log(`🔑 Logged in as ${data.user.username}`);
+}
+
+async function logout() {
+    if (authSession?.refreshToken) {
+        try {
+            await fetch(`${API_BASE_URL}/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken: authSession.refreshToken })
+            });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+    }
+    
+    saveAuthSession(null);
+    showLoginModal();
+}
+
+// Show login modal (only one at a time)
+function showLoginModal() {
+    if (document.getElementById('login-modal')) return;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal fade';
+    modal.id = 'login-modal';
+    modal.setAttribute('data-bs-backdrop', 'static');
+    modal.innerHTML = `
+        <div class="modal-dialog modal-sm">
+            <div class="modal-content">
+                <form id="login-form">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="fas fa-lock me-2"></i>Admin Login</h5>
+                    </div>
+                    <div class="modal-body">
+                        <div class="mb-3">
+                            <label class="form-label" for="login-username">Username or email</label>
+                            <input type="text" class="form-control" id="login-username" required autocomplete="username">
+                        </div>
+                        <div class="mb-3">
+                            <label class="form-label" for="login-password">Password</label>
+                            <input type="password" class="form-control" id="login-password" required autocomplete="current-password">
+                        </div>
+                        <div class="text-danger small" id="login-error"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary w-100">Log in</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    const bsModal = new bootstrap.Modal(modal);
+    
+    modal.querySelector('#login-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await login(
+                document.getElementById('login-username').value,
+                document.getElementById('login-password').value
+            );
+            bsModal.hide();
+            refreshData();
+        } catch (error) {
+            document.getElementById('login-error').textContent = error.message;
+        }
+    });
+    
+    modal.addEventListener('hidden.bs.modal', () => {
+        document.body.removeChild(modal);
+    });
+    
+    bsModal.show();
+}
+
 // Mobile menu toggle
 function toggleSidebar() {
     const sidebar = document.getElementById('sidebar') || document.querySelector('.sidebar');
@@ -98,6 +274,9 @@ function refreshData() {
         case 'map':
             loadMapData();
             break;
+        case 'duplicates':
+            loadDuplicateReview();
+            break;
         case 'analytics':
             loadAnalytics();
             break;
@@ -163,6 +342,7 @@ function showSection(sectionName, event) {
             'dashboard': 'Dashboard',
             'reports': 'Reports',
             'map': 'Map View',
+            'duplicates': 'Duplicate Review',
             'analytics': 'Analytics',
             'departments': 'Departments'
         };
@@ -183,6 +363,9 @@ function showSection(sectionName, event) {
             case 'map':
                 loadMapData();
                 break;
+            case 'duplicates':
+                loadDuplicateReview();
+                break;
             case 'analytics':
                 loadAnalytics();
                 break;
@@ -198,7 +381,7 @@ function showSection(sectionName, event) {
 // Load dashboard data
 async function loadDashboardData() {
     try {
-        const response = await fetch(`${API_BASE_URL}/stats`);
+        const response = await apiFetch(`${API_BASE_URL}/stats`);
         const data = await response.json();
         const stats = data.stats || data; // Handle v2 API format
         
@@ -220,7 +403,7 @@ async function loadDashboardData() {
 // Load recent reports
 async function loadRecentReports() {
     try {
-        const response = await fetch(`${API_BASE_URL}/reports?limit=5`);
+        const response = await apiFetch(`${API_BASE_URL}/reports?limit=5`);
         const data = await response.json();
         const recentReports = data.reports || data; // Handle v2 API format
         
@@ -257,22 +440,37 @@ async function loadRecentReports() {
     }
 }
 
-// Load all reports
-async function loadReports() {
+// Load reports - `append` fetches the next page after reportsCursor
+async function loadReports(append = false) {
     try {
         const params = new URLSearchParams(currentFilters);
-        const response = await fetch(`${API_BASE_URL}/reports?${params}`);
+        if (append && reportsCursor) {
+            params.set('cursor', reportsCursor);
+        }
+        const response = await apiFetch(`${API_BASE_URL}/reports?${params}`);
         const data = await response.json();
-        reports = data.reports || data; // Handle v2 API format
         
-        // Sort by priority (upvotes + verifications) descending
-        reports.sort((a, b) => {
-            const priorityA = (a.upvotes || 0) + (a.verification_count || 0);
-            const priorityB = (b.upvotes || 0) + (b.verification_count || 0);
-            return priorityB - priorityA;
-        });
+        if (!response.ok) {
+            showError(data.error || 'Failed to load reports');
+            return;
+        }
+        
+        const page = data.reports || data; // Handle v2 API format
+        reports = append ? reports.concat(page) : page;
+        reportsCursor = data.nextCursor || null;
+        reportsTotal = data.total ?? reports.length;
+        
+        // Sort by priority (upvotes + verifications) descending unless a server sort or search ranking applies
+        if (!currentFilters.sortBy && !currentFilters.q) {
+            reports.sort((a, b) => {
+                const priorityA = (a.upvotes || 0) + (a.verification_count || 0);
+                const priorityB = (b.upvotes || 0) + (b.verification_count || 0);
+                return priorityB - priorityA;
+            });
+        }
         
         displayReports(reports);
+        updateReportsPagination();
         
     } catch (error) {
         console.error('Error loading reports:', error);
@@ -280,6 +478,30 @@ async function loadReports() {
     }
 }
 
+// "Showing X of Y" and the Load more button under the reports list
+function updateReportsPagination() {
+    const container = document.getElementById('reports-pagination');
+    if (!container) return;
+    
+    container.innerHTML = reports.length === 0 ? '' : `
+        <small class="text-muted d-block mb-2">Showing ${reports.length} of ${reportsTotal} reports</small>
+        ${reportsCursor ? `
+            <button class="btn btn-sm btn-outline-primary" onclick="loadReports(true)">
+                <i class="fas fa-chevron-down me-1"></i>
+                Load more
+            </button>
+        ` : ''}
+    `;
+}
+
+// Search snippets are raw report text with <mark> around matches - escape
+// everything, then restore only the highlight tags
+function formatSearchSnippet(snippet) {
+    return escapeHtml(snippet)
+        .replace(/&lt;mark&gt;/g, '<mark>')
+        .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
 // Display reports
 function displayReports(reportsList) {
     const container = document.getElementById('reports-list');
@@ -293,9 +515,12 @@ function displayReports(reportsList) {
         <div class="card issue-card">
             <div class="card-body">
                 <div class="row align-items-center">
-                    <div class="col-md-1">
+                    <div class="col-md-1 d-flex align-items-center gap-2">
+                        <input type="checkbox" class="form-check-input report-select" value="${report.id}"
+                               ${selectedReportIds.has(report.id) ? 'checked' : ''}
+                               onchange="toggleReportSelection('${report.id}', this.checked)">
                         ${report.image_path ? `
-                            <img src="${getImageUrl(report.image_path)}" 
+                            <img src="${getImageUrl(report.image_path, report.image_urls, 'thumbnail')}" 
                                  style="width: 50px; height: 50px; object-fit: cover; border-radius: 8px; cursor: pointer;" 
                                  onclick="viewReport('${report.id}')"
                                  onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22100%22%3E%3Crect fill=%22%23ddd%22 width=%22100%22 height=%22100%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22%23999%22%3ENo Image%3C/text%3E%3C/svg%3E'"
@@ -309,12 +534,14 @@ function displayReports(reportsList) {
                     <div class="col-md-2">
                         <h6 class="mb-1">${formatTypeName(report.type)}</h6>
                         <small class="text-muted">${report.address}</small>
+                        ${report.search_snippet ? `<div class="small mt-1 search-snippet">${formatSearchSnippet(report.search_snippet)}</div>` : ''}
                     </div>
                     <div class="col-md-2">
                         <span class="badge ${getStatusBadgeClass(report.status)} status-badge">
                             ${formatStatusName(report.status)}
                         </span>
                         <br>
+                        ${formatSlaBadge(report)}
                         <small class="text-muted mt-1">
                             <i class="fas fa-thumbs-up text-success"></i> ${report.upvotes || 0} 
                             <i class="fas fa-check-circle text-primary ms-2"></i> ${report.verification_count || 0}
@@ -324,6 +551,10 @@ function displayReports(reportsList) {
                         <span class="badge ${getSeverityBadgeClass(report.severity)} severity-badge">
                             ${formatSeverityName(report.severity)}
                         </span>
+                        <br>
+                        <small class="text-muted" title="Priority score">
+                            <i class="fas fa-signal"></i> ${report.priority || 0}
+                        </small>
                     </div>
                     <div class="col-md-2">
                         <small class="text-muted">${formatDate(report.timestamp || report.created_at)}</small>
@@ -353,13 +584,113 @@ function displayReports(reportsList) {
 }
 
 // Apply filters
+// Multi-select for bulk operations
+function toggleReportSelection(reportId, selected) {
+    if (selected) {
+        selectedReportIds.add(reportId);
+    } else {
+        selectedReportIds.delete(reportId);
+    }
+    updateBulkToolbar();
+}
+
+function toggleSelectAllReports(selected) {
+    document.querySelectorAll('.report-select').forEach(checkbox => {
+        checkbox.checked = selected;
+        toggleReportSelection(checkbox.value, selected);
+    });
+}
+
+function updateBulkToolbar() {
+    const toolbar = document.getElementById('bulk-toolbar');
+    const count = document.getElementById('bulk-selected-count');
+    
+    if (!toolbar) return;
+    count.textContent = selectedReportIds.size;
+    toolbar.classList.toggle('d-none', selectedReportIds.size === 0);
+    toolbar.classList.toggle('d-flex', selectedReportIds.size > 0);
+}
+
+// Apply the chosen bulk action to every selected report
+async function applyBulkAction() {
+    const [action, status] = document.getElementById('bulk-action').value.split(':');
+    const ids = Array.from(selectedReportIds);
+    const payload = { ids, action, status };
+    
+    if (ids.length === 0) return;
+    
+    if (status === 'closed' || action === 'delete') {
+        const reason = prompt('Reason:', action === 'delete' ? 'Admin decision' : '');
+        if (reason === null) return;
+        payload.reason = reason;
+    }
+    
+    if (action === 'assign') {
+        payload.department = prompt('Department name (e.g. Public Works):', '');
+        if (!payload.department) return;
+    }
+    
+    if (action === 'priority') {
+        const priority = prompt('Priority (integer):', '1');
+        if (priority === null) return;
+        payload.priority = parseInt(priority);
+    }
+    
+    if (action === 'mark_duplicate') {
+        payload.duplicate_of = prompt('Mark selected reports as duplicates of report ID:', '');
+        if (!payload.duplicate_of) return;
+    }
+    
+    if (!confirm(`Apply "${document.getElementById('bulk-action').selectedOptions[0].text}" to ${ids.length} report(s)?`)) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/bulk`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Bulk operation failed');
+        }
+        
+        const failures = result.results.filter(item => !item.success);
+        if (failures.length > 0) {
+            showError(`${result.succeeded} updated, ${failures.length} failed: ` +
+                failures.slice(0, 3).map(item => `${item.id.slice(0, 8)}: ${item.error}`).join('; '));
+        } else {
+            showSuccess(`${result.succeeded} report(s) updated`);
+        }
+        
+        selectedReportIds.clear();
+        document.getElementById('select-all-reports').checked = false;
+        updateBulkToolbar();
+        loadReports();
+        loadDashboardData();
+        
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        showError(`Bulk operation failed: ${error.message}`);
+    }
+}
+
 function applyFilters() {
     currentFilters = {
         status: document.getElementById('status-filter').value,
         type: document.getElementById('type-filter').value,
-        severity: document.getElementById('severity-filter').value
+        severity: document.getElementById('severity-filter').value,
+        sortBy: document.getElementById('sort-filter').value,
+        q: document.getElementById('search-filter').value.trim()
     };
     
+    // Soonest SLA deadline first
+    if (currentFilters.sortBy === 'sla_due_at') {
+        currentFilters.sortOrder = 'ASC';
+    }
+    
     // Remove empty filters
     Object.keys(currentFilters).forEach(key => {
         if (!currentFilters[key]) {
@@ -373,7 +704,7 @@ function applyFilters() {
 // Update report status
 async function updateStatus(reportId, status) {
     try {
-        const response = await fetch(`${API_BASE_URL}/reports/${reportId}/status`, {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/status`, {
             method: 'PATCH',
             headers: {
                 'Content-Type': 'application/json'
@@ -386,12 +717,47 @@ async function updateStatus(reportId, status) {
             loadReports();
             loadDashboardData();
         } else {
-            throw new Error('Failed to update status');
+            // 409 means the workflow does not allow this transition
+            const result = await response.json();
+            throw new Error(result.error || 'Failed to update status');
         }
         
     } catch (error) {
         console.error('Error updating status:', error);
-        showError('Failed to update report status');
+        showError(`Failed to update report status: ${error.message}`);
+    }
+}
+
+// Save staff-only notes without changing the report status
+async function saveInternalNotes(reportId) {
+    const notes = document.getElementById(`internal-notes-${reportId}`).value.trim();
+    
+    if (!notes) {
+        showError('Internal notes cannot be empty');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/notes`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ internal_notes: notes })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to save internal notes');
+        }
+        
+        const report = reports.find(r => r.id === reportId);
+        if (report) report.internal_notes = notes;
+        showSuccess('Internal notes saved');
+        
+    } catch (error) {
+        console.error('Error saving internal notes:', error);
+        showError(`Failed to save internal notes: ${error.message}`);
     }
 }
 
@@ -404,6 +770,9 @@ function viewReport(reportId) {
         document.body.appendChild(modal);
         const bsModal = new bootstrap.Modal(modal);
         bsModal.show();
+        loadComments(reportId);
+        loadRevisions(reportId);
+        loadAttachments(reportId);
         
         // Remove modal after hiding
         modal.addEventListener('hidden.bs.modal', () => {
@@ -440,10 +809,21 @@ function createReportModal(report) {
                             ${report.description ? `<p><strong>Description:</strong> ${report.description}</p>` : ''}
                         </div>
                     </div>
+                    <div class="row mt-3">
+                        <div class="col-md-6">
+                            <h6>Resolution Notes <span class="badge bg-success">Public</span></h6>
+                            <p class="small">${report.resolution_notes ? escapeHtml(report.resolution_notes) : '<span class="text-muted">None</span>'}</p>
+                        </div>
+                        <div class="col-md-6">
+                            <h6>Internal Notes <span class="badge bg-secondary">Staff only</span></h6>
+                            <textarea id="internal-notes-${report.id}" class="form-control form-control-sm mb-2" rows="3" placeholder="Visible to officials and admins only">${escapeHtml(report.internal_notes || '')}</textarea>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" onclick="saveInternalNotes('${report.id}')">Save internal notes</button>
+                        </div>
+                    </div>
                     ${report.image_path ? `
                         <div class="mt-3">
                             <h6>Reported Issue Image</h6>
-                            <img src="${getImageUrl(report.image_path)}" 
+                            <img src="${getImageUrl(report.image_path, report.image_urls, 'medium')}" 
                                  class="img-fluid rounded" 
                                  alt="Issue Image" 
                                  style="max-height: 500px; object-fit: contain; cursor: pointer;"
@@ -452,6 +832,67 @@ function createReportModal(report) {
                             <p class="small text-muted mt-2">Click image to open in new tab</p>
                         </div>
                     ` : ''}
+                    ${report.voice_note_path ? `
+                        <div class="mt-3">
+                            <h6>Voice Note ${report.voice_note_duration ? `<small class="text-muted">(${formatDuration(report.voice_note_duration)})</small>` : ''}</h6>
+                            <audio controls preload="metadata" class="w-100" src="${getImageUrl(report.voice_note_path)}">
+                                <a href="${getImageUrl(report.voice_note_path)}" target="_blank">Download voice note</a>
+                            </audio>
+                        </div>
+                    ` : ''}
+                    <div class="mt-4">
+                        <h6>Attachments</h6>
+                        <div id="attachments-${report.id}" class="d-flex flex-wrap gap-2 mb-2">
+                            <p class="text-muted small">Loading attachments...</p>
+                        </div>
+                        <div class="d-flex gap-2">
+                            <input type="file" id="attachment-files-${report.id}" class="form-control form-control-sm" accept="image/*" multiple>
+                            <select id="attachment-role-${report.id}" class="form-select form-select-sm" style="width: auto;">
+                                ${ATTACHMENT_ROLES.map(role => `<option value="${role}">${formatAttachmentRole(role)}</option>`).join('')}
+                            </select>
+                            <button type="button" class="btn btn-sm btn-outline-primary" onclick="uploadAttachments('${report.id}')">Upload</button>
+                        </div>
+                    </div>
+                    <div class="mt-4">
+                        <h6>Edit Details</h6>
+                        <div class="row g-2">
+                            <div class="col-md-4">
+                                <input type="text" id="edit-type-${report.id}" class="form-control form-control-sm" value="${escapeHtml(report.type)}" placeholder="Type">
+                            </div>
+                            <div class="col-md-4">
+                                <select id="edit-severity-${report.id}" class="form-select form-select-sm">
+                                    ${['low', 'medium', 'high', 'critical'].map(severity => `
+                                        <option value="${severity}" ${severity === report.severity ? 'selected' : ''}>${formatSeverityName(severity)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="col-md-4">
+                                <input type="text" id="edit-address-${report.id}" class="form-control form-control-sm" value="${escapeHtml(report.address)}" placeholder="Address">
+                            </div>
+                            <div class="col-12">
+                                <textarea id="edit-description-${report.id}" class="form-control form-control-sm" rows="2" placeholder="Description">${escapeHtml(report.description || '')}</textarea>
+                            </div>
+                        </div>
+                        <button type="button" class="btn btn-sm btn-outline-primary mt-2" onclick="saveReportEdits('${report.id}')">Save changes</button>
+                    </div>
+                    <div class="mt-4">
+                        <h6>Revision History</h6>
+                        <div id="revisions-${report.id}">
+                            <p class="text-muted small">Loading history...</p>
+                        </div>
+                    </div>
+                    <div class="mt-4">
+                        <h6>Comments</h6>
+                        <div id="comments-${report.id}" class="mb-3">
+                            <p class="text-muted small">Loading comments...</p>
+                        </div>
+                        <div id="comment-reply-${report.id}" class="small text-muted mb-1" style="display: none;"></div>
+                        <textarea id="comment-body-${report.id}" class="form-control mb-2" rows="2" placeholder="Write a comment..."></textarea>
+                        <div class="d-flex gap-2">
+                            <input type="file" id="comment-attachment-${report.id}" class="form-control form-control-sm" accept="image/*">
+                            <button type="button" class="btn btn-sm btn-primary" onclick="postComment('${report.id}')">Post</button>
+                        </div>
+                    </div>
                 </div>
                 <div class="modal-footer">
                     <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
@@ -463,6 +904,381 @@ function createReportModal(report) {
     return modal;
 }
 
+// Edit a report's descriptive fields - the server records a revision per change
+async function saveReportEdits(reportId) {
+    const report = reports.find(r => r.id === reportId);
+    const edited = {
+        type: document.getElementById(`edit-type-${reportId}`).value.trim(),
+        severity: document.getElementById(`edit-severity-${reportId}`).value,
+        address: document.getElementById(`edit-address-${reportId}`).value.trim(),
+        description: document.getElementById(`edit-description-${reportId}`).value.trim() || null
+    };
+    
+    // Only send fields that changed
+    const updates = {};
+    Object.keys(edited).forEach(field => {
+        if (!report || edited[field] !== (report[field] ?? null)) {
+            updates[field] = edited[field];
+        }
+    });
+    
+    if (Object.keys(updates).length === 0) {
+        showSuccess('No changes to save');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to update report');
+        }
+        
+        if (report) Object.assign(report, result.report);
+        showSuccess('Report updated successfully');
+        loadRevisions(reportId);
+        loadReports();
+        
+    } catch (error) {
+        console.error('Error updating report:', error);
+        showError(`Failed to update report: ${error.message}`);
+    }
+}
+
+async function loadRevisions(reportId) {
+    const container = document.getElementById(`revisions-${reportId}`);
+    if (!container) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/revisions`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load revisions');
+        }
+        
+        container.innerHTML = result.revisions.length > 0
+            ? result.revisions.map(renderRevision).join('')
+            : '<p class="text-muted small">No edits yet</p>';
+        
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+        container.innerHTML = `<p class="text-danger small">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Render one revision as a field-by-field diff
+function renderRevision(revision) {
+    const formatValue = value => value === null || value === undefined || value === ''
+        ? '<em class="text-muted">empty</em>'
+        : escapeHtml(value);
+    
+    return `
+        <div class="border rounded p-2 mb-2">
+            <div class="small text-muted mb-1">
+                <strong>${escapeHtml(revision.user_name || revision.user_id)}</strong> · ${formatDate(revision.created_at)}
+            </div>
+            <table class="table table-sm mb-0 small">
+                ${Object.entries(revision.changes).map(([field, change]) => `
+                    <tr>
+                        <td class="fw-bold" style="width: 20%;">${field}</td>
+                        <td class="text-danger"><del>${formatValue(change.old)}</del></td>
+                        <td class="text-success"><ins>${formatValue(change.new)}</ins></td>
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `;
+}
+
+// Comment thread for a report (threaded replies)
+const commentReplyTargets = {};
+// Author names of the loaded comments per report (comment id -> name)
+const commentAuthors = {};
+
+async function loadComments(reportId) {
+    const container = document.getElementById(`comments-${reportId}`);
+    if (!container) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/comments`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load comments');
+        }
+        
+        commentAuthors[reportId] = {};
+        const collectAuthors = comment => {
+            commentAuthors[reportId][comment.id] = comment.author_name || comment.author_id;
+            comment.replies.forEach(collectAuthors);
+        };
+        result.comments.forEach(collectAuthors);
+        
+        container.innerHTML = result.comments.length > 0
+            ? result.comments.map(comment => renderComment(reportId, comment)).join('')
+            : '<p class="text-muted small">No comments yet</p>';
+        
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        container.innerHTML = `<p class="text-danger small">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderComment(reportId, comment, depth = 0) {
+    const author = comment.author_name || comment.author_id;
+    const canDelete = !comment.deleted && authSession?.user &&
+        (comment.author_id === authSession.user.id || authSession.user.role === 'admin');
+    
+    return `
+        <div class="border-start ps-2 mb-2" style="margin-left: ${Math.min(depth, 4) * 16}px;">
+            <div class="small text-muted">
+                <strong>${escapeHtml(author)}</strong>
+                <span class="badge bg-light text-dark">${comment.author_role}</span>
+                ${formatDate(comment.created_at)}${comment.edited ? ' (edited)' : ''}
+            </div>
+            ${comment.deleted
+                ? '<p class="mb-1 fst-italic text-muted">Comment deleted</p>'
+                : `<p class="mb-1">${escapeHtml(comment.body)}</p>`}
+            ${comment.attachment_path ? `
+                <img src="${getImageUrl(comment.attachment_path, comment.attachment_urls, 'thumbnail')}" class="img-thumbnail mb-1" style="max-height: 120px; cursor: pointer;"
+                     onclick="window.open('${getImageUrl(comment.attachment_path)}', '_blank')">
+            ` : ''}
+            <div>
+                ${comment.deleted ? '' : `<button class="btn btn-link btn-sm p-0 me-2" onclick="setCommentReply('${reportId}', ${comment.id})">Reply</button>`}
+                ${canDelete ? `<button class="btn btn-link btn-sm p-0 text-danger" onclick="deleteComment('${reportId}', ${comment.id})">Delete</button>` : ''}
+            </div>
+            ${comment.replies.map(reply => renderComment(reportId, reply, depth + 1)).join('')}
+        </div>
+    `;
+}
+
+function setCommentReply(reportId, commentId) {
+    const label = document.getElementById(`comment-reply-${reportId}`);
+    commentReplyTargets[reportId] = commentId;
+    
+    if (label) {
+        // Author names are user input - set as text, never as HTML
+        label.textContent = '';
+        if (commentId) {
+            const author = commentAuthors[reportId]?.[commentId] || 'comment';
+            const cancel = document.createElement('button');
+            cancel.className = 'btn btn-link btn-sm p-0';
+            cancel.textContent = 'cancel';
+            cancel.addEventListener('click', () => setCommentReply(reportId, null));
+            label.append(`Replying to ${author} `, cancel);
+        }
+        label.style.display = commentId ? 'block' : 'none';
+    }
+    document.getElementById(`comment-body-${reportId}`)?.focus();
+}
+
+async function postComment(reportId) {
+    const bodyInput = document.getElementById(`comment-body-${reportId}`);
+    const fileInput = document.getElementById(`comment-attachment-${reportId}`);
+    const body = bodyInput.value.trim();
+    
+    if (!body) {
+        showError('Comment cannot be empty');
+        return;
+    }
+    
+    const formData = new FormData();
+    formData.append('body', body);
+    if (commentReplyTargets[reportId]) {
+        formData.append('parent_id', commentReplyTargets[reportId]);
+    }
+    if (fileInput.files[0]) {
+        formData.append('attachment', fileInput.files[0]);
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/comments`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to post comment');
+        }
+        
+        bodyInput.value = '';
+        fileInput.value = '';
+        setCommentReply(reportId, null);
+        loadComments(reportId);
+        
+    } catch (error) {
+        console.error('Error posting comment:', error);
+        showError(`Failed to post comment: ${error.message}`);
+    }
+}
+
+async function deleteComment(reportId, commentId) {
+    if (!confirm('Delete this comment?')) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete comment');
+        }
+        
+        loadComments(reportId);
+        
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showError(`Failed to delete comment: ${error.message}`);
+    }
+}
+
+const ATTACHMENT_ROLES = ['evidence', 'context', 'before', 'after'];
+
+function formatAttachmentRole(role) {
+    return role.charAt(0).toUpperCase() + role.slice(1);
+}
+
+// Load a report's attachments into its modal, in display order
+async function loadAttachments(reportId) {
+    const container = document.getElementById(`attachments-${reportId}`);
+    if (!container) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/attachments`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load attachments');
+        }
+        
+        container.innerHTML = result.attachments.length > 0
+            ? result.attachments.map((attachment, index) => renderAttachment(reportId, attachment, index, result.attachments.length)).join('')
+            : '<p class="text-muted small">No attachments</p>';
+        
+    } catch (error) {
+        console.error('Error loading attachments:', error);
+        container.innerHTML = `<p class="text-danger small">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Thumbnail with role and move/delete controls
+function renderAttachment(reportId, attachment, index, total) {
+    return `
+        <div class="border rounded p-1 text-center" style="width: 120px;">
+            <img src="${getImageUrl(attachment.file_path, attachment.urls, 'thumbnail')}" class="rounded" alt="${escapeHtml(attachment.role)}"
+                 style="width: 110px; height: 80px; object-fit: cover; cursor: pointer;"
+                 onclick="window.open('${getImageUrl(attachment.file_path)}', '_blank')">
+            <select class="form-select form-select-sm mt-1" onchange="updateAttachment('${reportId}', ${attachment.id}, { role: this.value })">
+                ${ATTACHMENT_ROLES.map(role => `
+                    <option value="${role}" ${role === attachment.role ? 'selected' : ''}>${formatAttachmentRole(role)}</option>
+                `).join('')}
+            </select>
+            <div class="btn-group btn-group-sm mt-1">
+                <button class="btn btn-outline-secondary" ${index === 0 ? 'disabled' : ''} title="Move left"
+                        onclick="updateAttachment('${reportId}', ${attachment.id}, { position: ${index - 1} })">
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <button class="btn btn-outline-secondary" ${index === total - 1 ? 'disabled' : ''} title="Move right"
+                        onclick="updateAttachment('${reportId}', ${attachment.id}, { position: ${index + 1} })">
+                    <i class="fas fa-arrow-right"></i>
+                </button>
+                <button class="btn btn-outline-danger" title="Delete" onclick="deleteAttachment('${reportId}', ${attachment.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Upload the selected files with the chosen role
+async function uploadAttachments(reportId) {
+    const input = document.getElementById(`attachment-files-${reportId}`);
+    const role = document.getElementById(`attachment-role-${reportId}`).value;
+    
+    if (!input.files.length) {
+        showError('Choose one or more photos to upload');
+        return;
+    }
+    
+    const formData = new FormData();
+    Array.from(input.files).forEach(file => formData.append('attachments', file));
+    formData.append('roles', Array.from(input.files).map(() => role).join(','));
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/attachments`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to upload attachments');
+        }
+        
+        input.value = '';
+        loadAttachments(reportId);
+        
+    } catch (error) {
+        console.error('Error uploading attachments:', error);
+        showError(`Failed to upload attachments: ${error.message}`);
+    }
+}
+
+// Change an attachment's role or position
+async function updateAttachment(reportId, attachmentId, changes) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/attachments/${attachmentId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to update attachment');
+        }
+        
+        loadAttachments(reportId);
+        
+    } catch (error) {
+        console.error('Error updating attachment:', error);
+        showError(`Failed to update attachment: ${error.message}`);
+    }
+}
+
+async function deleteAttachment(reportId, attachmentId) {
+    if (!confirm('Delete this attachment?')) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/attachments/${attachmentId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete attachment');
+        }
+        
+        loadAttachments(reportId);
+        
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        showError(`Failed to delete attachment: ${error.message}`);
+    }
+}
+
 // Initialize map - Force recreation every time for proper rendering
 function initializeMap() {
     // Check if Leaflet is loaded
@@ -612,7 +1428,7 @@ async function loadMapData() {
             mapElement.style.minHeight = '600px';
         }
         
-        const response = await fetch(`${API_BASE_URL}/reports`);
+        const response = await apiFetch(`${API_BASE_URL}/reports`);
         const data = await response.json();
         const reports = data.reports || data; // Handle v2 API format
         
@@ -710,7 +1526,7 @@ async function loadMapData() {
                     
                     ${report.image_path ? `
                         <div style="margin-top: 12px;">
-                            <img src="${getImageUrl(report.image_path)}" 
+                            <img src="${getImageUrl(report.image_path, report.image_urls, 'thumbnail')}" 
                                  style="width: 100%; height: 150px; object-fit: cover; border-radius: 8px; cursor: pointer;"
                                  onclick="window.open('${getImageUrl(report.image_path)}', '_blank')">
                         </div>
@@ -736,7 +1552,7 @@ async function loadMapData() {
 // Load analytics
 async function loadAnalytics() {
     try {
-        const response = await fetch(`${API_BASE_URL}/stats`);
+        const response = await apiFetch(`${API_BASE_URL}/stats`);
         const data = await response.json();
         const stats = data.stats || data; // Handle v2 API format
         
@@ -818,7 +1634,7 @@ function createStatusChart(statusData) {
 // Load departments
 async function loadDepartments() {
     try {
-        const response = await fetch(`${API_BASE_URL}/departments`);
+        const response = await apiFetch(`${API_BASE_URL}/departments`);
         const data = await response.json();
         const departments = data.departments || data; // Handle v2 API format
         
@@ -845,6 +1661,144 @@ async function loadDepartments() {
     }
 }
 
+// Duplicate review queue - borderline matches of new reports, side by side
+let reviewCandidates = [];
+let reviewCursor = null;
+let reviewTotal = 0;
+
+async function loadDuplicateReview(append = false) {
+    try {
+        const status = document.getElementById('review-status-filter')?.value || 'pending';
+        const params = new URLSearchParams({ status });
+        if (append && reviewCursor) {
+            params.set('cursor', reviewCursor);
+        }
+        const response = await apiFetch(`${API_BASE_URL}/duplicates/review?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showError(data.error || 'Failed to load duplicate review queue');
+            return;
+        }
+        
+        reviewCandidates = append ? reviewCandidates.concat(data.candidates) : data.candidates;
+        reviewCursor = data.nextCursor || null;
+        reviewTotal = data.total;
+        
+        const container = document.getElementById('review-list');
+        container.innerHTML = reviewCandidates.length === 0
+            ? '<div class="text-center py-4 text-muted">Nothing to review</div>'
+            : reviewCandidates.map(renderReviewCandidate).join('');
+        
+        document.getElementById('review-pagination').innerHTML = reviewCandidates.length === 0 ? '' : `
+            <small class="text-muted d-block mb-2">Showing ${reviewCandidates.length} of ${reviewTotal}</small>
+            ${reviewCursor ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="loadDuplicateReview(true)">
+                    <i class="fas fa-chevron-down me-1"></i>
+                    Load more
+                </button>
+            ` : ''}
+        `;
+        
+        loadReviewStats();
+        
+    } catch (error) {
+        console.error('Error loading duplicate review queue:', error);
+        showError('Failed to load duplicate review queue');
+    }
+}
+
+async function loadReviewStats() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/duplicates/review/stats`);
+        const stats = await response.json();
+        if (!response.ok) return;
+        
+        const decided = stats.byMatchScore.reduce((sum, band) => sum + band.confirmed + band.rejected, 0);
+        const confirmed = stats.byMatchScore.reduce((sum, band) => sum + band.confirmed, 0);
+        
+        document.getElementById('review-stats').innerHTML = `
+            ${stats.pending} pending · ${decided} reviewed (${confirmed} confirmed) ·
+            auto-merge from match score ${stats.autoMergeScore} ·
+            thresholds ${Object.entries(stats.thresholds).map(([algorithm, threshold]) => `${algorithm} ${threshold}%`).join(', ')}
+        `;
+    } catch (error) {
+        console.error('Error loading duplicate review stats:', error);
+    }
+}
+
+function renderReviewReport(report, label) {
+    return `
+        <div class="col-6">
+            <div class="small text-muted mb-1">${label}</div>
+            ${report.image_path ? `
+                <img src="${getImageUrl(report.image_path, report.image_urls, 'medium')}" class="img-fluid rounded mb-2" style="max-height: 240px; cursor: pointer;"
+                     onclick="viewReport('${report.id}')" alt="${escapeHtml(formatTypeName(report.type))}">
+            ` : ''}
+            <div>
+                <strong>${getTypeEmoji(report.type)} ${formatTypeName(report.type)}</strong>
+                <span class="badge ${getStatusBadgeClass(report.status)} ms-1">${formatStatusName(report.status)}</span>
+            </div>
+            <div class="small text-muted">${escapeHtml(report.address || '')}</div>
+            <div class="small text-muted">${formatDate(report.created_at)}</div>
+        </div>
+    `;
+}
+
+function renderReviewCandidate(candidate) {
+    return `
+        <div class="card mb-3">
+            <div class="card-body">
+                <div class="row">
+                    ${renderReviewReport(candidate.report, 'New report')}
+                    ${renderReviewReport(candidate.candidate, 'Possible duplicate of')}
+                </div>
+                <div class="d-flex justify-content-between align-items-center mt-2">
+                    <div class="small">
+                        <span class="badge bg-secondary">${candidate.algorithm}</span>
+                        ${candidate.similarity}% similar (${candidate.hash_distance} bits) ·
+                        ${Math.round(candidate.distance)} m apart ·
+                        match score ${candidate.match_score}
+                    </div>
+                    ${candidate.status === 'pending' ? `
+                        <div>
+                            <button class="btn btn-sm btn-success" onclick="decideDuplicate(${candidate.id}, 'confirm')">
+                                <i class="fas fa-object-group me-1"></i>
+                                Merge
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary" onclick="decideDuplicate(${candidate.id}, 'reject')">
+                                <i class="fas fa-times me-1"></i>
+                                Not a duplicate
+                            </button>
+                        </div>
+                    ` : `
+                        <span class="small text-muted">${escapeHtml(candidate.status)}${candidate.reviewed_at ? ` ${formatDate(candidate.reviewed_at)}` : ''}</span>
+                    `}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+async function decideDuplicate(candidateId, decision) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/duplicates/review/${candidateId}/${decision}`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showError(data.error || 'Failed to save decision');
+            return;
+        }
+        
+        showSuccess(decision === 'confirm' ? 'Report merged as duplicate' : 'Marked as not a duplicate');
+        loadDuplicateReview();
+        
+    } catch (error) {
+        console.error('Error saving duplicate decision:', error);
+        showError('Failed to save decision');
+    }
+}
+
 // Admin Functions - Voting removed (only for citizens)
 
 // Upload proof of fix (admin only)
@@ -879,7 +1833,7 @@ async function uploadProofOfFix(reportId) {
     try {
       console.log(`📸 Uploading proof of fix for report: ${reportId}`);
       
-      const response = await fetch(`${API_BASE_URL}/reports/${reportId}/pof`, {
+      const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/pof`, {
         method: 'POST',
         body: formData
       });
@@ -909,7 +1863,7 @@ async function uploadProofOfFix(reportId) {
 // Delete a report (admin only)
 async function deleteReport(reportId, reportType) {
     // Show confirmation dialog
-    const confirmed = confirm(`🗑️ DELETE REPORT CONFIRMATION\n\nAre you sure you want to delete this ${reportType} report?\n\nThis action cannot be undone and will:\n• Remove the report from the system\n• Delete all related votes and verifications\n• Remove it from citizen maps\n• Log the deletion in activity history`);
+    const confirmed = confirm(`🗑️ DELETE REPORT CONFIRMATION\n\nAre you sure you want to delete this ${reportType} report?\n\nThis will:\n• Move the report to the trash\n• Remove it from the dashboard and citizen maps\n• Log the deletion in activity history\n\nAn admin can restore it until it is permanently purged.`);
     
     if (!confirmed) return;
 
@@ -920,7 +1874,7 @@ async function deleteReport(reportId, reportType) {
     try {
         console.log(`🗑️ Admin deleting report: ${reportId}, reason: ${reason}`);
         
-        const response = await fetch(`${API_BASE_URL}/reports/${reportId}`, {
+        const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}`, {
             method: 'DELETE',
             headers: {
                 'Content-Type': 'application/json'
@@ -934,7 +1888,7 @@ async function deleteReport(reportId, reportType) {
         
         if (result.success) {
             // Show success message
-            alert(`✅ REPORT DELETED SUCCESSFULLY!\n\nReport ID: ${reportId}\nType: ${reportType}\nReason: ${reason || 'Admin decision'}\n\nThis report has been removed from:\n• Admin dashboard\n• Citizen maps\n• All related data`);
+            alert(`✅ REPORT DELETED SUCCESSFULLY!\n\nReport ID: ${reportId}\nType: ${reportType}\nReason: ${reason || 'Admin decision'}\n\nThis report has been moved to the trash and removed from:\n• Admin dashboard\n• Citizen maps`);
             
             // Refresh all data
             loadMapData();
@@ -976,9 +1930,21 @@ function getTypeEmoji(type) {
 }
 
 // Utility functions
-function getImageUrl(imagePath) {
+// Seconds as m:ss
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// URL of an uploaded file - for images, `urls` (image_urls from the API)
+// selects the 'thumbnail' or 'medium' variant instead of the original
+function getImageUrl(imagePath, urls = null, size = 'original') {
     if (!imagePath) return '';
     
+    if (urls && urls[size]) {
+        return `http://localhost:3000${urls[size]}`;
+    }
+    
     // Handle absolute paths (old format)
     if (imagePath.startsWith('/Users/') || imagePath.startsWith('C:\\')) {
         const filename = imagePath.split('/').pop();
@@ -994,6 +1960,28 @@ function getImageUrl(imagePath) {
     return `http://localhost:3000/uploads/${imagePath}`;
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// SLA state with time remaining on the running deadline
+function formatSlaBadge(report) {
+    if (!report.sla_status || report.sla_minutes_remaining === null || report.sla_minutes_remaining === undefined) {
+        return '';
+    }
+    
+    const classes = { on_track: 'bg-success', at_risk: 'bg-warning text-dark', breached: 'bg-danger' };
+    const minutes = Math.abs(report.sla_minutes_remaining);
+    const duration = minutes >= 1440 ? `${Math.floor(minutes / 1440)}d` : minutes >= 60 ? `${Math.floor(minutes / 60)}h` : `${minutes}m`;
+    const label = report.sla_minutes_remaining < 0 ? `${duration} overdue` : `${duration} left`;
+    
+    return `<span class="badge ${classes[report.sla_status] || 'bg-secondary'} ms-1" title="SLA ${report.sla_status.replace('_', ' ')}">
+        <i class="fas fa-stopwatch"></i> ${label}
+    </span>`;
+}
+
 function formatTypeName(type) {
     return type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 }
@@ -1,29 +1,106 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// How long a statement waits for the other connection's write lock
+const BUSY_TIMEOUT_MS = 10000;
 
 class Database {
   constructor() {
     this.db = null;
+    this.transactionDb = null;
+    this.transactionQueue = Promise.resolve();
+    // Connection of the transaction the current async call chain runs in
+    this.transactionContext = new AsyncLocalStorage();
   }
 
   initialize() {
     return new Promise((resolve, reject) => {
       const dbPath = process.env.DATABASE_URL || path.join(__dirname, '../civic_fix.db');
+      const file = dbPath.replace('sqlite:./', '');
       
-      this.db = new sqlite3.Database(dbPath.replace('sqlite:./', ''), (err) => {
+      this.db = new sqlite3.Database(file, (err) => {
         if (err) {
           console.error('Database connection error:', err);
           reject(err);
         } else {
           console.log('✅ Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+          this.dropStaleIndexes()
+            .then(() => this.createTables())
+            .then(() => this.openTransactionConnection(file))
+            .then(resolve)
+            .catch(reject);
         }
       });
     });
   }
 
+  /**
+   * Drop the full-text and spatial indexes (and their triggers) of databases
+   * created when they were keyed on reports.rowid, which VACUUM may
+   * renumber - createTables recreates them keyed on index_id and
+   * repopulates them
+   */
+  async dropStaleIndexes() {
+    const stale = await this.query(
+      `SELECT name FROM sqlite_master
+       WHERE name IN ('reports_fts', 'reports_fts_insert', 'reports_fts_delete', 'reports_fts_update',
+                      'reports_rtree_insert', 'reports_rtree_delete', 'reports_rtree_update')
+         AND sql NOT LIKE '%index_id%'`
+    );
+    const names = stale.map(({ name }) => name);
+
+    // The R*Tree's own definition names no key column - its triggers tell
+    const indexes = [
+      { table: 'reports_fts', triggers: ['reports_fts_insert', 'reports_fts_delete', 'reports_fts_update'] },
+      { table: 'reports_rtree', triggers: ['reports_rtree_insert', 'reports_rtree_delete', 'reports_rtree_update'] }
+    ].filter(({ table, triggers }) => [table, ...triggers].some(name => names.includes(name)));
+
+    for (const { table, triggers } of indexes) {
+      for (const trigger of triggers) {
+        await this.run(`DROP TRIGGER IF EXISTS ${trigger}`);
+      }
+      await this.run(`DROP TABLE IF EXISTS ${table}`);
+      console.log(`🔄 Rebuilding ${table} on reports.index_id`);
+    }
+  }
+
+  /**
+   * Open the connection transactions run on, so statements of concurrent
+   * requests on the main connection never become part of a transaction.
+   * An in-memory database can only have the one connection.
+   */
+  openTransactionConnection(file) {
+    if (file === ':memory:') {
+      this.transactionDb = this.db;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.transactionDb = new sqlite3.Database(file, (err) => {
+        if (err) return reject(err);
+
+        this.transactionDb.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        this.transactionDb.run('PRAGMA foreign_keys = ON', err => (err ? reject(err) : resolve()));
+      });
+    });
+  }
+
   createTables() {
     return new Promise((resolve, reject) => {
+      // Errors of migrations that must not be ignored - reported once every
+      // statement has run
+      const migrationErrors = [];
+      const addColumn = (table, column) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`, (err) => {
+          // Databases created or migrated since already have the column
+          if (err && !err.message.includes('duplicate column name')) {
+            migrationErrors.push(err);
+          }
+        });
+      };
+
       this.db.serialize(() => {
         // Enable foreign keys
         this.db.run('PRAGMA foreign_keys = ON');
@@ -31,6 +108,9 @@ class Database {
         // Enhanced Reports table with better geospatial support
         this.db.run(`CREATE TABLE IF NOT EXISTS reports (
           id TEXT PRIMARY KEY,
+          -- Stable integer key of the full-text and spatial indexes (rowid
+          -- may be renumbered by VACUUM); assigned by reports_index_insert
+          index_id INTEGER,
           type TEXT NOT NULL,
           severity TEXT NOT NULL CHECK(severity IN ('low', 'medium', 'high', 'critical')),
           status TEXT NOT NULL DEFAULT 'reported' CHECK(status IN ('reported', 'acknowledged', 'in_progress', 'resolved', 'closed', 'duplicate')),
@@ -47,22 +127,33 @@ class Database {
           in_progress_at DATETIME,
           resolved_at DATETIME,
           closed_at DATETIME,
+          reopened_at DATETIME,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           
           -- Content
           description TEXT,
           voice_note_path TEXT,
+          voice_note_duration REAL,
           image_path TEXT NOT NULL,
           perceptual_hash TEXT NOT NULL,
+          hash_algorithm TEXT,
+          hash_version INTEGER,
+          client_perceptual_hash TEXT,
+          client_hash_distance INTEGER,
+          hash_mismatch INTEGER DEFAULT 0,
           
           -- Assignment
           assigned_department TEXT,
           assigned_to TEXT,
           priority INTEGER DEFAULT 0,
+          priority_boost INTEGER DEFAULT 0,
           
           -- Resolution
           resolution_notes TEXT,
+          internal_notes TEXT,
+          close_reason TEXT,
+          reopen_count INTEGER DEFAULT 0,
           before_image_path TEXT,
           after_image_path TEXT,
           pof_image_path TEXT,
@@ -85,10 +176,62 @@ class Database {
           duplicate_of TEXT,
           related_reports TEXT,
           
+          -- Service level (due dates copied from the matching SLA policy,
+          -- counted from sla_started_at - the last reopen - or created_at)
+          sla_policy_id INTEGER,
+          sla_started_at DATETIME,
+          sla_acknowledge_due DATETIME,
+          sla_resolve_due DATETIME,
+          sla_status TEXT,
+          sla_acknowledge_breached_at DATETIME,
+          sla_resolve_breached_at DATETIME,
+          sla_escalation_level INTEGER DEFAULT 0,
+          sla_escalated_at DATETIME,
+          
+          -- Soft delete (purged permanently after the retention period)
+          deleted_at DATETIME,
+          deleted_by TEXT,
+          delete_reason TEXT,
+          
           FOREIGN KEY (duplicate_of) REFERENCES reports(id)
         )`);
 
-        // Create spatial index simulation (SQLite doesn't have real spatial indexes)
+        // Columns added after the initial schema
+        [
+          'reopened_at DATETIME',
+          'close_reason TEXT',
+          'reopen_count INTEGER DEFAULT 0',
+          'internal_notes TEXT',
+          'deleted_at DATETIME',
+          'deleted_by TEXT',
+          'delete_reason TEXT',
+          'sla_policy_id INTEGER',
+          'sla_acknowledge_due DATETIME',
+          'sla_resolve_due DATETIME',
+          'sla_status TEXT',
+          'sla_escalation_level INTEGER DEFAULT 0',
+          'sla_escalated_at DATETIME',
+          'sla_started_at DATETIME',
+          'sla_acknowledge_breached_at DATETIME',
+          'sla_resolve_breached_at DATETIME',
+          'priority_boost INTEGER DEFAULT 0',
+          'voice_note_duration REAL',
+          'hash_algorithm TEXT',
+          'hash_version INTEGER',
+          'client_perceptual_hash TEXT',
+          'client_hash_distance INTEGER',
+          'hash_mismatch INTEGER DEFAULT 0',
+          'index_id INTEGER'
+        ].forEach(column => addColumn('reports', column));
+
+        // Number reports from before index_id existed (only they are NULL)
+        this.db.run(`UPDATE reports SET index_id = (SELECT COALESCE(MAX(index_id), 0) FROM reports) + rowid
+          WHERE index_id IS NULL`);
+        this.db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_index_id 
+          ON reports(index_id)`);
+
+        // Plain B-tree on coordinates - kept for equality lookups, range
+        // queries go through the reports_rtree spatial index below
         this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_location 
           ON reports(latitude, longitude)`);
         
@@ -101,6 +244,84 @@ class Database {
         this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_phash 
           ON reports(perceptual_hash)`);
 
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_reporter 
+          ON reports(reporter_id, created_at DESC)`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_deleted 
+          ON reports(deleted_at)`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_sla 
+          ON reports(status, sla_status)`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_priority 
+          ON reports(priority DESC)`);
+
+        // Full-text index over report text (external content - rows live in
+        // `reports`, keyed by index_id; the triggers below keep the index in step)
+        this.db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS reports_fts USING fts5(
+          description,
+          address,
+          resolution_notes,
+          ai_labels,
+          content = 'reports',
+          content_rowid = 'index_id',
+          tokenize = 'porter unicode61'
+        )`);
+
+        this.db.run(`CREATE TRIGGER IF NOT EXISTS reports_fts_delete AFTER DELETE ON reports BEGIN
+          INSERT INTO reports_fts (reports_fts, rowid, description, address, resolution_notes, ai_labels)
+          VALUES ('delete', old.index_id, old.description, old.address, old.resolution_notes, old.ai_labels);
+        END`);
+
+        this.db.run(`CREATE TRIGGER IF NOT EXISTS reports_fts_update
+          AFTER UPDATE OF description, address, resolution_notes, ai_labels ON reports BEGIN
+          INSERT INTO reports_fts (reports_fts, rowid, description, address, resolution_notes, ai_labels)
+          VALUES ('delete', old.index_id, old.description, old.address, old.resolution_notes, old.ai_labels);
+          INSERT INTO reports_fts (rowid, description, address, resolution_notes, ai_labels)
+          VALUES (new.index_id, new.description, new.address, new.resolution_notes, new.ai_labels);
+        END`);
+
+        // Index existing reports when the index is new or has fallen out of step
+        this.db.run(`INSERT INTO reports_fts (reports_fts)
+          SELECT 'rebuild'
+          WHERE (SELECT COUNT(*) FROM reports_fts_docsize) != (SELECT COUNT(*) FROM reports)`);
+
+        // R*Tree spatial index on report locations, keyed by reports.index_id
+        // (points, so min = max); kept in sync by the triggers below
+        this.db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS reports_rtree USING rtree(
+          id,
+          min_lat, max_lat,
+          min_lng, max_lng
+        )`);
+
+        this.db.run(`CREATE TRIGGER IF NOT EXISTS reports_rtree_delete AFTER DELETE ON reports BEGIN
+          DELETE FROM reports_rtree WHERE id = old.index_id;
+        END`);
+
+        this.db.run(`CREATE TRIGGER IF NOT EXISTS reports_rtree_update
+          AFTER UPDATE OF latitude, longitude ON reports BEGIN
+          INSERT OR REPLACE INTO reports_rtree (id, min_lat, max_lat, min_lng, max_lng)
+          VALUES (new.index_id, new.latitude, new.latitude, new.longitude, new.longitude);
+        END`);
+
+        // Index reports missing from the R*Tree (first run on an existing database)
+        this.db.run(`DELETE FROM reports_rtree WHERE id NOT IN (SELECT index_id FROM reports)`);
+        this.db.run(`INSERT INTO reports_rtree (id, min_lat, max_lat, min_lng, max_lng)
+          SELECT index_id, latitude, latitude, longitude, longitude FROM reports
+          WHERE index_id NOT IN (SELECT id FROM reports_rtree)`);
+
+        // A new report gets the next index_id, then goes into both indexes
+        // (recreated every start, so it always feeds the current indexes)
+        this.db.run('DROP TRIGGER IF EXISTS reports_index_insert');
+        this.db.run(`CREATE TRIGGER reports_index_insert AFTER INSERT ON reports BEGIN
+          UPDATE reports SET index_id = (SELECT COALESCE(MAX(index_id), 0) + 1 FROM reports)
+          WHERE rowid = new.rowid;
+          INSERT INTO reports_fts (rowid, description, address, resolution_notes, ai_labels)
+          SELECT index_id, description, address, resolution_notes, ai_labels FROM reports WHERE rowid = new.rowid;
+          INSERT INTO reports_rtree (id, min_lat, max_lat, min_lng, max_lng)
+          SELECT index_id, latitude, latitude, longitude, longitude FROM reports WHERE rowid = new.rowid;
+        END`);
+
         // Departments table
         this.db.run(`CREATE TABLE IF NOT EXISTS departments (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -110,10 +331,13 @@ class Database {
           contact_phone TEXT,
           avg_response_time INTEGER,
           total_resolved INTEGER DEFAULT 0,
+          supervisor_id TEXT,
           active BOOLEAN DEFAULT 1,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`);
 
+        addColumn('departments', 'supervisor_id TEXT');
+
         // Users table (for officials/admins)
         this.db.run(`CREATE TABLE IF NOT EXISTS users (
           id TEXT PRIMARY KEY,
@@ -130,6 +354,48 @@ class Database {
           FOREIGN KEY (department_id) REFERENCES departments (id)
         )`);
 
+        // Refresh tokens table (for revocable login sessions)
+        this.db.run(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`);
+
+        // API keys table (scoped keys for partner integrations)
+        this.db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          rate_limit INTEGER NOT NULL,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          rotated_at DATETIME,
+          last_used_at DATETIME,
+          last_used_ip TEXT,
+          revoked_at DATETIME,
+          FOREIGN KEY (created_by) REFERENCES users (id)
+        )`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_api_keys_prefix 
+          ON api_keys(key_prefix)`);
+
+        // Citizen devices table (anonymous but stable citizen identities)
+        this.db.run(`CREATE TABLE IF NOT EXISTS citizen_devices (
+          id TEXT PRIMARY KEY,
+          device_id TEXT NOT NULL UNIQUE,
+          platform TEXT,
+          token_hash TEXT NOT NULL,
+          active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen DATETIME
+        )`);
+
         // Verifications table (for community verification)
         this.db.run(`CREATE TABLE IF NOT EXISTS verifications (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -141,6 +407,10 @@ class Database {
           UNIQUE(report_id, user_id, verification_type)
         )`);
 
+        // Report a verification was moved from when that report was merged
+        // into this one - moved back on unmerge
+        addColumn('verifications', 'merged_from TEXT');
+
         // Activity log table
         this.db.run(`CREATE TABLE IF NOT EXISTS activity_log (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -152,6 +422,83 @@ class Database {
           FOREIGN KEY (report_id) REFERENCES reports(id)
         )`);
 
+        // Purged reports - what is left of a report once the retention job
+        // has removed it, including its activity log (the audit trail)
+        this.db.run(`CREATE TABLE IF NOT EXISTS purged_reports (
+          report_id TEXT PRIMARY KEY,
+          type TEXT,
+          address TEXT,
+          status TEXT,
+          reporter_id TEXT,
+          created_at DATETIME,
+          deleted_at DATETIME,
+          deleted_by TEXT,
+          delete_reason TEXT,
+          purged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          activity TEXT
+        )`);
+
+        // Report comments table (threaded conversation between citizens and officials)
+        this.db.run(`CREATE TABLE IF NOT EXISTS report_comments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          report_id TEXT NOT NULL,
+          parent_id INTEGER,
+          author_id TEXT NOT NULL,
+          author_role TEXT NOT NULL,
+          body TEXT NOT NULL,
+          attachment_path TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          deleted_at DATETIME,
+          FOREIGN KEY (report_id) REFERENCES reports(id),
+          FOREIGN KEY (parent_id) REFERENCES report_comments(id)
+        )`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_comments_report 
+          ON report_comments(report_id, created_at)`);
+
+        // Report revisions table (field-level edit history)
+        this.db.run(`CREATE TABLE IF NOT EXISTS report_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          report_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          changes TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (report_id) REFERENCES reports(id)
+        )`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_revisions_report 
+          ON report_revisions(report_id, created_at)`);
+
+        // Report attachments (photos beyond the primary image_path)
+        this.db.run(`CREATE TABLE IF NOT EXISTS report_attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          report_id TEXT NOT NULL,
+          file_path TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'evidence' CHECK(role IN ('evidence', 'context', 'before', 'after')),
+          position INTEGER NOT NULL DEFAULT 0,
+          mime_type TEXT,
+          size INTEGER,
+          uploaded_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (report_id) REFERENCES reports(id)
+        )`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_attachments_report 
+          ON report_attachments(report_id, position)`);
+
+        // Perceptual hashes of a report's image, one per algorithm
+        // (reports.perceptual_hash holds the configured primary one)
+        this.db.run(`CREATE TABLE IF NOT EXISTS report_hashes (
+          report_id TEXT NOT NULL,
+          algorithm TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (report_id, algorithm),
+          FOREIGN KEY (report_id) REFERENCES reports(id)
+        )`);
+
         // Duplicate clusters table
         this.db.run(`CREATE TABLE IF NOT EXISTS duplicate_clusters (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -164,6 +511,29 @@ class Database {
           FOREIGN KEY (parent_report_id) REFERENCES reports(id)
         )`);
 
+        // Borderline duplicate matches awaiting review - the decisions
+        // (confirmed/rejected) are kept as labelled data for tuning thresholds
+        this.db.run(`CREATE TABLE IF NOT EXISTS duplicate_candidates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          report_id TEXT NOT NULL,
+          candidate_id TEXT NOT NULL,
+          algorithm TEXT NOT NULL,
+          hash_distance INTEGER NOT NULL,
+          similarity REAL NOT NULL,
+          distance REAL NOT NULL,
+          match_score REAL NOT NULL,
+          status TEXT DEFAULT 'pending',
+          reviewed_by TEXT,
+          reviewed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (report_id, candidate_id),
+          FOREIGN KEY (report_id) REFERENCES reports(id),
+          FOREIGN KEY (candidate_id) REFERENCES reports(id)
+        )`);
+
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_status 
+          ON duplicate_candidates(status, match_score)`);
+
         // Civic coins table
         this.db.run(`CREATE TABLE IF NOT EXISTS civic_coins (
           user_id TEXT PRIMARY KEY,
@@ -231,6 +601,56 @@ class Database {
           }
         });
 
+        // SLA policies - the most specific match (department, then type, then severity) applies
+        this.db.run(`CREATE TABLE IF NOT EXISTS sla_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          department TEXT,
+          type TEXT,
+          severity TEXT CHECK(severity IN ('low', 'medium', 'high', 'critical')),
+          acknowledge_hours REAL NOT NULL,
+          resolve_hours REAL NOT NULL,
+          active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Default SLA policies by severity (only seeded into an empty table)
+        this.db.run(`INSERT INTO sla_policies (severity, acknowledge_hours, resolve_hours)
+          SELECT * FROM (VALUES
+            ('critical', 4, 24),
+            ('high', 12, 72),
+            ('medium', 24, 168),
+            ('low', 48, 336)
+          )
+          WHERE NOT EXISTS (SELECT 1 FROM sla_policies)
+        `);
+
+        // Department routing rules - evaluated in ascending priority order, first match wins
+        this.db.run(`CREATE TABLE IF NOT EXISTS routing_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          department TEXT NOT NULL,
+          priority INTEGER NOT NULL DEFAULT 100,
+          conditions TEXT NOT NULL,
+          active BOOLEAN DEFAULT 1,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Default routing rules (only seeded into an empty table so admin edits survive restarts)
+        this.db.run(`INSERT INTO routing_rules (name, department, priority, conditions)
+          SELECT * FROM (VALUES
+            ('Potholes', 'Public Works', 100, '{"types":["pothole"]}'),
+            ('Broken sidewalks', 'Public Works', 100, '{"types":["broken_sidewalk"]}'),
+            ('Trash', 'Sanitation', 100, '{"types":["trash"]}'),
+            ('Streetlights', 'Utilities', 100, '{"types":["streetlight"]}'),
+            ('Water leaks', 'Utilities', 100, '{"types":["water_leak"]}'),
+            ('Damaged signs', 'Transportation', 100, '{"types":["damaged_sign"]}')
+          )
+          WHERE NOT EXISTS (SELECT 1 FROM routing_rules)
+        `);
+
         // Insert sample vouchers
         this.db.run(`INSERT OR IGNORE INTO vouchers (title, description, coin_cost, voucher_type, discount_percentage, max_uses, active) VALUES 
           ('City Museum Pass', 'Free entry to City Museum for one day', 20, 'service', 100, 1, 1),
@@ -261,17 +681,29 @@ class Database {
           }
         });
 
-        // Complete initialization
-        console.log('✅ Database tables created successfully');
-        resolve();
+        // Complete initialization once every queued statement has run
+        this.db.run('SELECT 1', (err) => {
+          if (err || migrationErrors.length > 0) {
+            migrationErrors.forEach(error => console.error('Database migration error:', error));
+            reject(err || migrationErrors[0]);
+          } else {
+            console.log('✅ Database tables created successfully');
+            resolve();
+          }
+        });
       });
     });
   }
 
+  // Connection for the current call - the transaction's inside transaction()
+  connection() {
+    return this.transactionContext.getStore() || this.db;
+  }
+
   // Helper method to run queries with promises
   query(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+      this.connection().all(sql, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -281,7 +713,7 @@ class Database {
   // Helper method to run single row queries
   get(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
+      this.connection().get(sql, params, (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
@@ -291,26 +723,51 @@ class Database {
   // Helper method to run insert/update/delete
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
+      this.connection().run(sql, params, function(err) {
         if (err) reject(err);
         else resolve({ lastID: this.lastID, changes: this.changes });
       });
     });
   }
 
-  close() {
-    return new Promise((resolve, reject) => {
-      if (this.db) {
-        this.db.close((err) => {
-          if (err) reject(err);
-          else {
-            console.log('✅ Database connection closed');
-            resolve();
-          }
-        });
-      } else {
-        resolve();
+  // Helper method to run several statements atomically - `work` runs on the
+  // dedicated transaction connection (database.query/get/run called from it
+  // use that connection), and transactions are queued as they share it.
+  // Must not be nested: calling transaction() from inside `work` is an error.
+  transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return Promise.reject(new Error('database.transaction() cannot be nested'));
+    }
+
+    const result = this.transactionQueue.then(() => this.transactionContext.run(this.transactionDb, async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const value = await work();
+        await this.run('COMMIT');
+        return value;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
       }
+    }));
+
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  close() {
+    const closeConnection = connection => new Promise((resolve, reject) => {
+      connection.close(err => (err ? reject(err) : resolve()));
+    });
+
+    if (!this.db) return Promise.resolve();
+
+    const transactionDb = this.transactionDb !== this.db ? this.transactionDb : null;
+    return Promise.all([
+      closeConnection(this.db),
+      transactionDb ? closeConnection(transactionDb) : null
+    ]).then(() => {
+      console.log('✅ Database connection closed');
     });
   }
 }
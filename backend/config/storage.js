@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
+const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -8,12 +9,44 @@ const { v4: uuidv4 } = require('uuid');
  * - Local filesystem (default)
  * - AWS S3 (configurable)
  * - Firebase Storage (configurable)
+ *
+ * Uploads are validated by policy: audio fields (voice notes) have their
+ * own allowed types and size limit, every other field is an image.
+ *
+ * Images are then processed (processImages): auto-oriented, stripped of
+ * EXIF (including GPS) and re-encoded to WebP as <name>-original.webp, with
+ * <name>-medium.webp and <name>-thumb.webp variants next to it. The
+ * -original suffix marks an image as processed, so its variant URLs are
+ * built from the stored path alone.
  */
 
+const AUDIO_FIELDS = ['voice_note'];
+const PROCESSED_SUFFIX = '-original';
+const IMAGE_VARIANTS = {
+  medium: { suffix: '-medium', size: parseInt(process.env.IMAGE_MEDIUM_SIZE) || 1280 },
+  thumbnail: { suffix: '-thumb', size: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 320 }
+};
+
 class StorageService {
   constructor() {
     this.storageType = process.env.STORAGE_TYPE || 'local';
     this.uploadDir = path.join(__dirname, '../uploads');
+
+    this.policies = {
+      image: {
+        types: (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,webp,gif').split(','),
+        mimePrefix: 'image/',
+        maxSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+      },
+      audio: {
+        types: (process.env.ALLOWED_AUDIO_TYPES || 'm4a,aac,ogg,wav').split(','),
+        mimePrefix: null, // extension only - audio MIME types from devices are unreliable
+        maxSize: parseInt(process.env.MAX_AUDIO_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+      }
+    };
+    this.webpQuality = parseInt(process.env.IMAGE_WEBP_QUALITY) || 80;
+    this.checkFileSizes = this.checkFileSizes.bind(this);
+    this.processImages = this.processImages.bind(this);
     
     // Ensure upload directory exists for local storage
     if (this.storageType === 'local' && !fs.existsSync(this.uploadDir)) {
@@ -54,9 +87,10 @@ class StorageService {
     return multer({
       storage: storage,
       limits: {
-        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+        // Per-policy limits are enforced by checkFileSizes
+        fileSize: Math.max(...Object.values(this.policies).map(policy => policy.maxSize))
       },
-      fileFilter: this.fileFilter
+      fileFilter: (req, file, cb) => this.fileFilter(req, file, cb)
     });
   }
 
@@ -82,28 +116,167 @@ class StorageService {
     return this.getLocalStorage();
   }
 
+  /**
+   * Validation policy for an upload field
+   */
+  policyFor(fieldname) {
+    return AUDIO_FIELDS.includes(fieldname) ? this.policies.audio : this.policies.image;
+  }
+
   /**
    * File filter to validate upload file types
    */
   fileFilter(req, file, cb) {
-    const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,webp,gif').split(',');
+    const policy = this.policyFor(file.fieldname);
     const ext = path.extname(file.originalname).toLowerCase().replace('.', '');
     
     // For mobile apps, prioritize file extension over MIME type
     // Accept if extension is valid, regardless of MIME type
-    if (ext && allowedTypes.includes(ext)) {
+    if (ext && policy.types.includes(ext)) {
       cb(null, true);
       return;
     }
     
-    // Also accept if MIME type is image/* and has valid extension
-    if (file.mimetype && file.mimetype.startsWith('image/')) {
+    // Also accept if MIME type matches the policy (image/*)
+    if (policy.mimePrefix && file.mimetype && file.mimetype.startsWith(policy.mimePrefix)) {
       cb(null, true);
       return;
     }
     
     // Reject if neither condition is met
-    cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`), false);
+    const error = new Error(`Invalid file type for ${file.fieldname}. Allowed types: ${policy.types.join(', ')}`);
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error, false);
+  }
+
+  /**
+   * Middleware (after multer) rejecting files larger than their field's
+   * policy allows - multer itself only applies the largest limit
+   */
+  async checkFileSizes(req, res, next) {
+    const files = this.uploadedFiles(req);
+
+    const oversized = files.find(file => file.size > this.policyFor(file.fieldname).maxSize);
+    if (!oversized) return next();
+
+    for (const file of files) {
+      await this.deleteFile(file.filename);
+    }
+
+    res.status(400).json({
+      success: false,
+      error: `File too large: ${oversized.fieldname}`,
+      maxSize: this.policyFor(oversized.fieldname).maxSize
+    });
+  }
+
+  /**
+   * Middleware (after checkFileSizes) re-encoding uploaded images to WebP
+   * with their variants; req.file(s) then describe the WebP original
+   */
+  async processImages(req, res, next) {
+    const files = this.uploadedFiles(req);
+    const images = files.filter(file => this.policyFor(file.fieldname) === this.policies.image);
+
+    for (const file of images) {
+      try {
+        await this.processImage(file);
+      } catch (error) {
+        console.error(`Error processing ${file.fieldname} image:`, error.message);
+
+        for (const uploaded of files) {
+          await this.deleteFile(uploaded.filename);
+        }
+
+        return res.status(400).json({ success: false, error: `Could not process image: ${file.fieldname}` });
+      }
+    }
+
+    next();
+  }
+
+  /**
+   * Write <name>-original.webp and its variants for a multer file, remove the upload
+   * and point the file at the WebP original
+   */
+  async processImage(file) {
+    const name = path.parse(file.filename).name;
+    const filename = `${name}${PROCESSED_SUFFIX}.webp`;
+    const outputs = [filename, ...Object.keys(IMAGE_VARIANTS).map(variant => this.variantFilename(filename, variant))];
+
+    try {
+      // rotate() applies the EXIF orientation; metadata is not copied to the output
+      const image = sharp(file.path, { failOn: 'error' }).rotate();
+
+      const original = await image.clone().webp({ quality: this.webpQuality }).toFile(path.join(this.uploadDir, filename));
+
+      for (const [variant, { size }] of Object.entries(IMAGE_VARIANTS)) {
+        await image.clone()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: this.webpQuality })
+          .toFile(path.join(this.uploadDir, this.variantFilename(filename, variant)));
+      }
+
+      // Not deleteFile() - that would also remove the variants just written
+      await fs.promises.unlink(file.path);
+
+      Object.assign(file, {
+        filename,
+        path: path.join(this.uploadDir, filename),
+        mimetype: 'image/webp',
+        size: original.size
+      });
+    } catch (error) {
+      for (const output of outputs) {
+        await this.deleteFile(output);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Filename of an image variant (medium, thumbnail)
+   */
+  variantFilename(filename, variant) {
+    const name = path.parse(filename).name.replace(new RegExp(`${PROCESSED_SUFFIX}$`), '');
+    return `${name}${IMAGE_VARIANTS[variant].suffix}.webp`;
+  }
+
+  /**
+   * Whether a stored image was written by processImage, with all variants
+   */
+  isProcessed(filename) {
+    const { name, ext } = path.parse(filename);
+    return ext === '.webp' && name.endsWith(PROCESSED_SUFFIX);
+  }
+
+  /**
+   * URLs of a stored image (uploads/...) - original, medium and thumbnail
+   * Images stored without processing have no variants and use the original
+   * for every size.
+   */
+  getImageUrls(filePath) {
+    if (!filePath) return null;
+
+    const filename = filePath.replace(/^.*uploads\//, '');
+    const original = this.getFileUrl(filename);
+    const urls = { original };
+
+    for (const variant of Object.keys(IMAGE_VARIANTS)) {
+      urls[variant] = this.isProcessed(filename) ? this.getFileUrl(this.variantFilename(filename, variant)) : original;
+    }
+
+    return urls;
+  }
+
+  /**
+   * Files multer stored for a request (single, array or fields upload)
+   */
+  uploadedFiles(req) {
+    if (req.files) {
+      return Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+    }
+    return req.file ? [req.file] : [];
   }
 
   /**
@@ -124,10 +297,15 @@ class StorageService {
   }
 
   /**
-   * Delete file from storage
+   * Delete file from storage, with its image variants
    */
   async deleteFile(filename) {
     if (this.storageType === 'local') {
+      for (const variant of Object.keys(IMAGE_VARIANTS)) {
+        const variantPath = path.join(this.uploadDir, this.variantFilename(filename, variant));
+        if (fs.existsSync(variantPath)) fs.unlinkSync(variantPath);
+      }
+
       const filePath = path.join(this.uploadDir, filename);
       if (fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
@@ -0,0 +1,169 @@
+const database = require('../config/database');
+const auth = require('../services/auth');
+const permissions = require('../services/permissions');
+const apiKeys = require('../services/apiKeys');
+
+/**
+ * Resolve the user for a Bearer token
+ * Returns { user } on success, { error } when a token was sent but is unusable,
+ * or {} when no token was sent
+ */
+async function resolveUser(req) {
+  // Partner integrations are identified by identifyApiKey
+  if (req.apiKey) {
+    return { user: apiKeys.toRequestUser(req.apiKey) };
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return {};
+  }
+
+  let payload;
+  try {
+    payload = auth.verifyAccessToken(token);
+  } catch (error) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  // Anonymous citizens authenticate with a device token
+  if (payload.type === 'device') {
+    const citizen = await auth.findDeviceCitizen(token, payload);
+    return citizen ? { user: citizen } : { error: 'Device token revoked' };
+  }
+
+  const user = await database.get(
+    `SELECT u.id, u.username, u.email, u.role, u.department_id, u.full_name,
+            d.name as department_name
+     FROM users u
+     LEFT JOIN departments d ON u.department_id = d.id
+     WHERE u.id = ? AND u.active = 1`,
+    [payload.sub]
+  );
+
+  return user ? { user } : { error: 'User not found or inactive' };
+}
+
+/**
+ * Authentication middleware
+ * Verifies the Bearer access token and attaches the user to req.user
+ */
+async function authenticate(req, res, next) {
+  try {
+    const { user, error } = await resolveUser(req);
+
+    if (!user) {
+      return res.status(401).json({ success: false, error: error || 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ success: false, error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * Optional authentication - attaches req.user when a valid token is sent,
+ * lets anonymous requests through, and rejects bad tokens
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    const { user, error } = await resolveUser(req);
+
+    if (error) {
+      return res.status(401).json({ success: false, error });
+    }
+
+    req.user = user || null;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ success: false, error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * API key identification - runs before the rate limiters so keyed requests
+ * are limited per key. Requests without an X-API-Key header pass through.
+ */
+async function identifyApiKey(req, res, next) {
+  const rawKey = req.headers['x-api-key'];
+  if (!rawKey) return next();
+
+  try {
+    const apiKey = await apiKeys.verify(rawKey, req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Error verifying API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify API key' });
+  }
+}
+
+/**
+ * Role guard - use after authenticate
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+/**
+ * Permission guard - use after authenticate or optionalAuth
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!permissions.can(req.user, permission)) {
+      return req.user
+        ? res.status(403).json({ success: false, error: 'Insufficient permissions' })
+        : res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    next();
+  };
+}
+
+/**
+ * Load the report named by req.params.id into req.report, enforcing
+ * department scope for officials (soft-deleted reports are not found)
+ */
+async function requireReportAccess(req, res, next) {
+  try {
+    const report = await database.get('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    if (!permissions.canAccessReport(req.user, report)) {
+      return res.status(403).json({ success: false, error: 'Report is assigned to another department' });
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    console.error('Error loading report:', error);
+    res.status(500).json({ success: false, error: 'Failed to load report' });
+  }
+}
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  identifyApiKey,
+  requireRole,
+  requirePermission,
+  requireReportAccess
+};
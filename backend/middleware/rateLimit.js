@@ -0,0 +1,29 @@
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Rate limiting - per IP, or per key for partner API keys
+ * Both run after identifyApiKey, which sets req.apiKey for keyed requests.
+ */
+
+const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+const limiter = rateLimit({
+  windowMs,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  skip: (req) => !!req.apiKey,
+  message: { success: false, error: 'Too many requests, please try again later.' }
+});
+
+const apiKeyLimiter = rateLimit({
+  windowMs,
+  max: (req) => req.apiKey.rate_limit,
+  keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+  skip: (req) => !req.apiKey,
+  standardHeaders: true,
+  message: { success: false, error: 'API key rate limit exceeded, please try again later.' }
+});
+
+module.exports = {
+  limiter,
+  apiKeyLimiter
+};
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate, requirePermission('apikeys:manage'));
+
+/**
+ * Validate scopes/rate limit from a request body
+ * Returns an error message, or null if valid
+ */
+function validateKeyOptions({ scopes, rate_limit }, requireScopes) {
+  if (requireScopes && (!Array.isArray(scopes) || scopes.length === 0)) {
+    return 'At least one scope is required';
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes)) return 'Scopes must be an array';
+    const invalid = apiKeys.invalidScopes(scopes);
+    if (invalid.length > 0) return `Invalid scopes: ${invalid.join(', ')}`;
+  }
+
+  if (rate_limit !== undefined && !(parseInt(rate_limit) > 0)) {
+    return 'Rate limit must be a positive integer';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/api-keys
+ * List API keys (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeys.list();
+    res.json({ success: true, count: keys.length, apiKeys: keys, validScopes: apiKeys.validScopes });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create an API key - the raw key is only returned in this response
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, rate_limit } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Name is required' });
+    }
+
+    const validationError = validateKeyOptions(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, validScopes: apiKeys.validScopes });
+    }
+
+    const { key, apiKey } = await apiKeys.create({
+      name,
+      scopes,
+      rateLimit: rate_limit ? parseInt(rate_limit) : null,
+      createdBy: req.user.id
+    });
+
+    console.log(`🔐 API key created: ${name} [${scopes.join(', ')}]`);
+
+    res.status(201).json({ success: true, key, apiKey });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * PATCH /api/api-keys/:id
+ * Update name, scopes or rate limit
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, scopes, rate_limit } = req.body;
+
+    const validationError = validateKeyOptions(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, validScopes: apiKeys.validScopes });
+    }
+
+    const apiKey = await apiKeys.update(req.params.id, {
+      name,
+      scopes,
+      rateLimit: rate_limit ? parseInt(rate_limit) : null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+
+    res.json({ success: true, apiKey });
+
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to update API key' });
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Issue a new secret for a key - the old secret stops working immediately
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const rotated = await apiKeys.rotate(req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+
+    console.log(`🔐 API key rotated: ${rotated.apiKey.name}`);
+
+    res.json({ success: true, key: rotated.key, apiKey: rotated.apiKey });
+
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate API key' });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await apiKeys.revoke(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+
+    console.log(`🔐 API key revoked: ${req.params.id}`);
+
+    res.json({ success: true, message: 'API key revoked successfully' });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const database = require('../config/database');
+const storage = require('../config/storage');
+const attachments = require('../services/attachments');
+const permissions = require('../services/permissions');
+const { authenticate, optionalAuth, requirePermission, requireReportAccess } = require('../middleware/auth');
+
+// Configure multer
+const upload = storage.getMulterConfig();
+
+/**
+ * Staff working on the report and the reporter manage its attachments
+ */
+function requireManager(req, res, next) {
+  if (!permissions.canManageAttachments(req.user, req.report)) {
+    return res.status(403).json({ success: false, error: 'Not allowed to change attachments of this report' });
+  }
+  next();
+}
+
+/**
+ * GET /api/reports/:id/attachments
+ * List a report's attachments in display order
+ */
+router.get('/', optionalAuth, requirePermission('reports:read'), requireReportAccess, async (req, res) => {
+  try {
+    const list = await attachments.list(req.params.id, req.user, req.report);
+    res.json({ success: true, count: list.length, attachments: list });
+
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attachments' });
+  }
+});
+
+/**
+ * POST /api/reports/:id/attachments
+ * Upload more photos (`attachments` files, optional `roles` matching the file order)
+ */
+router.post('/', authenticate, requireReportAccess, requireManager, upload.array('attachments', attachments.maxPerReport), storage.checkFileSizes, storage.processImages, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one attachment file is required' });
+    }
+
+    const { roles, error } = attachments.parseRoles(req.body.roles, files.length, 'evidence');
+    const existing = await attachments.count(req.params.id);
+    const validationError = error || (existing + files.length > attachments.maxPerReport
+      ? `A report can have at most ${attachments.maxPerReport} attachments (${existing} already)`
+      : null);
+
+    if (validationError) {
+      await attachments.discard(files);
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    await attachments.add(req.params.id, files, roles, req.user.id);
+    const list = await attachments.list(req.params.id, req.user, req.report);
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [req.params.id, req.user.id, 'attachments_added', JSON.stringify({ count: files.length, roles })]
+    );
+
+    res.status(201).json({ success: true, count: list.length, attachments: list });
+
+  } catch (error) {
+    console.error('Error adding attachments:', error);
+    res.status(500).json({ success: false, error: 'Failed to add attachments' });
+  }
+});
+
+/**
+ * PATCH /api/reports/:id/attachments/:attachmentId
+ * Change an attachment's `role` and/or move it to `position` (0-based)
+ */
+router.patch('/:attachmentId', authenticate, requireReportAccess, requireManager, async (req, res) => {
+  try {
+    const { role, position } = req.body;
+
+    if (role !== undefined && !attachments.roles.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${attachments.roles.join(', ')}` });
+    }
+
+    if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+      return res.status(400).json({ success: false, error: 'Position must be a non-negative integer' });
+    }
+
+    if (!await attachments.get(req.params.id, req.params.attachmentId)) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    await attachments.update(req.params.id, req.params.attachmentId, { role, position });
+
+    res.json({
+      success: true,
+      attachment: await attachments.get(req.params.id, req.params.attachmentId, req.user, req.report),
+      attachments: await attachments.list(req.params.id, req.user, req.report)
+    });
+
+  } catch (error) {
+    console.error('Error updating attachment:', error);
+    res.status(500).json({ success: false, error: 'Failed to update attachment' });
+  }
+});
+
+/**
+ * DELETE /api/reports/:id/attachments/:attachmentId
+ * Delete an attachment and its file - the report's primary image and proof
+ * of fix image cannot be deleted
+ */
+router.delete('/:attachmentId', authenticate, requireReportAccess, requireManager, async (req, res) => {
+  try {
+    const attachment = await attachments.get(req.params.id, req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    if ([req.report.image_path, req.report.pof_image_path].includes(attachment.file_path)) {
+      return res.status(409).json({ success: false, error: 'The primary image and proof of fix image cannot be deleted' });
+    }
+
+    await attachments.remove(req.params.id, attachment.id);
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [req.params.id, req.user.id, 'attachment_deleted', JSON.stringify({ attachment_id: attachment.id, role: attachment.role })]
+    );
+
+    res.json({ success: true, message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
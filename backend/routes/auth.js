@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../services/auth');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * POST /api/auth/login
+ * Exchange username/email and password for an access/refresh token pair
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    const login = username || email;
+
+    if (!login || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['username', 'password']
+      });
+    }
+
+    const user = await auth.verifyCredentials(login, password);
+
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    const tokens = await auth.createSession(user);
+
+    console.log(`🔑 User logged in: ${user.username} (${user.role})`);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: auth.toPublicUser(user)
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ success: false, error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Rotate a refresh token and issue a new access token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'Refresh token is required' });
+    }
+
+    const session = await auth.refreshSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      ...session.tokens,
+      user: auth.toPublicUser(session.user)
+    });
+
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ success: false, error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke a refresh token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'Refresh token is required' });
+    }
+
+    await auth.revokeRefreshToken(refreshToken);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ success: false, error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the currently authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+module.exports = router;
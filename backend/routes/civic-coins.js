@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../config/database');
+const pagination = require('../services/pagination');
+const permissions = require('../services/permissions');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Only the citizen themselves and staff may read a citizen's coins
+ */
+function requireCoinsAccess(req, res, next) {
+  if (!permissions.canViewCoins(req.user, req.params.userId)) {
+    return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+  }
+  next();
+}
 
 /**
  * GET /api/civic-coins/:userId
- * Get civic coins balance for a user
+ * Get civic coins balance for a user (the citizen themselves or staff)
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticate, requireCoinsAccess, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -31,4 +44,45 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/civic-coins/:userId/transactions
+ * Civic coin transactions of a user (the citizen themselves or staff) -
+ * newest first, cursor paginated
+ */
+router.get('/:userId/transactions', authenticate, requireCoinsAccess, async (req, res) => {
+  try {
+    const { limit, cursor, offset, fields } = req.query;
+
+    const fieldList = await pagination.parseFields(fields, 'coin_transactions');
+    if (fieldList.error) {
+      return res.status(400).json({ success: false, error: fieldList.error });
+    }
+
+    const result = await pagination.paginate('SELECT * FROM coin_transactions WHERE user_id = ?', [req.params.userId], {
+      keys: [{ expr: 'created_at', order: 'DESC' }, { expr: 'id', order: 'DESC' }],
+      limit,
+      cursor,
+      offset
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transactions: result.items.map(transaction => pagination.selectFields(transaction, fieldList.fields)),
+        count: result.items.length,
+        total: result.total,
+        nextCursor: result.nextCursor
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching coin transactions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coin transactions' });
+  }
+});
+
 module.exports = router;
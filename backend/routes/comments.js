@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const database = require('../config/database');
+const storage = require('../config/storage');
+const permissions = require('../services/permissions');
+const { authenticate, requireReportAccess } = require('../middleware/auth');
+
+// Configure multer
+const upload = storage.getMulterConfig();
+
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Only admins, officials of the assigned department and the reporter
+ * take part in a report's thread
+ */
+function requireParticipant(req, res, next) {
+  if (!permissions.canCommentOn(req.user, req.report)) {
+    return res.status(403).json({ success: false, error: 'Not allowed to comment on this report' });
+  }
+  next();
+}
+
+router.use(authenticate, requireReportAccess, requireParticipant);
+
+const COMMENT_SELECT = `
+  SELECT c.*, COALESCE(u.full_name, u.username) as author_name
+  FROM report_comments c
+  LEFT JOIN users u ON u.id = c.author_id
+`;
+
+/**
+ * Shape a comment row for API responses
+ */
+function formatComment(row) {
+  const deleted = !!row.deleted_at;
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    author_id: row.author_id,
+    author_role: row.author_role,
+    author_name: row.author_name || (row.author_role === 'citizen' ? 'Reporter' : null),
+    body: deleted ? null : row.body,
+    attachment_path: deleted ? null : row.attachment_path,
+    attachment_url: !deleted && row.attachment_path ? storage.getFileUrl(row.attachment_path.replace(/^uploads\//, '')) : null,
+    attachment_urls: !deleted && row.attachment_path ? storage.getImageUrls(row.attachment_path) : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    edited: row.updated_at !== row.created_at,
+    deleted,
+    replies: []
+  };
+}
+
+/**
+ * GET /api/reports/:id/comments
+ * Get the comment thread for a report (nested replies)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rows = await database.query(
+      `${COMMENT_SELECT} WHERE c.report_id = ? ORDER BY c.created_at ASC, c.id ASC`,
+      [req.params.id]
+    );
+
+    const byId = new Map();
+    const thread = [];
+
+    rows.forEach(row => byId.set(row.id, formatComment(row)));
+    byId.forEach(comment => {
+      const parent = comment.parent_id && byId.get(comment.parent_id);
+      (parent ? parent.replies : thread).push(comment);
+    });
+
+    res.json({ success: true, count: rows.length, comments: thread });
+
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * POST /api/reports/:id/comments
+ * Add a comment or reply (optional image attachment)
+ */
+router.post('/', upload.single('attachment'), storage.checkFileSizes, storage.processImages, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, parent_id } = req.body;
+    const attachmentPath = req.file ? req.file.path.replace(/^.*\/uploads\//, 'uploads/') : null;
+
+    if (!body || !body.trim()) {
+      if (req.file) await storage.deleteFile(req.file.filename);
+      return res.status(400).json({ success: false, error: 'Comment body is required' });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      if (req.file) await storage.deleteFile(req.file.filename);
+      return res.status(400).json({ success: false, error: `Comment exceeds ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    if (parent_id) {
+      const parent = await database.get(
+        'SELECT id FROM report_comments WHERE id = ? AND report_id = ?',
+        [parent_id, id]
+      );
+      if (!parent) {
+        if (req.file) await storage.deleteFile(req.file.filename);
+        return res.status(400).json({ success: false, error: 'Parent comment not found on this report' });
+      }
+    }
+
+    const result = await database.run(
+      `INSERT INTO report_comments (report_id, parent_id, author_id, author_role, body, attachment_path)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, parent_id || null, req.user.id, req.user.role, body.trim(), attachmentPath]
+    );
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [id, req.user.id, 'commented', JSON.stringify({ comment_id: result.lastID, author_role: req.user.role })]
+    );
+
+    const comment = await database.get(`${COMMENT_SELECT} WHERE c.id = ?`, [result.lastID]);
+
+    if (global.notifications) {
+      global.notifications.notifyComment(id, 'created', comment);
+    }
+
+    res.status(201).json({ success: true, comment: formatComment(comment) });
+
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ success: false, error: 'Failed to create comment' });
+  }
+});
+
+/**
+ * PATCH /api/reports/:id/comments/:commentId
+ * Edit a comment (author only)
+ */
+router.patch('/:commentId', async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({ success: false, error: 'Comment body is required' });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ success: false, error: `Comment exceeds ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const comment = await database.get(
+      'SELECT * FROM report_comments WHERE id = ? AND report_id = ? AND deleted_at IS NULL',
+      [commentId, id]
+    );
+
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    if (comment.author_id !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Only the author can edit a comment' });
+    }
+
+    await database.run(
+      'UPDATE report_comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [body.trim(), commentId]
+    );
+
+    const updated = await database.get(`${COMMENT_SELECT} WHERE c.id = ?`, [commentId]);
+
+    if (global.notifications) {
+      global.notifications.notifyComment(id, 'updated', updated);
+    }
+
+    res.json({ success: true, comment: formatComment(updated) });
+
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ success: false, error: 'Failed to update comment' });
+  }
+});
+
+/**
+ * DELETE /api/reports/:id/comments/:commentId
+ * Delete a comment (author or admin) - replies are kept under a placeholder
+ */
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const comment = await database.get(
+      'SELECT * FROM report_comments WHERE id = ? AND report_id = ? AND deleted_at IS NULL',
+      [commentId, id]
+    );
+
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    if (comment.author_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Only the author or an admin can delete a comment' });
+    }
+
+    await database.run(
+      'UPDATE report_comments SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [commentId]
+    );
+
+    if (comment.attachment_path) {
+      await storage.deleteFile(comment.attachment_path.replace(/^uploads\//, ''));
+    }
+
+    if (global.notifications) {
+      global.notifications.notifyComment(id, 'deleted', comment);
+    }
+
+    res.json({ success: true, message: 'Comment deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
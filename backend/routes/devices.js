@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../services/auth');
+const database = require('../config/database');
+const { authenticate, optionalAuth, requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/devices/register
+ * Register a citizen device and issue its device token
+ * Re-registering a known device requires its current device token.
+ */
+router.post('/register', optionalAuth, async (req, res) => {
+  try {
+    const { device_id, platform } = req.body;
+
+    if (!device_id || typeof device_id !== 'string' || device_id.length < 16) {
+      return res.status(400).json({
+        success: false,
+        error: 'A device_id of at least 16 characters is required'
+      });
+    }
+
+    const { citizenId, token, isNew, conflict } = await auth.registerDevice({
+      deviceId: device_id,
+      platform,
+      citizen: req.user && req.user.role === 'citizen' ? req.user : null
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'Device is already registered - re-register with its current device token'
+      });
+    }
+
+    console.log(`📱 Device ${isNew ? 'registered' : 're-registered'}: ${citizenId}`);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      citizenId,
+      token,
+      tokenType: 'Bearer'
+    });
+
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ success: false, error: 'Failed to register device' });
+  }
+});
+
+/**
+ * POST /api/devices/:citizenId/legacy-claim
+ * Move a legacy user ID's reports, verifications and civic coins to a
+ * registered citizen, once staff have verified the claim (admin only)
+ */
+router.post('/:citizenId/legacy-claim', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { legacy_user_id } = req.body;
+
+    if (!legacy_user_id || typeof legacy_user_id !== 'string') {
+      return res.status(400).json({ success: false, error: 'legacy_user_id is required' });
+    }
+
+    const citizen = await database.get('SELECT id FROM citizen_devices WHERE id = ?', [req.params.citizenId]);
+    if (!citizen) {
+      return res.status(404).json({ success: false, error: 'Citizen not found' });
+    }
+
+    const moved = await auth.claimLegacyUser(citizen.id, legacy_user_id);
+    if (!moved) {
+      return res.status(409).json({ success: false, error: 'legacy_user_id belongs to a registered account' });
+    }
+
+    console.log(`📱 Legacy user ${legacy_user_id} claimed by ${citizen.id} (verified by ${req.user.username})`);
+
+    res.json({ success: true, citizenId: citizen.id, legacyUserId: legacy_user_id, moved });
+
+  } catch (error) {
+    console.error('Error claiming legacy user:', error);
+    res.status(500).json({ success: false, error: 'Failed to claim legacy user' });
+  }
+});
+
+module.exports = router;
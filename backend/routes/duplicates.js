@@ -1,14 +1,88 @@
 const express = require('express');
 const router = express.Router();
+const database = require('../config/database');
+const storage = require('../config/storage');
 const duplicateDetection = require('../services/duplicateDetection');
+const imageHash = require('../services/imageHash');
+const permissions = require('../services/permissions');
+const pagination = require('../services/pagination');
+const geo = require('../services/geo');
+const merge = require('../services/merge');
+const { authenticate, requirePermission, requireReportAccess } = require('../middleware/auth');
+
+// Widest search GET /similar allows - beyond this most reports match
+const MAX_SIMILAR_DISTANCE = 20;
+
+// Report ids per IN (...) query - below SQLite's variable limit
+const ID_BATCH_SIZE = 500;
+
+const REVIEW_STATUSES = ['pending', 'confirmed', 'rejected', 'superseded'];
+
+// Report columns shown for both sides of a review candidate
+const REVIEW_REPORT_COLUMNS = ['type', 'severity', 'status', 'address', 'latitude', 'longitude', 'image_path', 'created_at'];
+
+/**
+ * Shape a review queue row - { ..., report, candidate } with both images
+ */
+function formatCandidate(row) {
+  const candidate = {
+    id: row.id,
+    algorithm: row.algorithm,
+    hash_distance: row.hash_distance,
+    similarity: row.similarity,
+    distance: row.distance,
+    match_score: row.match_score,
+    status: row.status,
+    reviewed_by: row.reviewed_by,
+    reviewed_at: row.reviewed_at,
+    created_at: row.created_at
+  };
+
+  for (const side of ['report', 'candidate']) {
+    const report = { id: row[`${side}_id`] };
+    for (const column of REVIEW_REPORT_COLUMNS) {
+      report[column] = row[`${side}_${column}`];
+    }
+    report.image_urls = storage.getImageUrls(report.image_path);
+    candidate[side] = report;
+  }
+
+  return candidate;
+}
+
+/**
+ * Load a pending review candidate the user may decide on
+ * Returns { candidate, report } or { status, error }
+ */
+async function loadPendingCandidate(id, user) {
+  const candidate = await database.get('SELECT * FROM duplicate_candidates WHERE id = ?', [id]);
+  if (!candidate) {
+    return { status: 404, error: 'Review candidate not found' };
+  }
+
+  const report = await database.get('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL', [candidate.report_id]);
+  if (!report) {
+    return { status: 404, error: 'Report not found' };
+  }
+  if (!permissions.canAccessReport(user, report)) {
+    return { status: 403, error: 'Report is assigned to another department' };
+  }
+
+  if (candidate.status !== 'pending') {
+    return { status: 409, error: `Candidate already ${candidate.status}` };
+  }
+
+  return { candidate, report };
+}
 
 /**
  * POST /api/duplicates/check
- * Check for duplicate reports
+ * Check for duplicate reports - `hash_algorithm` names the algorithm of
+ * `perceptual_hash` (default ahash, as computed by the app)
  */
 router.post('/check', async (req, res) => {
   try {
-    const { perceptual_hash, latitude, longitude, radius } = req.body;
+    const { perceptual_hash, hash_algorithm = 'ahash', latitude, longitude, radius } = req.body;
 
     if (!perceptual_hash || !latitude || !longitude) {
       return res.status(400).json({
@@ -18,8 +92,19 @@ router.post('/check', async (req, res) => {
       });
     }
 
+    if (!Object.keys(imageHash.algorithms).includes(hash_algorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: `hash_algorithm must be one of: ${Object.keys(imageHash.algorithms).join(', ')}`
+      });
+    }
+
+    if (!imageHash.decode(perceptual_hash)) {
+      return res.status(400).json({ success: false, error: 'perceptual_hash must be hex or a 64-character 0/1 string' });
+    }
+
     const result = await duplicateDetection.findDuplicates(
-      perceptual_hash,
+      { [hash_algorithm]: perceptual_hash },
       parseFloat(latitude),
       parseFloat(longitude),
       radius ? parseFloat(radius) : null
@@ -64,5 +149,264 @@ router.get('/clusters', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/duplicates/similar/:id
+ * Reports anywhere in the city whose image is within `max_distance` bits
+ * (Hamming distance) of the report's - e.g. the same photo submitted for
+ * different locations. `algorithm` picks the hash to compare (default: the
+ * first the report has of the configured one, pHash, dHash, aHash);
+ * `max_distance` defaults to the algorithm's duplicate threshold. Reports
+ * already confirmed or rejected as its duplicates are left out.
+ * Nearest first, paginated with limit/cursor.
+ */
+router.get('/similar/:id', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  try {
+    const { algorithm: requested, max_distance, limit, cursor } = req.query;
+
+    if (requested && !Object.keys(imageHash.algorithms).includes(requested)) {
+      return res.status(400).json({
+        success: false,
+        error: `algorithm must be one of: ${Object.keys(imageHash.algorithms).join(', ')}`
+      });
+    }
+
+    const hashes = (await duplicateDetection.loadHashes([req.report])).get(req.report.id);
+    const algorithm = requested || duplicateDetection.comparableAlgorithm(hashes, hashes);
+
+    if (!algorithm || !hashes[algorithm]) {
+      return res.status(400).json({
+        success: false,
+        error: requested ? `Report has no current ${requested} hash` : 'Report has no current perceptual hash'
+      });
+    }
+
+    const maxDistance = max_distance === undefined
+      ? duplicateDetection.maxHashDistance(algorithm)
+      : Number(max_distance);
+    if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > MAX_SIMILAR_DISTANCE) {
+      return res.status(400).json({ success: false, error: `max_distance must be an integer from 0 to ${MAX_SIMILAR_DISTANCE}` });
+    }
+
+    const matches = await duplicateDetection.findSimilar(req.report.id, algorithm, hashes[algorithm], maxDistance);
+    const hashDistances = new Map(matches.map(match => [match.reportId, match.distance]));
+
+    // Officials only see reports assigned to their department
+    const scope = permissions.reportScope(req.user);
+    const ids = [...hashDistances.keys()];
+    const rows = [];
+
+    for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+      const batch = ids.slice(i, i + ID_BATCH_SIZE);
+      rows.push(...await database.query(`
+        SELECT id, type, severity, status, duplicate_of, address, latitude, longitude,
+               image_path, created_at
+        FROM reports
+        WHERE id IN (${batch.map(() => '?').join(', ')})
+          AND deleted_at IS NULL
+          ${scope ? `AND ${scope.condition}` : ''}
+      `, [...batch, ...(scope ? scope.params : [])]));
+    }
+
+    const similar = rows.map(report => ({
+      ...report,
+      image_urls: storage.getImageUrls(report.image_path),
+      hash_distance: hashDistances.get(report.id),
+      similarity: Math.round((1 - hashDistances.get(report.id) / 64) * 1000) / 10,
+      distance: Math.round(geo.calculateDistance(req.report.latitude, req.report.longitude, report.latitude, report.longitude))
+    }));
+
+    const keys = [{ expr: 'hash_distance', order: 'ASC' }, { expr: 'id', order: 'ASC' }];
+    similar.sort((a, b) => pagination.compare(pagination.keyValues(a, keys), pagination.keyValues(b, keys), keys));
+
+    const result = pagination.paginateRows(similar, { keys, limit, cursor });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      report_id: req.report.id,
+      algorithm,
+      max_distance: maxDistance,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      reports: result.items
+    });
+
+  } catch (error) {
+    console.error('Error finding similar reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find similar reports'
+    });
+  }
+});
+
+/**
+ * GET /api/duplicates/review
+ * Duplicate review queue - borderline matches of new reports, best match
+ * first (`status=pending`, the default), or past decisions, latest first
+ * (`status=confirmed|rejected|superseded`). Paginated with limit/cursor.
+ */
+router.get('/review', authenticate, requirePermission('reports:update'), async (req, res) => {
+  try {
+    const { status = 'pending', limit, cursor } = req.query;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const conditions = ['d.status = ?'];
+    const params = [status];
+
+    // Pending pairs whose report is gone or already marked otherwise are moot
+    if (status === 'pending') {
+      conditions.push('r.deleted_at IS NULL', 'c.deleted_at IS NULL', "r.status != 'duplicate'");
+    }
+
+    // Officials only review their department's reports
+    const scope = permissions.reportScope(req.user, 'r.assigned_department');
+    if (scope) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    const columns = ['r', 'c'].flatMap(alias =>
+      REVIEW_REPORT_COLUMNS.map(column => `${alias}.${column} as ${alias === 'r' ? 'report' : 'candidate'}_${column}`)
+    );
+
+    const query = `
+      SELECT d.*, ${columns.join(', ')}
+      FROM duplicate_candidates d
+      JOIN reports r ON r.id = d.report_id
+      JOIN reports c ON c.id = d.candidate_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const keys = status === 'pending'
+      ? [{ expr: 'match_score', order: 'DESC' }, { expr: 'id', order: 'DESC' }]
+      : [{ expr: 'reviewed_at', order: 'DESC' }, { expr: 'id', order: 'DESC' }];
+
+    const result = await pagination.paginate(query, params, { keys, limit, cursor });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      candidates: result.items.map(formatCandidate)
+    });
+
+  } catch (error) {
+    console.error('Error fetching duplicate review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicate review queue'
+    });
+  }
+});
+
+/**
+ * GET /api/duplicates/review/stats
+ * Review decisions grouped by algorithm/hash distance and match score, for
+ * tuning the duplicate thresholds
+ */
+router.get('/review/stats', authenticate, requirePermission('reports:update'), async (req, res) => {
+  try {
+    const stats = await duplicateDetection.getReviewStats();
+
+    res.json({ success: true, ...stats });
+
+  } catch (error) {
+    console.error('Error fetching duplicate review stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicate review stats'
+    });
+  }
+});
+
+/**
+ * POST /api/duplicates/review/:id/confirm
+ * Confirm a candidate - the report is merged into the matched one
+ * (POST /api/reports/:id/merge)
+ */
+router.post('/review/:id/confirm', authenticate, requirePermission('reports:update'), async (req, res) => {
+  try {
+    const loaded = await loadPendingCandidate(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ success: false, error: loaded.error });
+    }
+
+    const { candidate, report } = loaded;
+
+    const result = await merge.merge(report, candidate.candidate_id, req.user);
+    if (result.body) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({
+      success: true,
+      message: 'Report marked as duplicate',
+      report_id: report.id,
+      duplicate_of: candidate.candidate_id,
+      moved: result.moved
+    });
+
+  } catch (error) {
+    console.error('Error confirming duplicate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm duplicate'
+    });
+  }
+});
+
+/**
+ * POST /api/duplicates/review/:id/reject
+ * Reject a candidate - the pair is never suggested again
+ */
+router.post('/review/:id/reject', authenticate, requirePermission('reports:update'), async (req, res) => {
+  try {
+    const loaded = await loadPendingCandidate(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ success: false, error: loaded.error });
+    }
+
+    const { candidate, report } = loaded;
+
+    await database.run(
+      "UPDATE duplicate_candidates SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [req.user.id, candidate.id]
+    );
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, req.user.id, 'duplicate_rejected', JSON.stringify({
+        candidate_id: candidate.candidate_id,
+        match_score: candidate.match_score
+      })]
+    );
+
+    res.json({
+      success: true,
+      message: 'Not a duplicate',
+      report_id: report.id,
+      candidate_id: candidate.candidate_id
+    });
+
+  } catch (error) {
+    console.error('Error rejecting duplicate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject duplicate'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../config/database');
+const pagination = require('../services/pagination');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * GET /api/me/reports
+ * Get reports submitted by the calling citizen with their current status -
+ * newest first, cursor paginated
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { status, limit, cursor, offset } = req.query;
+
+    let query = `
+      SELECT id, type, severity, status, latitude, longitude, address, description,
+             image_path, created_at, updated_at, acknowledged_at, in_progress_at,
+             resolved_at, closed_at, duplicate_of, upvotes, verification_count,
+             resolution_notes, civic_coins_awarded, pof_image_path
+      FROM reports
+      WHERE reporter_id = ? AND deleted_at IS NULL
+    `;
+    const params = [req.user.id];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    const result = await pagination.paginate(query, params, {
+      keys: [{ expr: 'created_at', order: 'DESC' }, { expr: 'id', order: 'DESC' }],
+      limit,
+      cursor,
+      offset
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      reports: result.items
+    });
+
+  } catch (error) {
+    console.error('Error fetching my reports:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reports' });
+  }
+});
+
+/**
+ * GET /api/me/coins
+ * Get the calling citizen's civic coin balance and recent transactions
+ */
+router.get('/coins', async (req, res) => {
+  try {
+    const coinsData = await database.get('SELECT * FROM civic_coins WHERE user_id = ?', [req.user.id]);
+
+    const transactions = await database.query(
+      'SELECT * FROM coin_transactions WHERE user_id = ? ORDER BY created_at DESC LIMIT 10',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        coins: coinsData || { current_balance: 0, total_earned: 0 },
+        recent_transactions: transactions || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching civic coins:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch civic coins' });
+  }
+});
+
+/**
+ * GET /api/me/coins/transactions
+ * The calling citizen's civic coin transactions - newest first, cursor paginated
+ */
+router.get('/coins/transactions', async (req, res) => {
+  try {
+    const { limit, cursor, offset, fields } = req.query;
+
+    const fieldList = await pagination.parseFields(fields, 'coin_transactions');
+    if (fieldList.error) {
+      return res.status(400).json({ success: false, error: fieldList.error });
+    }
+
+    const result = await pagination.paginate('SELECT * FROM coin_transactions WHERE user_id = ?', [req.user.id], {
+      keys: [{ expr: 'created_at', order: 'DESC' }, { expr: 'id', order: 'DESC' }],
+      limit,
+      cursor,
+      offset
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transactions: result.items.map(transaction => pagination.selectFields(transaction, fieldList.fields)),
+        count: result.items.length,
+        total: result.total,
+        nextCursor: result.nextCursor
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching coin transactions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coin transactions' });
+  }
+});
+
+module.exports = router;
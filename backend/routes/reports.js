@@ -3,31 +3,220 @@ const router = express.Router();
 const database = require('../config/database');
 const storage = require('../config/storage');
 const duplicateDetection = require('../services/duplicateDetection');
+const workflow = require('../services/workflow');
+const revisions = require('../services/revisions');
+const retention = require('../services/retention');
+const routing = require('../services/routing');
+const sla = require('../services/sla');
+const search = require('../services/search');
+const geo = require('../services/geo');
+const pagination = require('../services/pagination');
+const attachments = require('../services/attachments');
+const priority = require('../services/priority');
+const audio = require('../services/audio');
+const imageHash = require('../services/imageHash');
+const permissions = require('../services/permissions');
+const merge = require('../services/merge');
+const {
+  authenticate,
+  optionalAuth,
+  requirePermission,
+  requireReportAccess
+} = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
 
 // Configure multer
 const upload = storage.getMulterConfig();
 
+/**
+ * Multer fields for a primary photo plus up to MAX_REPORT_ATTACHMENTS
+ * extra `attachments` (and any `extraFields`), with per-policy size limits
+ * and images converted to WebP with variants
+ */
+function uploadPhotos(primaryField, extraFields = []) {
+  return [
+    upload.fields([
+      { name: primaryField, maxCount: 1 },
+      { name: 'attachments', maxCount: attachments.maxPerReport },
+      ...extraFields
+    ]),
+    storage.checkFileSizes,
+    storage.processImages
+  ];
+}
+
+/**
+ * Files of an uploadPhotos() request, primary first - without a primary
+ * field the first attachment becomes the primary. roles() assigns the
+ * `attachment_roles` given for the attachments; the primary keeps the default.
+ */
+function uploadedPhotos(req, primaryField) {
+  const primary = (req.files && req.files[primaryField]) || [];
+  const extra = (req.files && req.files.attachments) || [];
+  const files = [...primary, ...extra];
+
+  return {
+    files,
+    roles(value, defaultRole) {
+      const parsed = attachments.parseRoles(value, extra.length, defaultRole);
+      if (parsed.error) return parsed;
+      return { roles: [...primary.map(() => defaultRole), ...parsed.roles] };
+    }
+  };
+}
+
+/**
+ * Error message if adding `adding` files would exceed the per-report limit
+ */
+async function attachmentLimitError(reportId, adding) {
+  const existing = reportId ? await attachments.count(reportId) : 0;
+  if (existing + adding > attachments.maxPerReport) {
+    return `A report can have at most ${attachments.maxPerReport} attachments (${existing} already)`;
+  }
+  return null;
+}
+
+/**
+ * Shape a report row for the caller
+ * internal_notes and reporter_id are staff-only and stripped for anonymous
+ * callers, citizens and API keys (reporters still see their own reporter_id);
+ * resolution_notes are public and always included.
+ * image_urls / pof_image_urls hold the original, medium and thumbnail URLs.
+ * index_id only keys the full-text index and is never returned.
+ */
+function serializeReport(row, user) {
+  if (!row) return row;
+
+  const { index_id, ...report } = row;
+  const withUrls = {
+    ...report,
+    image_urls: storage.getImageUrls(report.image_path),
+    pof_image_urls: storage.getImageUrls(report.pof_image_path)
+  };
+  if (permissions.canViewInternalNotes(user, report)) return withUrls;
+
+  const { internal_notes, reporter_id, ...publicReport } = withUrls;
+  if (user && reporter_id && reporter_id === user.id) publicReport.reporter_id = reporter_id;
+  return publicReport;
+}
+
+// Fields GET /api/reports can return besides the reports columns
+const REPORT_COMPUTED_FIELDS = ['sla_due_at', 'sla_minutes_remaining', 'search_rank', 'search_snippet', 'distance', 'image_urls', 'pof_image_urls'];
+
+const MAX_GEO_RADIUS = 50000; // meters
+const DEFAULT_GEO_RADIUS = 1000;
+
+/**
+ * Parse the location filters of GET /api/reports
+ * - near=lat,lng&radius=m - within radius meters of a point
+ * - bbox=minLng,minLat,maxLng,maxLat
+ * - polygon=<GeoJSON Polygon> - URL-encoded JSON
+ * Returns { error } or { boxes, near, polygon } where boxes are SQL
+ * prefilters and near/polygon still need an exact check per row
+ */
+function parseGeoFilters({ near, radius, bbox, polygon }) {
+  const filters = { boxes: [], near: null, polygon: null };
+
+  if (near) {
+    const [latitude, longitude] = String(near).split(',').map(Number);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'near must be "lat,lng"' };
+    }
+
+    const meters = radius === undefined ? DEFAULT_GEO_RADIUS : Number(radius);
+    if (!(meters > 0) || meters > MAX_GEO_RADIUS) {
+      return { error: `radius must be between 0 and ${MAX_GEO_RADIUS} meters` };
+    }
+
+    filters.near = { latitude, longitude, radius: meters };
+    filters.boxes.push(geo.boundingBox(latitude, longitude, meters));
+  } else if (radius !== undefined) {
+    return { error: 'radius requires near' };
+  }
+
+  if (bbox) {
+    const box = geo.parseBbox(bbox);
+    if (!box) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+    }
+    filters.boxes.push(box);
+  }
+
+  if (polygon) {
+    let geometry;
+    try {
+      geometry = JSON.parse(polygon);
+    } catch (error) {
+      geometry = null;
+    }
+
+    if (!geo.isPolygon(geometry)) {
+      return { error: 'polygon must be a GeoJSON Polygon with closed rings of [lng, lat] positions' };
+    }
+
+    filters.polygon = geometry;
+    filters.boxes.push(geo.polygonBounds(geometry));
+  }
+
+  return filters;
+}
+
 /**
  * GET /api/reports
- * Get all reports with filtering and pagination
+ * Get all reports with filtering, full-text search (`q`), location filters
+ * (near/radius, bbox, polygon), cursor pagination and sparse fieldsets
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, requirePermission('reports:read'), async (req, res) => {
   try {
     const {
       status,
       type,
       severity,
       department,
-      limit = 50,
-      offset = 0,
-      sortBy = 'created_at',
-      sortOrder = 'DESC'
+      sla_status,
+      hash_mismatch,
+      q,
+      limit,
+      offset,
+      cursor,
+      fields,
+      sortBy,
+      sortOrder = sortBy === 'distance' ? 'ASC' : 'DESC'
     } = req.query;
 
-    let query = 'SELECT * FROM reports';
+    const fieldList = await pagination.parseFields(fields, 'reports', REPORT_COMPUTED_FIELDS);
+    if (fieldList.error) {
+      return res.status(400).json({ success: false, error: fieldList.error });
+    }
+
+    const geoFilters = parseGeoFilters(req.query);
+    if (geoFilters.error) {
+      return res.status(400).json({ success: false, error: geoFilters.error });
+    }
+
+    if (sortBy === 'distance' && !geoFilters.near) {
+      return res.status(400).json({ success: false, error: 'sortBy=distance requires near' });
+    }
+
+    let query = `SELECT reports.*, ${sla.dueSql} as sla_due_at, ${sla.remainingSql} as sla_minutes_remaining`;
     const params = [];
-    const conditions = [];
+    const conditions = ['deleted_at IS NULL'];
+
+    // Full-text search - ranked matches with a highlighted snippet
+    const match = q ? search.matchQuery(q) : null;
+    if (q && !match) {
+      return res.status(400).json({ success: false, error: 'Search query has no searchable terms' });
+    }
+
+    if (match) {
+      query += `, ${search.rankSql} as search_rank, ${search.snippetSql} as search_snippet
+        FROM reports JOIN reports_fts ON reports_fts.rowid = reports.index_id`;
+      conditions.push('reports_fts MATCH ?');
+      params.push(match);
+    } else {
+      query += ' FROM reports';
+    }
 
     if (status) {
       conditions.push('status = ?');
@@ -49,24 +238,83 @@ router.get('/', async (req, res) => {
       params.push(department);
     }
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    if (sla_status) {
+      conditions.push('sla_status = ?');
+      params.push(sla_status);
+    }
+
+    if (hash_mismatch !== undefined) {
+      conditions.push('hash_mismatch = ?');
+      params.push(hash_mismatch === 'true' ? 1 : 0);
     }
 
+    geoFilters.boxes.forEach(box => {
+      const { condition, params: boxParams } = geo.boxCondition(box);
+      conditions.push(condition);
+      params.push(...boxParams);
+    });
+
+    // Officials only see reports assigned to their department
+    const scope = permissions.reportScope(req.user);
+    if (scope) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    query += ' WHERE ' + conditions.join(' AND ');
+
     // Validate sortBy to prevent SQL injection
-    const validSortFields = ['created_at', 'updated_at', 'severity', 'status', 'upvotes'];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
+    const validSortFields = ['created_at', 'updated_at', 'severity', 'status', 'upvotes', 'priority', 'sla_due_at'];
     const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-    query += ` ORDER BY ${sortField} ${order} LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), parseInt(offset));
+    // Sort keys, with id as the tiebreaker cursors need
+    let keys;
+    if (sortBy === 'distance') {
+      keys = [{ expr: 'distance', order }, { expr: 'id', order }];
+    } else if (match && !validSortFields.includes(sortBy)) {
+      // Best match first (bm25 scores are lower for better matches)
+      keys = [{ expr: 'search_rank', order: 'ASC' }, { expr: 'id', order: 'ASC' }];
+    } else {
+      const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
+      keys = [{ expr: sortField, order }, { expr: 'id', order }];
+
+      // Reports without a running SLA deadline sort last either way
+      if (sortField === 'sla_due_at') {
+        keys.unshift({ expr: '(sla_due_at IS NULL)', order: 'ASC', value: report => (report.sla_due_at === null ? 1 : 0) });
+      }
+    }
+
+    let result;
+
+    if (geoFilters.near || geoFilters.polygon) {
+      // Exact radius/polygon checks run on the bounding-box candidates,
+      // so sorting and pagination happen after filtering
+      const { near, polygon } = geoFilters;
+
+      const candidates = (await database.query(query, params))
+        .filter(report => !polygon || geo.pointInGeoJsonPolygon(report.latitude, report.longitude, polygon))
+        .map(report => near
+          ? { ...report, distance: Math.round(geo.calculateDistance(near.latitude, near.longitude, report.latitude, report.longitude)) }
+          : report)
+        .filter(report => !near || report.distance <= near.radius);
+
+      candidates.sort((a, b) => pagination.compare(pagination.keyValues(a, keys), pagination.keyValues(b, keys), keys));
+
+      result = pagination.paginateRows(candidates, { keys, limit, cursor, offset });
+    } else {
+      result = await pagination.paginate(query, params, { keys, limit, cursor, offset });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
-    const reports = await database.query(query, params);
-    
     res.json({
       success: true,
-      count: reports.length,
-      reports
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      reports: result.items.map(report => pagination.selectFields(serializeReport(report, req.user), fieldList.fields))
     });
   } catch (error) {
     console.error('Error fetching reports:', error);
@@ -74,28 +322,111 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/trash
+ * List soft-deleted reports awaiting permanent purge (admin)
+ */
+router.get('/trash', authenticate, requirePermission('reports:delete'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const reports = await database.query(`
+      SELECT *, datetime(deleted_at, ?) as purge_after
+      FROM reports
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+      LIMIT ? OFFSET ?
+    `, [`+${retention.retentionDays} days`, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      count: reports.length,
+      retentionDays: retention.retentionDays,
+      reports
+    });
+  } catch (error) {
+    console.error('Error fetching deleted reports:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch deleted reports' });
+  }
+});
+
+/**
+ * GET /api/reports/queue
+ * Next best reports to work on - open reports by priority score, then SLA deadline
+ */
+router.get('/queue', authenticate, requirePermission('reports:update'), async (req, res) => {
+  try {
+    const { limit = 10, type, severity } = req.query;
+
+    const conditions = [
+      "status IN ('reported', 'acknowledged', 'in_progress')",
+      'deleted_at IS NULL'
+    ];
+    const params = [];
+
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    if (severity) {
+      conditions.push('severity = ?');
+      params.push(severity);
+    }
+
+    // Officials only get their department's queue
+    const scope = permissions.reportScope(req.user);
+    if (scope) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    params.push(Math.min(parseInt(limit) || 10, 100));
+
+    const reports = await database.query(`
+      SELECT r.*, ${sla.dueSql} as sla_due_at, ${sla.remainingSql} as sla_minutes_remaining,
+             COALESCE(dc.report_count, 0) as duplicate_count
+      FROM reports r
+      LEFT JOIN duplicate_clusters dc ON dc.parent_report_id = r.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY r.priority DESC, sla_due_at IS NULL, sla_due_at ASC, r.created_at ASC
+      LIMIT ?
+    `, params);
+
+    res.json({
+      success: true,
+      count: reports.length,
+      weights: priority.weights,
+      reports: reports.map(report => ({
+        ...serializeReport(report, req.user),
+        priority_breakdown: priority.score(report, report.duplicate_count).breakdown
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching work queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch work queue' });
+  }
+});
+
 /**
  * GET /api/reports/:id
  * Get single report by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, requirePermission('reports:read'), requireReportAccess, async (req, res) => {
   try {
-    const report = await database.get('SELECT * FROM reports WHERE id = ?', [req.params.id]);
-    
-    if (!report) {
-      return res.status(404).json({ success: false, error: 'Report not found' });
-    }
+    const report = req.report;
 
     // Get related reports if this is a duplicate cluster parent
     const relatedReports = await database.query(
-      'SELECT * FROM reports WHERE duplicate_of = ?',
+      'SELECT * FROM reports WHERE duplicate_of = ? AND deleted_at IS NULL',
       [req.params.id]
     );
 
     res.json({
       success: true,
-      report,
-      relatedReports
+      report: serializeReport(report, req.user),
+      attachments: await attachments.list(report.id, req.user, report),
+      relatedReports: relatedReports.map(related => serializeReport(related, req.user))
     });
   } catch (error) {
     console.error('Error fetching report:', error);
@@ -107,11 +438,15 @@ router.get('/:id', async (req, res) => {
  * POST /api/reports
  * Create new report with duplicate detection
  */
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/', optionalAuth, requirePermission('reports:create'), uploadPhotos('image', [{ name: 'voice_note', maxCount: 1 }]), async (req, res) => {
+  const uploaded = uploadedPhotos(req, 'image');
+  const voiceNote = req.files && req.files.voice_note ? req.files.voice_note[0] : null;
+  const uploadedFiles = voiceNote ? [...uploaded.files, voiceNote] : uploaded.files;
+
   try {
     console.log('📥 Received POST /api/reports');
     console.log('Body:', req.body);
-    console.log('File:', req.file ? 'Present' : 'Missing');
+    console.log('Files:', uploaded.files.length);
 
     const {
       type,
@@ -127,58 +462,120 @@ router.post('/', upload.single('image'), async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!type || !severity || !latitude || !longitude || !address || !perceptual_hash) {
+    if (!type || !severity || !latitude || !longitude || !address) {
+      await attachments.discard(uploadedFiles);
       return res.status(400).json({ 
         success: false, 
         error: 'Missing required fields',
-        required: ['type', 'severity', 'latitude', 'longitude', 'address', 'perceptual_hash']
+        required: ['type', 'severity', 'latitude', 'longitude', 'address']
       });
     }
 
-    if (!req.file) {
+    if (uploaded.files.length === 0) {
+      await attachments.discard(uploadedFiles);
       return res.status(400).json({ success: false, error: 'Image file is required' });
     }
 
+    const roles = uploaded.roles(req.body.attachment_roles, 'evidence');
+    const attachmentError = roles.error || await attachmentLimitError(null, uploaded.files.length);
+    if (attachmentError) {
+      await attachments.discard(uploadedFiles);
+      return res.status(400).json({ success: false, error: attachmentError });
+    }
+
+    // Voice notes must be real audio within the duration limit
+    const voiceNoteCheck = voiceNote ? await audio.validateVoiceNote(voiceNote) : { duration: null };
+    if (voiceNoteCheck.error) {
+      await attachments.discard(uploadedFiles);
+      return res.status(400).json({ success: false, error: voiceNoteCheck.error });
+    }
+
     const reportId = uuidv4();
+    // Reports are owned by the calling citizen's device identity, if any
+    const reporterId = req.user ? req.user.id : null;
     // Store relative path, not absolute path
-    const imagePath = req.file.path.replace(/^.*\/uploads\//, 'uploads/');
+    const imagePath = attachments.filePath(uploaded.files[0]);
 
-    // Check for duplicates
-    const duplicateCheck = await duplicateDetection.checkAndMarkDuplicate(
-      reportId,
-      perceptual_hash,
-      parseFloat(latitude),
-      parseFloat(longitude)
-    );
+    // Hash the stored image ourselves - the client's perceptual_hash is only
+    // kept to spot clients that send hashes of some other image. Every
+    // algorithm is computed so older reports hashed differently still match.
+    const hashes = await imageHash.computeAll(uploaded.files[0].path);
+    const computedHash = { hash: hashes[imageHash.algorithm], algorithm: imageHash.algorithm, version: imageHash.version };
+    const clientHashCheck = perceptual_hash
+      ? await imageHash.checkClientHash(perceptual_hash, uploaded.files[0].path)
+      : { distance: null, mismatch: false };
 
-    const reportStatus = duplicateCheck.isDuplicate ? 'duplicate' : 'reported';
+    // Route to a department using the routing rules
+    const routed = await routing.route({ type, severity, latitude, longitude, description, ai_labels });
 
     // Insert report
     const query = `
       INSERT INTO reports (
         id, type, severity, status, latitude, longitude, address,
-        description, image_path, perceptual_hash, ai_confidence,
-        ai_labels, reporter_anonymous, duplicate_of
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        description, image_path, perceptual_hash, hash_algorithm, hash_version,
+        client_perceptual_hash, client_hash_distance, hash_mismatch, ai_confidence,
+        ai_labels, reporter_id, reporter_anonymous,
+        assigned_department, voice_note_path, voice_note_duration
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
-      reportId, type, severity, reportStatus,
+      reportId, type, severity, 'reported',
       parseFloat(latitude), parseFloat(longitude), address,
-      description || null, imagePath, perceptual_hash,
+      description || null, imagePath, computedHash.hash, computedHash.algorithm, computedHash.version,
+      perceptual_hash || null, clientHashCheck.distance, clientHashCheck.mismatch ? 1 : 0,
       ai_confidence ? parseFloat(ai_confidence) : null,
-      ai_labels || null, reporter_anonymous === 'true' || reporter_anonymous === true,
-      duplicateCheck.duplicateOf || null
+      ai_labels || null, reporterId, reporter_anonymous === 'true' || reporter_anonymous === true,
+      routed.department,
+      voiceNote ? attachments.filePath(voiceNote) : null,
+      voiceNoteCheck.duration
     ];
 
     await database.run(query, params);
+    await duplicateDetection.saveHashes(reportId, hashes);
+
+    // Check for duplicates - once the report exists, so marking it can be logged
+    const duplicateCheck = await duplicateDetection.checkAndMarkDuplicate(
+      reportId,
+      hashes,
+      parseFloat(latitude),
+      parseFloat(longitude)
+    );
+
+    const reportStatus = duplicateCheck.isDuplicate ? 'duplicate' : 'reported';
+
+    await attachments.add(reportId, uploaded.files, roles.roles, reporterId);
+    await sla.assign(reportId);
+    await priority.recompute(reportId);
 
     // Log activity
     await database.run(
-      'INSERT INTO activity_log (report_id, action, details) VALUES (?, ?, ?)',
-      [reportId, 'created', `Report created with status: ${reportStatus}`]
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [reportId, reporterId, 'created', `Report created with status: ${reportStatus}`]
     );
 
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [reportId, null, 'routed', JSON.stringify({
+        department: routed.department,
+        rule_id: routed.rule ? routed.rule.id : null,
+        rule_name: routed.rule ? routed.rule.name : null,
+        fallback: routed.fallback
+      })]
+    );
+
+    if (clientHashCheck.mismatch) {
+      await database.run(
+        'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+        [reportId, null, 'hash_mismatch', JSON.stringify({
+          client_hash: perceptual_hash,
+          distance: clientHashCheck.distance,
+          threshold: imageHash.mismatchThreshold
+        })]
+      );
+      console.warn(`⚠️  Client perceptual hash does not match the image for report ${reportId}`);
+    }
+
     console.log(`✅ Report created successfully: ${reportId} (${reportStatus})`);
 
     // Send real-time notification
@@ -202,13 +599,21 @@ router.post('/', upload.single('image'), async (req, res) => {
       success: true,
       id: reportId,
       status: reportStatus,
+      assignedDepartment: routed.department,
       message: duplicateCheck.isDuplicate 
         ? `Report marked as duplicate of ${duplicateCheck.duplicateOf}`
         : 'Report created successfully',
       duplicateInfo: duplicateCheck.isDuplicate ? {
         duplicateOf: duplicateCheck.duplicateOf,
         matchScore: duplicateCheck.matchScore
-      } : null
+      } : null,
+      perceptualHash: {
+        hash: computedHash.hash,
+        algorithm: computedHash.algorithm,
+        version: computedHash.version,
+        clientHashMismatch: clientHashCheck.mismatch
+      },
+      attachments: await attachments.list(reportId, req.user, { assigned_department: routed.department })
     });
 
   } catch (error) {
@@ -217,107 +622,567 @@ router.post('/', upload.single('image'), async (req, res) => {
   }
 });
 
+// Bulk actions and the permission each one needs
+const BULK_ACTIONS = {
+  status: 'reports:update',
+  assign: 'reports:assign',
+  priority: 'reports:update',
+  delete: 'reports:delete',
+  mark_duplicate: 'reports:update'
+};
+
+// Request inputs each bulk action uses
+const BULK_FIELDS = {
+  status: ['status', 'reason'],
+  assign: ['department'],
+  priority: ['priority'],
+  delete: ['reason'],
+  mark_duplicate: ['duplicate_of']
+};
+
+const MAX_BULK_ITEMS = 200;
+
+/**
+ * POST /api/reports/bulk
+ * Apply one action to many reports in a single transaction
+ * Items that fail validation are reported individually; a database error
+ * rolls back the whole batch
+ */
+router.post('/bulk', authenticate, async (req, res) => {
+  const { ids, action, status, department, priority, duplicate_of } = req.body;
+
+  if (!BULK_ACTIONS[action]) {
+    return res.status(400).json({ success: false, error: 'Invalid bulk action', validActions: Object.keys(BULK_ACTIONS) });
+  }
+
+  if (!permissions.can(req.user, BULK_ACTIONS[action])) {
+    return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ success: false, error: 'ids must be a non-empty array' });
+  }
+
+  if (ids.length > MAX_BULK_ITEMS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_BULK_ITEMS} reports per bulk operation` });
+  }
+
+  if (action === 'status' && !status) {
+    return res.status(400).json({ success: false, error: 'Status is required' });
+  }
+
+  if (action === 'mark_duplicate' && !duplicate_of) {
+    return res.status(400).json({ success: false, error: 'duplicate_of is required' });
+  }
+
+  if (action === 'priority' && !Number.isInteger(Number(priority))) {
+    return res.status(400).json({ success: false, error: 'Priority must be an integer' });
+  }
+
+  try {
+    if (action === 'assign') {
+      const exists = await database.get('SELECT id FROM departments WHERE name = ? AND active = 1', [department || '']);
+      if (!exists) {
+        return res.status(400).json({ success: false, error: 'Department not found' });
+      }
+    }
+
+    const fields = {};
+    BULK_FIELDS[action].forEach(name => {
+      fields[name] = req.body[name];
+    });
+    if (action === 'priority') {
+      fields.priority = Number(priority);
+    }
+
+    const results = await database.transaction(async () => {
+      const itemResults = [];
+      for (const id of [...new Set(ids)]) {
+        itemResults.push(await applyBulkAction(id, action, fields, req.user));
+      }
+      return itemResults;
+    });
+
+    const succeeded = results.filter(result => result.success);
+
+    console.log(`📦 Bulk ${action} by ${req.user.username}: ${succeeded.length}/${results.length} succeeded`);
+
+    if (global.notifications && succeeded.length > 0) {
+      // Only the inputs of the action - delete reasons are not broadcast
+      global.notifications.notifyBulkUpdate(action, succeeded.map(result => result.id), {
+        status: action === 'mark_duplicate' ? 'duplicate' : fields.status,
+        department: fields.department,
+        priority: fields.priority,
+        duplicate_of: fields.duplicate_of
+      });
+
+      succeeded.filter(result => result.moved).forEach(result => {
+        global.notifications.notifyMerge(result.id, duplicate_of, { moved: result.moved, repointed: result.repointed });
+      });
+    }
+
+    res.json({
+      success: true,
+      action,
+      total: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error applying bulk operation:', error);
+    res.status(500).json({ success: false, error: 'Bulk operation failed - no changes were applied' });
+  }
+});
+
+/**
+ * Apply a bulk action to one report (runs inside the bulk transaction)
+ * Returns the per-item result
+ */
+async function applyBulkAction(id, action, fields, user) {
+  const report = await database.get('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL', [id]);
+
+  if (!report) {
+    return { id, success: false, status: 404, error: 'Report not found' };
+  }
+
+  if (!permissions.canAccessReport(user, report)) {
+    return { id, success: false, status: 403, error: 'Report is assigned to another department' };
+  }
+
+  const logActivity = (activity, details) => database.run(
+    'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+    [id, user.id, activity, JSON.stringify({ ...details, bulk: true })]
+  );
+
+  switch (action) {
+    case 'status':
+    case 'mark_duplicate': {
+      const to = action === 'mark_duplicate' ? 'duplicate' : fields.status;
+
+      if (to === report.status) {
+        return { id, success: true, changed: false };
+      }
+
+      // Marking a duplicate merges the report (upvotes move to the target)
+      if (to === 'duplicate') {
+        const rejection = await merge.check(report, fields.duplicate_of, user);
+        if (rejection) {
+          return { id, success: false, status: rejection.status, error: rejection.body.error };
+        }
+
+        const parent = await database.get('SELECT * FROM reports WHERE id = ?', [fields.duplicate_of]);
+        const { moved, repointed } = await merge.apply(report, parent, user);
+        await sla.assign(id);
+        await priority.recompute(id);
+
+        return { id, success: true, changed: true, from: report.status, to, moved, repointed };
+      }
+
+      const rejection = await workflow.check(report, to, fields);
+      if (rejection) {
+        if (rejection.status === 409) {
+          await workflow.logRejected(report, to, user.id, rejection.body.error);
+        }
+        return { id, success: false, status: rejection.status, error: rejection.body.error };
+      }
+
+      const { sets, params } = workflow.statusUpdates(report, to, fields);
+      await database.run(`UPDATE reports SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+      await workflow.logTransition(report, to, fields, user.id);
+
+      await sla.assign(id);
+      await priority.recompute(id);
+
+      return { id, success: true, changed: true, from: report.status, to };
+    }
+
+    case 'assign': {
+      if (report.assigned_department === fields.department) {
+        return { id, success: true, changed: false };
+      }
+
+      await database.run(
+        'UPDATE reports SET assigned_department = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [fields.department, id]
+      );
+      await logActivity('assigned', { from: report.assigned_department, to: fields.department });
+      await sla.assign(id);
+
+      return { id, success: true, changed: true, from: report.assigned_department, to: fields.department };
+    }
+
+    case 'priority': {
+      // Manual adjustment on top of the computed priority score
+      if ((report.priority_boost || 0) === fields.priority) {
+        return { id, success: true, changed: false };
+      }
+
+      await database.run(
+        'UPDATE reports SET priority_boost = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [fields.priority, id]
+      );
+      const score = await priority.recompute(id);
+      await logActivity('priority_changed', { boost_from: report.priority_boost || 0, boost_to: fields.priority, priority: score });
+
+      return { id, success: true, changed: true, from: report.priority, to: score };
+    }
+
+    case 'delete': {
+      const reason = fields.reason || 'Admin decision';
+
+      await database.run(
+        'UPDATE reports SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, delete_reason = ? WHERE id = ?',
+        [user.id, reason, id]
+      );
+      await logActivity('deleted', { reason, deleted_at: new Date().toISOString() });
+
+      return { id, success: true, changed: true };
+    }
+  }
+}
+
+/**
+ * PATCH /api/reports/:id
+ * Edit a report's descriptive fields, recording a revision of every change
+ */
+router.patch('/:id', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  try {
+    const report = req.report;
+    const updates = req.body || {};
+
+    const validationError = revisions.validate(updates);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, editableFields: revisions.editableFields });
+    }
+
+    const changes = revisions.diff(report, updates);
+    const fields = Object.keys(changes);
+
+    if (fields.length === 0) {
+      return res.json({ success: true, message: 'No changes', report: serializeReport(report, req.user) });
+    }
+
+    await database.run(
+      `UPDATE reports SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(field => changes[field].new), report.id]
+    );
+
+    const revisionId = await revisions.record(report.id, req.user.id, changes);
+
+    if (changes.type || changes.severity) {
+      await sla.assign(report.id);
+      await priority.recompute(report.id);
+    }
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, req.user.id, 'edited', JSON.stringify({ revision_id: revisionId, fields })]
+    );
+
+    if (global.notifications) {
+      global.notifications.notifyReportEdited(report.id, fields);
+    }
+
+    const updated = await database.get('SELECT * FROM reports WHERE id = ?', [report.id]);
+
+    res.json({
+      success: true,
+      message: 'Report updated successfully',
+      revisionId,
+      changes,
+      report: serializeReport(updated, req.user)
+    });
+
+  } catch (error) {
+    console.error('Error editing report:', error);
+    res.status(500).json({ success: false, error: 'Failed to update report' });
+  }
+});
+
+/**
+ * GET /api/reports/:id/revisions
+ * Edit history of a report (who, when, old/new value per field)
+ */
+router.get('/:id/revisions', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  try {
+    const history = await revisions.list(req.params.id);
+    res.json({ success: true, count: history.length, revisions: history });
+
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch revisions' });
+  }
+});
+
+/**
+ * GET /api/reports/:id/transitions
+ * List the status transitions currently allowed for a report
+ */
+router.get('/:id/transitions', authenticate, requirePermission('reports:update'), requireReportAccess, (req, res) => {
+  res.json({
+    success: true,
+    currentStatus: req.report.status,
+    transitions: workflow.allowedTransitions(req.report.status)
+  });
+});
+
 /**
  * PATCH /api/reports/:id/status
- * Update report status
+ * Update report status following the workflow transition graph
+ */
+router.patch('/:id/status', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  const { status, resolution_notes, internal_notes, assigned_department, assigned_to, reason, duplicate_of } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ success: false, error: 'Status is required' });
+  }
+
+  return changeStatus(req, res, status, { resolution_notes, internal_notes, assigned_department, assigned_to, reason, duplicate_of });
+});
+
+/**
+ * PATCH /api/reports/:id/notes
+ * Set a report's staff-only internal notes without touching its status
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/notes', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, resolution_notes, assigned_department, assigned_to } = req.body;
+    const { internal_notes } = req.body;
+
+    if (typeof internal_notes !== 'string') {
+      return res.status(400).json({ success: false, error: 'internal_notes must be a string' });
+    }
+
+    const notes = internal_notes.trim() || null;
+
+    await database.run(
+      'UPDATE reports SET internal_notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [notes, req.report.id]
+    );
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [req.report.id, req.user.id, 'updated', JSON.stringify({ internal_notes: notes })]
+    );
+
+    res.json({ success: true, message: 'Internal notes saved', internal_notes: notes });
+  } catch (error) {
+    console.error('Error saving internal notes:', error);
+    res.status(500).json({ success: false, error: 'Failed to save internal notes' });
+  }
+});
+
+/**
+ * POST /api/reports/:id/reopen
+ * Reopen a resolved or closed report (clears resolved_at/closed_at)
+ */
+router.post('/:id/reopen', authenticate, requirePermission('reports:update'), requireReportAccess, (req, res) => {
+  return changeStatus(req, res, 'reported', { reason: req.body.reason });
+});
+
+/**
+ * POST /api/reports/:id/merge
+ * Mark a report as a duplicate of `duplicate_of`, moving its upvotes and
+ * verifications (and any reports merged into it) to that report
+ */
+router.post('/:id/merge', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  try {
+    const { duplicate_of } = req.body;
 
-    if (!status) {
-      return res.status(400).json({ success: false, error: 'Status is required' });
+    if (!duplicate_of) {
+      return res.status(400).json({ success: false, error: 'duplicate_of is required' });
     }
 
-    const validStatuses = ['reported', 'acknowledged', 'in_progress', 'resolved', 'closed', 'duplicate'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, error: 'Invalid status' });
+    const result = await merge.merge(req.report, duplicate_of, req.user);
+    if (result.body) {
+      return res.status(result.status).json(result.body);
     }
 
-    let query = 'UPDATE reports SET status = ?, updated_at = CURRENT_TIMESTAMP';
-    const params = [status];
+    const updated = await database.get('SELECT * FROM reports WHERE id = ?', [req.report.id]);
 
-    // Set timestamp fields based on status
-    if (status === 'acknowledged') {
-      query += ', acknowledged_at = CURRENT_TIMESTAMP';
-    } else if (status === 'in_progress') {
-      query += ', in_progress_at = CURRENT_TIMESTAMP';
-    } else if (status === 'resolved') {
-      query += ', resolved_at = CURRENT_TIMESTAMP';
-    } else if (status === 'closed') {
-      query += ', closed_at = CURRENT_TIMESTAMP';
+    res.json({
+      success: true,
+      message: `Report merged into ${duplicate_of}`,
+      report: serializeReport(updated, req.user),
+      moved: result.moved,
+      repointed: result.repointed
+    });
+  } catch (error) {
+    console.error('Error merging report:', error);
+    res.status(500).json({ success: false, error: 'Failed to merge report' });
+  }
+});
+
+/**
+ * POST /api/reports/:id/unmerge
+ * Undo a merge - restores the report's previous status and moves its
+ * upvotes and verifications back
+ */
+router.post('/:id/unmerge', authenticate, requirePermission('reports:update'), requireReportAccess, async (req, res) => {
+  try {
+    const result = await merge.unmerge(req.report, req.user);
+    if (result.body) {
+      return res.status(result.status).json(result.body);
     }
 
+    const updated = await database.get('SELECT * FROM reports WHERE id = ?', [req.report.id]);
+
+    res.json({
+      success: true,
+      message: `Report unmerged from ${result.report.duplicate_of}`,
+      report: serializeReport(updated, req.user),
+      moved: result.moved
+    });
+  } catch (error) {
+    console.error('Error unmerging report:', error);
+    res.status(500).json({ success: false, error: 'Failed to unmerge report' });
+  }
+});
+
+/**
+ * Apply a status change (or, when the status is unchanged, just the
+ * assignment/notes fields) to req.report
+ */
+async function changeStatus(req, res, status, fields) {
+  try {
+    let report = req.report;
+    const { id } = report;
+    const { resolution_notes, internal_notes, assigned_department, assigned_to } = fields;
+
+    // Only admins may move a report between departments
+    if (assigned_department && assigned_department !== report.assigned_department &&
+        !permissions.can(req.user, 'reports:assign')) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions to reassign department' });
+    }
+
+    // Marking a duplicate merges the report (upvotes move to the target);
+    // any other fields sent along are then applied to the merged report
+    if (status === 'duplicate' && report.status !== 'duplicate') {
+      const merged = await merge.merge(report, fields.duplicate_of, req.user);
+      if (merged.body) {
+        return res.status(merged.status).json(merged.body);
+      }
+
+      if (![resolution_notes, internal_notes, assigned_department, assigned_to].some(Boolean)) {
+        return res.json({ success: true, message: 'Report status updated successfully', status });
+      }
+      report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
+    }
+
+    const isTransition = status !== report.status;
+
+    if (isTransition) {
+      const rejection = await workflow.check(report, status, fields);
+      if (rejection) {
+        if (rejection.status === 409) {
+          await workflow.logRejected(report, status, req.user.id, rejection.body.error);
+        }
+        return res.status(rejection.status).json(rejection.body);
+      }
+    }
+
+    const { sets, params } = isTransition
+      ? workflow.statusUpdates(report, status, fields)
+      : { sets: ['updated_at = CURRENT_TIMESTAMP'], params: [] };
+
     if (resolution_notes) {
-      query += ', resolution_notes = ?';
+      sets.push('resolution_notes = ?');
       params.push(resolution_notes);
     }
 
+    if (internal_notes) {
+      sets.push('internal_notes = ?');
+      params.push(internal_notes);
+    }
+
     if (assigned_department) {
-      query += ', assigned_department = ?';
+      sets.push('assigned_department = ?');
       params.push(assigned_department);
     }
 
     if (assigned_to) {
-      query += ', assigned_to = ?';
+      sets.push('assigned_to = ?');
       params.push(assigned_to);
     }
 
-    query += ' WHERE id = ?';
     params.push(id);
-
-    const result = await database.run(query, params);
+    const result = await database.run(`UPDATE reports SET ${sets.join(', ')} WHERE id = ?`, params);
 
     if (result.changes === 0) {
       return res.status(404).json({ success: false, error: 'Report not found' });
     }
 
     // Log activity
-    await database.run(
-      'INSERT INTO activity_log (report_id, action, details) VALUES (?, ?, ?)',
-      [id, 'status_updated', `Status changed to: ${status}`]
-    );
+    if (isTransition) {
+      await workflow.logTransition(report, status, fields, req.user.id);
+    } else {
+      await database.run(
+        'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+        [id, req.user.id, 'updated', JSON.stringify({ assigned_department, assigned_to, resolution_notes, internal_notes })]
+      );
+    }
+
+    // A new department or status can change which SLA deadline applies
+    await sla.assign(id);
+    await priority.recompute(id);
 
     // Send real-time notification
     if (global.notifications) {
-      const oldReport = await database.get('SELECT status FROM reports WHERE id = ?', [id]);
-      global.notifications.notifyStatusChange(id, oldReport?.status, status, {
+      global.notifications.notifyStatusChange(id, report.status, status, {
         assigned_department,
         assigned_to,
-        resolution_notes
+        resolution_notes,
+        reason: fields.reason
       });
     }
 
-    res.json({ success: true, message: 'Report status updated successfully' });
+    res.json({ success: true, message: 'Report status updated successfully', status });
 
   } catch (error) {
     console.error('Error updating report status:', error);
     res.status(500).json({ success: false, error: 'Failed to update report status' });
   }
-});
+}
 
 /**
  * POST /api/reports/:id/pof
  * Upload Proof of Fix (PoF) image with civic coins reward - marks report as RESOLVED
  */
-router.post('/:id/pof', upload.single('pof_image'), async (req, res) => {
+router.post('/:id/pof', authenticate, requirePermission('reports:resolve'), requireReportAccess, uploadPhotos('pof_image'), async (req, res) => {
+  const uploaded = uploadedPhotos(req, 'pof_image');
+
   try {
     const { id } = req.params;
-    const { resolution_notes = '', civic_coins = 10 } = req.body;
+    const { resolution_notes = '', internal_notes, civic_coins = 10 } = req.body;
+    const report = req.report;
 
-    if (!req.file) {
+    if (uploaded.files.length === 0) {
       return res.status(400).json({ success: false, error: 'PoF image is required' });
     }
 
-    const report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
-    
-    if (!report) {
-      return res.status(404).json({ success: false, error: 'Report not found' });
+    const roles = uploaded.roles(req.body.attachment_roles, 'after');
+    const attachmentError = roles.error || await attachmentLimitError(id, uploaded.files.length);
+    if (attachmentError) {
+      await attachments.discard(uploaded.files);
+      return res.status(400).json({ success: false, error: attachmentError });
+    }
+
+    const rejection = await workflow.check(report, 'resolved');
+    if (rejection) {
+      await attachments.discard(uploaded.files);
+      if (rejection.status === 409) {
+        await workflow.logRejected(report, 'resolved', req.user.id, rejection.body.error);
+      }
+      return res.status(rejection.status).json(rejection.body);
     }
 
     // Store relative path, not absolute path
-    const pofImagePath = req.file.path.replace(/^.*\/uploads\//, 'uploads/');
+    const pofImagePath = attachments.filePath(uploaded.files[0]);
+
+    // Coins go to the registered citizen who filed the report; reports filed
+    // without a device identity have nobody to award
+    const userId = report.reporter_id;
+    const coinsAwarded = userId ? (parseInt(civic_coins) || 0) : 0;
 
     // Update report with proof of fix and mark as RESOLVED
     await database.run(
@@ -328,79 +1193,76 @@ router.post('/:id/pof', upload.single('pof_image'), async (req, res) => {
         status = 'resolved',
         resolved_at = CURRENT_TIMESTAMP,
         resolution_notes = ?,
+        internal_notes = COALESCE(?, internal_notes),
         civic_coins_awarded = ?,
         after_image_path = ?,
         updated_at = CURRENT_TIMESTAMP
        WHERE id = ?`,
-      [pofImagePath, resolution_notes, civic_coins, pofImagePath, id]
+      [pofImagePath, resolution_notes, internal_notes || null, coinsAwarded, pofImagePath, id]
     );
 
-    // Award civic coins to the reporter
-    // Use reporter_id if available, otherwise use a default anonymous user ID
-    const userId = report.reporter_id || report.user_id || `report_${id}`;
-    
-    console.log(`💰 Awarding ${civic_coins} coins to user: ${userId}`);
-    console.log(`Report details: reporter_id=${report.reporter_id}, user_id=${report.user_id}`);
-    
-    // Update or create civic coins record
-    try {
-      const result = await database.run(`
-        INSERT OR REPLACE INTO civic_coins (
-          user_id, 
-          current_balance, 
-          total_earned, 
-          last_updated
-        ) VALUES (
-          ?, 
-          COALESCE((SELECT current_balance FROM civic_coins WHERE user_id = ?), 0) + ?,
-          COALESCE((SELECT total_earned FROM civic_coins WHERE user_id = ?), 0) + ?,
-          CURRENT_TIMESTAMP
-        )
-      `, [userId, userId, civic_coins, userId, civic_coins]);
-      console.log(`✅ Civic coins record created/updated: ${JSON.stringify(result)}`);
-    } catch (error) {
-      console.error(`❌ Error updating civic coins:`, error);
-      throw error;
-    }
+    await attachments.add(id, uploaded.files, roles.roles, req.user.id);
 
-    // Log the coin transaction
-    try {
-      const result = await database.run(`
-        INSERT INTO coin_transactions (
-          user_id,
-          report_id,
-          transaction_type,
-          amount,
-          description,
-          created_at
-        ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `, [userId, id, 'earned', civic_coins, `Report resolved - proof of fix provided: ${resolution_notes || 'No notes'}`]);
-      console.log(`✅ Transaction logged: ${JSON.stringify(result)}`);
-    } catch (error) {
-      console.error(`❌ Error logging transaction:`, error);
-      throw error;
-    }
+    if (userId && coinsAwarded > 0) {
+      console.log(`💰 Awarding ${coinsAwarded} coins to user: ${userId}`);
+    
+      // Update or create civic coins record
+      try {
+        const result = await database.run(`
+          INSERT OR REPLACE INTO civic_coins (
+            user_id, 
+            current_balance, 
+            total_earned, 
+            last_updated
+          ) VALUES (
+            ?, 
+            COALESCE((SELECT current_balance FROM civic_coins WHERE user_id = ?), 0) + ?,
+            COALESCE((SELECT total_earned FROM civic_coins WHERE user_id = ?), 0) + ?,
+            CURRENT_TIMESTAMP
+          )
+        `, [userId, userId, coinsAwarded, userId, coinsAwarded]);
+        console.log(`✅ Civic coins record created/updated: ${JSON.stringify(result)}`);
+      } catch (error) {
+        console.error(`❌ Error updating civic coins:`, error);
+        throw error;
+      }
 
-    // Update the report with the user_id if it was missing
-    if (!report.reporter_id) {
-      await database.run('UPDATE reports SET reporter_id = ? WHERE id = ?', [userId, id]);
-      console.log(`✅ Updated report with reporter_id: ${userId}`);
+      // Log the coin transaction
+      try {
+        const result = await database.run(`
+          INSERT INTO coin_transactions (
+            user_id,
+            report_id,
+            transaction_type,
+            amount,
+            description,
+            created_at
+          ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [userId, id, 'earned', coinsAwarded, `Report resolved - proof of fix provided: ${resolution_notes || 'No notes'}`]);
+        console.log(`✅ Transaction logged: ${JSON.stringify(result)}`);
+      } catch (error) {
+        console.error(`❌ Error logging transaction:`, error);
+        throw error;
+      }
+    } else if (!userId) {
+      console.log(`ℹ️  Report ${id} has no registered reporter - no civic coins awarded`);
     }
 
     // Log resolution activity
     await database.run(
       'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
-      [id, 'admin', 'resolved_with_pof', JSON.stringify({ 
+      [id, req.user.id, 'resolved_with_pof', JSON.stringify({ 
         pof_image: pofImagePath, 
         resolution_notes, 
-        civic_coins_awarded: civic_coins,
+        internal_notes: internal_notes || null,
+        civic_coins_awarded: coinsAwarded,
         resolved_at: new Date().toISOString(),
         report_type: report.type,
         report_location: report.address
       })]
     );
 
-    console.log(`✅ PoF uploaded for report ${id} - Marked as RESOLVED - Awarded ${civic_coins} civic coins`);
+    console.log(`✅ PoF uploaded for report ${id} - Marked as RESOLVED - Awarded ${coinsAwarded} civic coins`);
 
     // Send real-time notification
     if (global.notifications) {
@@ -408,10 +1270,10 @@ router.post('/:id/pof', upload.single('pof_image'), async (req, res) => {
         type: 'report_resolved',
         reportId: id,
         data: {
-          report,
+          report: serializeReport(report, null),
           pofImagePath,
           resolutionNotes: resolution_notes,
-          civicCoinsAwarded: civic_coins,
+          civicCoinsAwarded: coinsAwarded,
           resolvedAt: new Date().toISOString()
         },
         timestamp: new Date().toISOString()
@@ -423,7 +1285,8 @@ router.post('/:id/pof', upload.single('pof_image'), async (req, res) => {
       message: 'Proof of Fix uploaded successfully - Report marked as RESOLVED',
       data: {
         pof_image_path: pofImagePath,
-        civic_coins_awarded: civic_coins,
+        attachments: await attachments.list(id, req.user, req.report),
+        civic_coins_awarded: coinsAwarded,
         resolution_notes: resolution_notes,
         status: 'resolved',
         resolved_at: new Date().toISOString()
@@ -438,23 +1301,22 @@ router.post('/:id/pof', upload.single('pof_image'), async (req, res) => {
 
 /**
  * POST /api/reports/:id/verify
- * Community verification/upvote
+ * Community verification/upvote - counted once per device token
  */
-router.post('/:id/verify', async (req, res) => {
+router.post('/:id/verify', authenticate, requirePermission('reports:verify'), requireReportAccess, recordVerification);
+
+async function recordVerification(req, res) {
   try {
     const { id } = req.params;
-    const { user_id, verification_type = 'upvote' } = req.body;
-
-    const report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
-    
-    if (!report) {
-      return res.status(404).json({ success: false, error: 'Report not found' });
-    }
+    const { verification_type = 'upvote' } = req.body;
+    // Only the caller's token identifies the verifier - a self-declared
+    // user_id would let anyone vote any number of times
+    const verifierId = req.user.id;
 
     // Check if user already verified
     const existing = await database.get(
       'SELECT * FROM verifications WHERE report_id = ? AND user_id = ? AND verification_type = ?',
-      [id, user_id || 'anonymous', verification_type]
+      [id, verifierId, verification_type]
     );
 
     if (existing) {
@@ -464,7 +1326,7 @@ router.post('/:id/verify', async (req, res) => {
     // Add verification
     await database.run(
       'INSERT INTO verifications (report_id, user_id, verification_type) VALUES (?, ?, ?)',
-      [id, user_id || 'anonymous', verification_type]
+      [id, verifierId, verification_type]
     );
 
     // Update report counts
@@ -491,6 +1353,8 @@ router.post('/:id/verify', async (req, res) => {
       newCount = 1;
     }
 
+    await priority.recompute(id);
+
     // Send real-time notification
     if (global.notifications) {
       global.notifications.notifyVerification(id, verification_type, newCount);
@@ -505,64 +1369,42 @@ router.post('/:id/verify', async (req, res) => {
     console.error('Error recording verification:', error);
     res.status(500).json({ success: false, error: 'Failed to record verification' });
   }
-});
+}
 
 /**
  * POST /api/reports/:id/upvote
  * Upvote a report (shorthand for verify with type=upvote)
  */
-router.post('/:id/upvote', async (req, res) => {
+router.post('/:id/upvote', authenticate, requirePermission('reports:verify'), requireReportAccess, (req, res) => {
   req.body.verification_type = 'upvote';
-  return router.stack.find(r => r.route.path === '/:id/verify').route.stack[0].handle(req, res);
+  return recordVerification(req, res);
 });
 
 /**
  * DELETE /api/reports/:id
- * Delete a report (admin only)
+ * Move a report to the trash (admin) - it can be restored until the
+ * retention job purges it
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('reports:delete'), requireReportAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { reason = 'Admin decision' } = req.body;
+    const report = req.report;
 
-    console.log(`🗑️ Admin deleting report: ${id}, reason: ${reason}`);
-
-    // Check if report exists
-    const report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
-    
-    if (!report) {
-      return res.status(404).json({ success: false, error: 'Report not found' });
-    }
-
-    // Disable foreign key constraints temporarily
-    await database.run('PRAGMA foreign_keys = OFF');
-
-    try {
-      // Delete related verifications first
-      await database.run('DELETE FROM verifications WHERE report_id = ?', [id]);
-
-      // Delete related activity logs
-      await database.run('DELETE FROM activity_log WHERE report_id = ?', [id]);
-
-      // Delete the report
-      const deleteResult = await database.run('DELETE FROM reports WHERE id = ?', [id]);
-      
-      if (deleteResult.changes === 0) {
-        return res.status(404).json({ success: false, error: 'Report not found' });
-      }
+    console.log(`🗑️ ${req.user.username} deleting report: ${id}, reason: ${reason}`);
 
-      // Log the deletion (without foreign key constraint)
-      await database.run(`
-        INSERT INTO activity_log (report_id, user_id, action, details)
-        VALUES (?, ?, ?, ?)
-      `, [id, 'admin', 'deleted', JSON.stringify({ reason, deleted_at: new Date().toISOString() })]);
+    await database.run(
+      `UPDATE reports SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, delete_reason = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [req.user.id, reason, id]
+    );
 
-    } finally {
-      // Re-enable foreign key constraints
-      await database.run('PRAGMA foreign_keys = ON');
-    }
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [id, req.user.id, 'deleted', JSON.stringify({ reason, deleted_at: new Date().toISOString() })]
+    );
 
-    console.log(`✅ Report ${id} deleted successfully`);
+    console.log(`✅ Report ${id} moved to trash`);
 
     // Send real-time notification
     if (global.notifications) {
@@ -570,7 +1412,7 @@ router.delete('/:id', async (req, res) => {
         type: 'report_deleted',
         reportId: id,
         data: {
-          report,
+          report: serializeReport(report, null),
           reason,
           deletedAt: new Date().toISOString()
         },
@@ -584,17 +1426,60 @@ router.delete('/:id', async (req, res) => {
       deletedReport: {
         id: report.id,
         type: report.type,
-        reason
+        reason,
+        purgeAfterDays: retention.retentionDays
       }
     });
 
   } catch (error) {
     console.error('Error deleting report:', error);
-    // Ensure foreign keys are re-enabled even if there's an error
-    await database.run('PRAGMA foreign_keys = ON').catch(() => {});
     res.status(500).json({ success: false, error: 'Failed to delete report' });
   }
 });
 
+/**
+ * POST /api/reports/:id/restore
+ * Restore a soft-deleted report from the trash (admin)
+ */
+router.post('/:id/restore', authenticate, requirePermission('reports:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await database.run(
+      `UPDATE reports SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NOT NULL`,
+      [id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: 'Deleted report not found' });
+    }
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [id, req.user.id, 'restored', JSON.stringify({ restored_at: new Date().toISOString() })]
+    );
+
+    const report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
+
+    console.log(`♻️  Report ${id} restored by ${req.user.username}`);
+
+    if (global.notifications) {
+      global.notifications.broadcast({
+        type: 'report_restored',
+        reportId: id,
+        data: { report: serializeReport(report, null) },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ success: true, message: 'Report restored successfully', report: serializeReport(report, req.user) });
+
+  } catch (error) {
+    console.error('Error restoring report:', error);
+    res.status(500).json({ success: false, error: 'Failed to restore report' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../config/database');
+const routing = require('../services/routing');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate, requirePermission('routing:manage'));
+
+/**
+ * Normalise a rule payload from a request body
+ */
+function ruleFields(body) {
+  const { name, department, priority, conditions, active } = body;
+  return {
+    name,
+    department,
+    priority: priority === undefined ? undefined : Number(priority),
+    conditions,
+    active
+  };
+}
+
+/**
+ * GET /api/routing/rules
+ * List routing rules in evaluation order
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await routing.listRules();
+    res.json({ success: true, count: rules.length, rules, fallbackDepartment: routing.fallbackDepartment });
+
+  } catch (error) {
+    console.error('Error fetching routing rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch routing rules' });
+  }
+});
+
+/**
+ * POST /api/routing/rules
+ * Create a routing rule
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const fields = ruleFields(req.body);
+
+    const validationError = await routing.validateRule(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const rule = await routing.createRule({ ...fields, createdBy: req.user.id });
+
+    console.log(`🧭 Routing rule created: ${rule.name} → ${rule.department}`);
+
+    res.status(201).json({ success: true, rule });
+
+  } catch (error) {
+    console.error('Error creating routing rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to create routing rule' });
+  }
+});
+
+/**
+ * PATCH /api/routing/rules/:id
+ * Update a routing rule (name, department, priority, conditions, active)
+ */
+router.patch('/rules/:id', async (req, res) => {
+  try {
+    const fields = ruleFields(req.body);
+
+    const validationError = await routing.validateRule(fields, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const rule = await routing.updateRule(req.params.id, fields);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+
+    res.json({ success: true, rule });
+
+  } catch (error) {
+    console.error('Error updating routing rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to update routing rule' });
+  }
+});
+
+/**
+ * DELETE /api/routing/rules/:id
+ * Delete a routing rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const deleted = await routing.deleteRule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+
+    res.json({ success: true, message: 'Routing rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting routing rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete routing rule' });
+  }
+});
+
+/**
+ * POST /api/routing/dry-run
+ * Show which rule would fire for a report - either an existing `report_id`
+ * or report fields (type, severity, latitude, longitude, description, ai_labels)
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    let report = req.body;
+
+    if (req.body.report_id) {
+      report = await database.get('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL', [req.body.report_id]);
+      if (!report) {
+        return res.status(404).json({ success: false, error: 'Report not found' });
+      }
+    }
+
+    const result = await routing.route(report);
+
+    res.json({
+      success: true,
+      department: result.department,
+      fallback: result.fallback,
+      rule: result.rule,
+      evaluations: result.evaluations
+    });
+
+  } catch (error) {
+    console.error('Error running routing dry run:', error);
+    res.status(500).json({ success: false, error: 'Failed to evaluate routing rules' });
+  }
+});
+
+/**
+ * GET /api/routing/queue
+ * Fallback queue - open reports no rule could assign to a department
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const reports = await database.query(`
+      SELECT * FROM reports
+      WHERE assigned_department IS NULL
+        AND deleted_at IS NULL
+        AND status NOT IN ('resolved', 'closed', 'duplicate')
+      ORDER BY created_at ASC
+      LIMIT ? OFFSET ?
+    `, [parseInt(limit), parseInt(offset)]);
+
+    res.json({ success: true, count: reports.length, reports });
+
+  } catch (error) {
+    console.error('Error fetching routing queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch routing queue' });
+  }
+});
+
+module.exports = router;
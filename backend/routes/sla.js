@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../config/database');
+const sla = require('../services/sla');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate, requirePermission('sla:manage'));
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Validate an SLA policy payload
+ * Returns an error message, or null if valid
+ */
+async function validatePolicy({ department, severity, acknowledge_hours, resolve_hours }, partial) {
+  if (department) {
+    const exists = await database.get('SELECT id FROM departments WHERE name = ?', [department]);
+    if (!exists) return 'Department not found';
+  }
+
+  if (severity && !SEVERITIES.includes(severity)) {
+    return `Severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+
+  for (const [field, value] of Object.entries({ acknowledge_hours, resolve_hours })) {
+    if (value === undefined && partial) continue;
+    if (!(Number(value) > 0)) return `${field} must be a positive number`;
+  }
+
+  if (acknowledge_hours !== undefined && resolve_hours !== undefined &&
+      Number(acknowledge_hours) > Number(resolve_hours)) {
+    return 'acknowledge_hours cannot exceed resolve_hours';
+  }
+
+  return null;
+}
+
+/**
+ * Recompute deadlines of open reports a policy change may affect
+ */
+async function reassignOpenReports() {
+  const open = await database.query(
+    "SELECT id FROM reports WHERE status IN ('reported', 'acknowledged', 'in_progress') AND deleted_at IS NULL"
+  );
+  for (const { id } of open) {
+    await sla.assign(id);
+  }
+  return open.length;
+}
+
+/**
+ * GET /api/sla/policies
+ * List SLA policies
+ */
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await sla.listPolicies();
+    res.json({ success: true, count: policies.length, policies });
+
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch SLA policies' });
+  }
+});
+
+/**
+ * POST /api/sla/policies
+ * Create a policy - department, type and severity are optional match criteria
+ */
+router.post('/policies', async (req, res) => {
+  try {
+    const { department, type, severity, acknowledge_hours, resolve_hours } = req.body;
+
+    const validationError = await validatePolicy(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await database.run(
+      `INSERT INTO sla_policies (department, type, severity, acknowledge_hours, resolve_hours)
+       VALUES (?, ?, ?, ?, ?)`,
+      [department || null, type || null, severity || null, Number(acknowledge_hours), Number(resolve_hours)]
+    );
+
+    const reassigned = await reassignOpenReports();
+
+    res.status(201).json({ success: true, policy: await sla.getPolicy(result.lastID), reassigned });
+
+  } catch (error) {
+    console.error('Error creating SLA policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to create SLA policy' });
+  }
+});
+
+/**
+ * PATCH /api/sla/policies/:id
+ * Update target times or deactivate a policy
+ */
+router.patch('/policies/:id', async (req, res) => {
+  try {
+    const policy = await sla.getPolicy(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'SLA policy not found' });
+    }
+
+    const { acknowledge_hours, resolve_hours, active } = req.body;
+    const merged = {
+      acknowledge_hours: acknowledge_hours ?? policy.acknowledge_hours,
+      resolve_hours: resolve_hours ?? policy.resolve_hours
+    };
+
+    const validationError = await validatePolicy(merged, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    await database.run(
+      `UPDATE sla_policies SET acknowledge_hours = ?, resolve_hours = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [Number(merged.acknowledge_hours), Number(merged.resolve_hours), active === undefined ? policy.active : !!active, req.params.id]
+    );
+
+    const reassigned = await reassignOpenReports();
+
+    res.json({ success: true, policy: await sla.getPolicy(req.params.id), reassigned });
+
+  } catch (error) {
+    console.error('Error updating SLA policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to update SLA policy' });
+  }
+});
+
+/**
+ * DELETE /api/sla/policies/:id
+ * Delete a policy
+ */
+router.delete('/policies/:id', async (req, res) => {
+  try {
+    const result = await database.run('DELETE FROM sla_policies WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: 'SLA policy not found' });
+    }
+
+    const reassigned = await reassignOpenReports();
+
+    res.json({ success: true, message: 'SLA policy deleted successfully', reassigned });
+
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete SLA policy' });
+  }
+});
+
+/**
+ * POST /api/sla/check
+ * Run the SLA checker immediately
+ */
+router.post('/check', async (req, res) => {
+  try {
+    await sla.check();
+
+    const summary = await database.query(`
+      SELECT sla_status, COUNT(*) as count FROM reports
+      WHERE deleted_at IS NULL AND sla_status IS NOT NULL
+      GROUP BY sla_status
+    `);
+
+    res.json({ success: true, summary });
+
+  } catch (error) {
+    console.error('Error running SLA check:', error);
+    res.status(500).json({ success: false, error: 'Failed to run SLA check' });
+  }
+});
+
+module.exports = router;
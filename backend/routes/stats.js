@@ -1,21 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../config/database');
+const permissions = require('../services/permissions');
+const geo = require('../services/geo');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/stats
  * Get comprehensive statistics
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, requirePermission('stats:read'), async (req, res) => {
   try {
     const stats = {};
 
+    // Deleted reports are excluded; officials only get statistics for their own department
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+    const scope = permissions.reportScope(req.user);
+    if (scope) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    const and = ` AND ${conditions.join(' AND ')}`;
+
     // Total reports
-    const total = await database.get('SELECT COUNT(*) as count FROM reports');
+    const total = await database.get(`SELECT COUNT(*) as count FROM reports${where}`, params);
     stats.total = total.count;
 
     // By status
-    const byStatus = await database.query('SELECT status, COUNT(*) as count FROM reports GROUP BY status');
+    const byStatus = await database.query(`SELECT status, COUNT(*) as count FROM reports${where} GROUP BY status`, params);
     stats.byStatus = byStatus;
 
     // Calculate specific statuses
@@ -25,17 +39,18 @@ router.get('/', async (req, res) => {
     stats.duplicates = byStatus.find(s => s.status === 'duplicate')?.count || 0;
 
     // By type
-    const byType = await database.query('SELECT type, COUNT(*) as count FROM reports GROUP BY type');
+    const byType = await database.query(`SELECT type, COUNT(*) as count FROM reports${where} GROUP BY type`, params);
     stats.byType = byType;
 
     // By severity
-    const bySeverity = await database.query('SELECT severity, COUNT(*) as count FROM reports GROUP BY severity');
+    const bySeverity = await database.query(`SELECT severity, COUNT(*) as count FROM reports${where} GROUP BY severity`, params);
     stats.bySeverity = bySeverity;
     stats.critical = bySeverity.find(s => s.severity === 'critical')?.count || 0;
 
     // By department
     const byDepartment = await database.query(
-      'SELECT assigned_department, COUNT(*) as count FROM reports WHERE assigned_department IS NOT NULL GROUP BY assigned_department'
+      `SELECT assigned_department, COUNT(*) as count FROM reports WHERE assigned_department IS NOT NULL${and} GROUP BY assigned_department`,
+      params
     );
     stats.byDepartment = byDepartment;
 
@@ -43,36 +58,36 @@ router.get('/', async (req, res) => {
     const recentStats = await database.get(`
       SELECT COUNT(*) as count
       FROM reports
-      WHERE created_at >= datetime('now', '-7 days')
-    `);
+      WHERE created_at >= datetime('now', '-7 days')${and}
+    `, params);
     stats.recentReports = recentStats.count;
 
     // Average resolution time (in hours)
     const avgResolution = await database.get(`
       SELECT AVG((julianday(resolved_at) - julianday(created_at)) * 24) as avg_hours
       FROM reports
-      WHERE resolved_at IS NOT NULL
-    `);
+      WHERE resolved_at IS NOT NULL${and}
+    `, params);
     stats.avgResolutionTime = avgResolution.avg_hours ? Math.round(avgResolution.avg_hours * 10) / 10 : null;
 
     // Top verified reports
     const topVerified = await database.query(`
       SELECT id, type, address, verification_count, upvotes
       FROM reports
-      WHERE verification_count > 0 OR upvotes > 0
+      WHERE (verification_count > 0 OR upvotes > 0)${and}
       ORDER BY (verification_count + upvotes) DESC
       LIMIT 5
-    `);
+    `, params);
     stats.topVerified = topVerified;
 
     // Most common issue type
     const mostCommon = await database.get(`
       SELECT type, COUNT(*) as count
-      FROM reports
+      FROM reports${where}
       GROUP BY type
       ORDER BY count DESC
       LIMIT 1
-    `);
+    `, params);
     stats.mostCommonIssue = mostCommon;
 
     res.json({
@@ -91,15 +106,27 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/stats/heatmap
- * Get data for heatmap visualization
+ * Get data for heatmap visualization, optionally limited to a `bbox`
  */
-router.get('/heatmap', async (req, res) => {
+router.get('/heatmap', authenticate, requirePermission('stats:read'), async (req, res) => {
   try {
-    const { type, status } = req.query;
+    const { type, status, bbox } = req.query;
 
     let query = 'SELECT latitude, longitude, severity FROM reports';
     const params = [];
-    const conditions = [];
+    const conditions = ['deleted_at IS NULL'];
+
+    // Only the visible map area
+    if (bbox) {
+      const box = geo.parseBbox(bbox);
+      if (!box) {
+        return res.status(400).json({ success: false, error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+      }
+
+      const { condition, params: boxParams } = geo.boxCondition(box);
+      conditions.push(condition);
+      params.push(...boxParams);
+    }
 
     if (type) {
       conditions.push('type = ?');
@@ -111,6 +138,12 @@ router.get('/heatmap', async (req, res) => {
       params.push(status);
     }
 
+    const scope = permissions.reportScope(req.user);
+    if (scope) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../config/database');
+const auth = require('../services/auth');
+const { v4: uuidv4 } = require('uuid');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const validRoles = ['admin', 'official', 'citizen'];
+
+router.use(authenticate, requirePermission('users:manage'));
+
+/**
+ * GET /api/users
+ * List admin/official/citizen accounts (admin only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await database.query(`
+      SELECT u.id, u.username, u.email, u.role, u.department_id, u.full_name,
+             u.phone, u.active, u.created_at, u.last_login, d.name as department_name
+      FROM users u
+      LEFT JOIN departments d ON u.department_id = d.id
+      ORDER BY u.created_at DESC
+    `);
+
+    res.json({ success: true, users });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user account (admin only)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { username, email, password, role = 'official', department_id, full_name, phone } = req.body;
+
+    if (!username || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['username', 'email', 'password']
+      });
+    }
+
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({ success: false, error: 'Invalid role', validRoles });
+    }
+
+    if (role === 'official' && !department_id) {
+      return res.status(400).json({ success: false, error: 'Officials must belong to a department' });
+    }
+
+    const existing = await database.get(
+      'SELECT id FROM users WHERE username = ? OR email = ?',
+      [username, email]
+    );
+
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'Username or email already in use' });
+    }
+
+    const userId = uuidv4();
+    await database.run(
+      `INSERT INTO users (id, username, email, password_hash, role, department_id, full_name, phone)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, username, email, await auth.hashPassword(password), role,
+        department_id || null, full_name || null, phone || null]
+    );
+
+    console.log(`✅ User created: ${username} (${role})`);
+
+    res.status(201).json({ success: true, id: userId });
+
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ success: false, error: 'Failed to create user' });
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Update role, department, active flag or password (admin only)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, department_id, active, password, full_name, phone } = req.body;
+
+    const user = await database.get('SELECT * FROM users WHERE id = ?', [id]);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (role && !validRoles.includes(role)) {
+      return res.status(400).json({ success: false, error: 'Invalid role', validRoles });
+    }
+
+    const newRole = role || user.role;
+    const newDepartment = department_id !== undefined ? department_id : user.department_id;
+    if (newRole === 'official' && !newDepartment) {
+      return res.status(400).json({ success: false, error: 'Officials must belong to a department' });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (role) {
+      updates.push('role = ?');
+      params.push(role);
+    }
+
+    if (department_id !== undefined) {
+      updates.push('department_id = ?');
+      params.push(department_id || null);
+    }
+
+    if (active !== undefined) {
+      updates.push('active = ?');
+      params.push(active === true || active === 'true' ? 1 : 0);
+    }
+
+    if (password) {
+      updates.push('password_hash = ?');
+      params.push(await auth.hashPassword(password));
+    }
+
+    if (full_name !== undefined) {
+      updates.push('full_name = ?');
+      params.push(full_name);
+    }
+
+    if (phone !== undefined) {
+      updates.push('phone = ?');
+      params.push(phone);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    params.push(id);
+    await database.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    res.json({ success: true, message: 'User updated successfully' });
+
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ success: false, error: 'Failed to update user' });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../config/database');
+const pagination = require('../services/pagination');
+const { authenticate, optionalAuth, requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/vouchers
- * Get available vouchers for redemption
+ * Get available vouchers for redemption, cheapest first (cursor paginated)
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, requirePermission('vouchers:read'), async (req, res) => {
   try {
-    const vouchers = await database.query(
-      'SELECT * FROM vouchers WHERE active = 1 ORDER BY coin_cost ASC'
-    );
+    const { limit, cursor, offset, fields } = req.query;
+
+    const fieldList = await pagination.parseFields(fields, 'vouchers');
+    if (fieldList.error) {
+      return res.status(400).json({ success: false, error: fieldList.error });
+    }
+
+    const result = await pagination.paginate('SELECT * FROM vouchers WHERE active = 1', [], {
+      keys: [{ expr: 'coin_cost', order: 'ASC' }, { expr: 'id', order: 'ASC' }],
+      limit,
+      cursor,
+      offset
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
     res.json({
       success: true,
-      data: { vouchers: vouchers || [] }
+      data: {
+        vouchers: result.items.map(voucher => pagination.selectFields(voucher, fieldList.fields)),
+        count: result.items.length,
+        total: result.total,
+        nextCursor: result.nextCursor
+      }
     });
 
   } catch (error) {
@@ -25,16 +46,12 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/vouchers/:voucherId/redeem
- * Redeem a voucher using civic coins
+ * Redeem a voucher using the caller's civic coins (requires a device token)
  */
-router.post('/:voucherId/redeem', async (req, res) => {
+router.post('/:voucherId/redeem', authenticate, requirePermission('vouchers:redeem'), async (req, res) => {
   try {
     const { voucherId } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'User ID is required' });
-    }
+    const userId = req.user.id;
 
     // Get voucher details
     const voucher = await database.get(
@@ -0,0 +1,117 @@
+/**
+ * Image Hash Backfill
+ * Computes server-side perceptual hashes for reports stored before the
+ * backend hashed images itself, or with an older algorithm/version, and
+ * fills report_hashes with every algorithm's hash
+ * Run with: node scripts/backfill-image-hashes.js [--dry-run] [--force] [--limit=N]
+ *
+ * --dry-run  report what would change without writing
+ * --force    rehash every report, even if already current
+ * --limit=N  stop after N reports
+ *
+ * A hash stored before hash_algorithm existed came from the client; it is
+ * moved to client_perceptual_hash and checked against the image.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+const storage = require('../config/storage');
+const imageHash = require('../services/imageHash');
+const duplicateDetection = require('../services/duplicateDetection');
+
+const BATCH_SIZE = 200;
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const FORCE = args.includes('--force');
+const LIMIT = parseInt((args.find(arg => arg.startsWith('--limit=')) || '').split('=')[1]) || Infinity;
+
+/**
+ * Local file of a stored image path - uploads/x, or an absolute path from
+ * the old format
+ */
+function imageFile(imagePath) {
+  return path.join(storage.uploadDir, path.basename(imagePath));
+}
+
+async function backfillReport(report) {
+  const file = imageFile(report.image_path);
+  if (!fs.existsSync(file)) return 'missing';
+
+  const hashes = await imageHash.computeAll(file);
+  const clientHash = report.hash_algorithm ? report.client_perceptual_hash : report.perceptual_hash;
+  const clientCheck = clientHash
+    ? await imageHash.checkClientHash(clientHash, file)
+    : { distance: null, mismatch: false };
+
+  if (DRY_RUN) return clientCheck.mismatch ? 'mismatch' : 'updated';
+
+  await database.run(
+    `UPDATE reports
+     SET perceptual_hash = ?, hash_algorithm = ?, hash_version = ?,
+         client_perceptual_hash = ?, client_hash_distance = ?, hash_mismatch = ?
+     WHERE id = ?`,
+    [hashes[imageHash.algorithm], imageHash.algorithm, imageHash.version,
+     clientHash || null, clientCheck.distance, clientCheck.mismatch ? 1 : 0, report.id]
+  );
+  await duplicateDetection.saveHashes(report.id, hashes);
+
+  return clientCheck.mismatch ? 'mismatch' : 'updated';
+}
+
+async function backfill() {
+  await database.initialize();
+
+  console.log(`🔎 Hashing with ${imageHash.algorithm} v${imageHash.version}${DRY_RUN ? ' (dry run)' : ''}\n`);
+
+  const counts = { updated: 0, mismatch: 0, missing: 0, failed: 0 };
+  let processed = 0;
+  let lastRowid = 0;
+
+  // "algorithm:version" of every current hash - reports missing one are rehashed
+  const currentHashes = Object.entries(imageHash.algorithms).map(([algorithm, { version }]) => `${algorithm}:${version}`);
+
+  while (processed < LIMIT) {
+    const batch = await database.query(
+      `SELECT rowid, id, image_path, perceptual_hash, hash_algorithm, client_perceptual_hash
+       FROM reports
+       WHERE rowid > ?
+         AND (? OR hash_algorithm IS NULL OR hash_algorithm != ? OR hash_version < ?
+           OR (SELECT COUNT(*) FROM report_hashes
+               WHERE report_id = reports.id
+                 AND algorithm || ':' || version IN (${currentHashes.map(() => '?').join(', ')})) < ?)
+       ORDER BY rowid
+       LIMIT ?`,
+      [lastRowid, FORCE ? 1 : 0, imageHash.algorithm, imageHash.version,
+       ...currentHashes, currentHashes.length, Math.min(BATCH_SIZE, LIMIT - processed)]
+    );
+    if (batch.length === 0) break;
+
+    for (const report of batch) {
+      try {
+        counts[await backfillReport(report)]++;
+      } catch (error) {
+        console.error(`❌ ${report.id}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+
+    processed += batch.length;
+    lastRowid = batch[batch.length - 1].rowid;
+    console.log(`   ${processed} reports processed`);
+  }
+
+  console.log(`\n✅ Hashed ${counts.updated + counts.mismatch} reports`);
+  console.log(`⚠️  ${counts.mismatch} client hashes did not match their image`);
+  console.log(`📁 ${counts.missing} images missing, ${counts.failed} failed`);
+}
+
+backfill()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close().catch(() => {}));
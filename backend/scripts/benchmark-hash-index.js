@@ -0,0 +1,71 @@
+/**
+ * Hash Index Benchmark
+ * Compares "all hashes within Hamming distance k" through a linear scan and
+ * the in-memory multi-index (services/hashIndex)
+ * Run with: node scripts/benchmark-hash-index.js [reportCount]
+ *
+ * Hashes are random, so almost nothing matches - real photo hashes cluster
+ * more and the index visits more candidates per query.
+ */
+
+const crypto = require('crypto');
+const imageHash = require('../services/imageHash');
+const hashIndex = require('../services/hashIndex');
+
+const REPORT_COUNT = parseInt(process.argv[2]) || 100000;
+const QUERIES_PER_RADIUS = 50;
+const RADII = [4, 8, 12, 16, 20]; // bits
+
+function randomHash() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Average milliseconds per query and average matches
+ */
+function time(search, queries) {
+  let totalMs = 0;
+  let totalMatches = 0;
+
+  for (const query of queries) {
+    const started = process.hrtime.bigint();
+    const matches = search(query);
+    totalMs += Number(process.hrtime.bigint() - started) / 1e6;
+    totalMatches += matches.length;
+  }
+
+  return { ms: totalMs / queries.length, matches: totalMatches / queries.length };
+}
+
+function benchmark() {
+  console.log(`📥 Indexing ${REPORT_COUNT} hashes...`);
+  const started = Date.now();
+
+  const hashes = Array.from({ length: REPORT_COUNT }, randomHash);
+  hashes.forEach((hash, i) => hashIndex.add(`bench-${i}`, { phash: hash }));
+
+  console.log(`✅ Indexed in ${((Date.now() - started) / 1000).toFixed(1)}s\n`);
+
+  const SEARCHES = {
+    'Scan': radius => query => hashes.filter(hash => imageHash.distance(query, hash) <= radius),
+    'Index': radius => query => hashIndex.search('phash', query, radius)
+  };
+
+  console.log(`⏱️  Average over ${QUERIES_PER_RADIUS} random queries per radius\n`);
+  console.log('radius (bits) | search | avg ms  | avg matches');
+  console.log('--------------|--------|---------|------------');
+
+  for (const radius of RADII) {
+    // Stored hashes, so every query has at least one match
+    const queries = Array.from({ length: QUERIES_PER_RADIUS }, () => hashes[Math.floor(Math.random() * hashes.length)]);
+
+    for (const [name, search] of Object.entries(SEARCHES)) {
+      const result = time(search(radius), queries);
+      console.log(
+        `${String(radius).padStart(13)} | ${name.padEnd(6)} | ${result.ms.toFixed(2).padStart(7)} | ${result.matches.toFixed(1).padStart(11)}`
+      );
+    }
+  }
+}
+
+benchmark();
@@ -0,0 +1,156 @@
+/**
+ * Spatial Index Benchmark
+ * Compares bounding-box queries through a full table scan, the plain
+ * B-tree on (latitude, longitude) and the reports_rtree R*Tree index
+ * Run with: node scripts/benchmark-spatial.js [reportCount]
+ *
+ * Uses a throwaway database in the OS temp directory.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const DB_PATH = path.join(os.tmpdir(), `civic_fix_benchmark_${process.pid}.db`);
+process.env.DATABASE_URL = DB_PATH;
+
+const database = require('../config/database');
+const geo = require('../services/geo');
+
+const REPORT_COUNT = parseInt(process.argv[2]) || 100000;
+const QUERIES_PER_RADIUS = 50;
+const RADII = [100, 500, 2000]; // meters
+
+// Roughly a metropolitan area (~45 km x 55 km)
+const AREA = { minLat: 17.2, maxLat: 17.6, minLng: 78.2, maxLng: 78.7 };
+const TYPES = ['pothole', 'streetlight', 'trash', 'graffiti', 'damaged_sign', 'broken_sidewalk', 'water_leak'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+function randomIn(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function exec(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    database.db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+async function seed() {
+  console.log(`📥 Inserting ${REPORT_COUNT} reports...`);
+  const started = Date.now();
+
+  await exec('BEGIN');
+  const statement = database.db.prepare(
+    `INSERT INTO reports (id, type, severity, latitude, longitude, address, image_path, perceptual_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  for (let i = 0; i < REPORT_COUNT; i++) {
+    await new Promise((resolve, reject) => {
+      statement.run([
+        `bench-${i}`,
+        pick(TYPES),
+        pick(SEVERITIES),
+        randomIn(AREA.minLat, AREA.maxLat),
+        randomIn(AREA.minLng, AREA.maxLng),
+        `Benchmark street ${i}`,
+        'uploads/benchmark.jpg',
+        Math.floor(Math.random() * 0xffffffff).toString(16).padStart(8, '0')
+      ], err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  await new Promise(resolve => statement.finalize(resolve));
+  await exec('COMMIT');
+  await exec('ANALYZE');
+
+  console.log(`✅ Inserted in ${((Date.now() - started) / 1000).toFixed(1)}s\n`);
+}
+
+/**
+ * Random query boxes - every index runs the same set
+ */
+function randomBoxes(radius) {
+  return Array.from({ length: QUERIES_PER_RADIUS }, () =>
+    geo.boundingBox(randomIn(AREA.minLat, AREA.maxLat), randomIn(AREA.minLng, AREA.maxLng), radius)
+  );
+}
+
+/**
+ * Average milliseconds per query and average rows returned
+ */
+async function time(buildQuery, boxes) {
+  let totalMs = 0;
+  let totalRows = 0;
+
+  for (const box of boxes) {
+    const { sql, params } = buildQuery(box);
+
+    const started = process.hrtime.bigint();
+    const rows = await database.query(sql, params);
+    totalMs += Number(process.hrtime.bigint() - started) / 1e6;
+    totalRows += rows.length;
+  }
+
+  return { ms: totalMs / boxes.length, rows: totalRows / boxes.length };
+}
+
+// Same shape as the duplicate detection candidate query
+const QUERIES = {
+  'Scan': box => ({
+    sql: `SELECT id, latitude, longitude FROM reports NOT INDEXED
+          WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+            AND status NOT IN ('duplicate', 'closed') AND deleted_at IS NULL`,
+    params: [box.minLat, box.maxLat, box.minLng, box.maxLng]
+  }),
+  'B-tree': box => ({
+    sql: `SELECT id, latitude, longitude FROM reports INDEXED BY idx_reports_location
+          WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+            AND status NOT IN ('duplicate', 'closed') AND deleted_at IS NULL`,
+    params: [box.minLat, box.maxLat, box.minLng, box.maxLng]
+  }),
+  'R*Tree': box => {
+    const { condition, params } = geo.boxCondition(box);
+    return {
+      sql: `SELECT id, latitude, longitude FROM reports
+            WHERE ${condition}
+              AND status NOT IN ('duplicate', 'closed') AND deleted_at IS NULL`,
+      params
+    };
+  }
+};
+
+async function benchmark() {
+  await database.initialize();
+  await seed();
+
+  console.log(`⏱️  Average over ${QUERIES_PER_RADIUS} random queries per radius\n`);
+  console.log('radius (m) | index  | avg ms | avg rows');
+  console.log('-----------|--------|--------|---------');
+
+  for (const radius of RADII) {
+    const boxes = randomBoxes(radius);
+
+    for (const [name, buildQuery] of Object.entries(QUERIES)) {
+      const result = await time(buildQuery, boxes);
+      console.log(
+        `${String(radius).padStart(10)} | ${name.padEnd(6)} | ${result.ms.toFixed(2).padStart(6)} | ${result.rows.toFixed(1).padStart(8)}`
+      );
+    }
+  }
+}
+
+benchmark()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await database.close().catch(() => {});
+    fs.rmSync(DB_PATH, { force: true });
+  });
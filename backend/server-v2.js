@@ -5,14 +5,31 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const path = require('path');
-const rateLimit = require('express-rate-limit');
 
 // Import configuration and services
 const database = require('./config/database');
 const storage = require('./config/storage');
 const notifications = require('./services/notifications');
+const auth = require('./services/auth');
+const permissions = require('./services/permissions');
+const retention = require('./services/retention');
+const sla = require('./services/sla');
+const priority = require('./services/priority');
+const pagination = require('./services/pagination');
+const hashIndex = require('./services/hashIndex');
+const { authenticate, optionalAuth, requirePermission, identifyApiKey } = require('./middleware/auth');
+const { limiter, apiKeyLimiter } = require('./middleware/rateLimit');
 
 // Import routes
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const devicesRouter = require('./routes/devices');
+const meRouter = require('./routes/me');
+const apiKeysRouter = require('./routes/api-keys');
+const commentsRouter = require('./routes/comments');
+const attachmentsRouter = require('./routes/attachments');
+const routingRouter = require('./routes/routing');
+const slaRouter = require('./routes/sla');
 const reportsRouter = require('./routes/reports');
 const duplicatesRouter = require('./routes/duplicates');
 const statsRouter = require('./routes/stats');
@@ -45,13 +62,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/admin', express.static(path.join(__dirname, '../admin')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: { success: false, error: 'Too many requests, please try again later.' }
-});
-app.use('/api/', limiter);
+// Rate limiting - per IP, or per key for partner API keys
+app.use('/api/', identifyApiKey, apiKeyLimiter, limiter);
 
 // Request logging
 app.use((req, res, next) => {
@@ -78,6 +90,15 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', authRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/devices', devicesRouter);
+app.use('/api/me', meRouter);
+app.use('/api/api-keys', apiKeysRouter);
+app.use('/api/routing', routingRouter);
+app.use('/api/sla', slaRouter);
+app.use('/api/reports/:id/comments', commentsRouter);
+app.use('/api/reports/:id/attachments', attachmentsRouter);
 app.use('/api/reports', reportsRouter);
 app.use('/api/duplicates', duplicatesRouter);
 app.use('/api/stats', statsRouter);
@@ -85,7 +106,7 @@ app.use('/api/civic-coins', civicCoinsRouter);
 app.use('/api/vouchers', vouchersRouter);
 
 // Departments API
-app.get('/api/departments', async (req, res) => {
+app.get('/api/departments', optionalAuth, requirePermission('departments:read'), async (req, res) => {
   try {
     const departments = await database.query('SELECT * FROM departments WHERE active = 1 ORDER BY name');
     res.json({ success: true, departments });
@@ -95,24 +116,87 @@ app.get('/api/departments', async (req, res) => {
   }
 });
 
-// Activity log API
-app.get('/api/activity', async (req, res) => {
+// Set a department's SLA escalation supervisor (admin)
+app.patch('/api/departments/:id', authenticate, requirePermission('departments:manage'), async (req, res) => {
   try {
-    const { report_id, limit = 50 } = req.query;
+    const { supervisor_id } = req.body;
+
+    if (supervisor_id) {
+      const supervisor = await database.get(
+        "SELECT id FROM users WHERE id = ? AND active = 1 AND role IN ('admin', 'official')",
+        [supervisor_id]
+      );
+      if (!supervisor) {
+        return res.status(400).json({ success: false, error: 'Supervisor must be an active admin or official' });
+      }
+    }
+
+    const result = await database.run(
+      'UPDATE departments SET supervisor_id = ? WHERE id = ?',
+      [supervisor_id || null, req.params.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: 'Department not found' });
+    }
+
+    const department = await database.get('SELECT * FROM departments WHERE id = ?', [req.params.id]);
+    res.json({ success: true, department });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    res.status(500).json({ success: false, error: 'Failed to update department' });
+  }
+});
+
+// Activity log API - newest first, cursor paginated
+app.get('/api/activity', authenticate, requirePermission('activity:read'), async (req, res) => {
+  try {
+    const { report_id, limit, cursor, offset, fields } = req.query;
+
+    const fieldList = await pagination.parseFields(fields, 'activity_log');
+    if (fieldList.error) {
+      return res.status(400).json({ success: false, error: fieldList.error });
+    }
     
-    let query = 'SELECT * FROM activity_log';
+    let query = 'SELECT activity_log.* FROM activity_log';
     const params = [];
+    const conditions = [];
 
     if (report_id) {
-      query += ' WHERE report_id = ?';
+      conditions.push('activity_log.report_id = ?');
       params.push(report_id);
     }
 
-    query += ' ORDER BY created_at DESC LIMIT ?';
-    params.push(parseInt(limit));
+    // Officials only see activity for reports in their department
+    const scope = permissions.reportScope(req.user, 'reports.assigned_department');
+    if (scope) {
+      query += ' JOIN reports ON reports.id = activity_log.report_id';
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+
+    const result = await pagination.paginate(query, params, {
+      keys: [{ expr: 'created_at', order: 'DESC' }, { expr: 'id', order: 'DESC' }],
+      limit,
+      cursor,
+      offset
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
-    const activities = await database.query(query, params);
-    res.json({ success: true, activities });
+    res.json({
+      success: true,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      activities: result.items.map(activity => pagination.selectFields(activity, fieldList.fields))
+    });
 
   } catch (error) {
     console.error('Error fetching activity log:', error);
@@ -124,14 +208,21 @@ app.get('/api/activity', async (req, res) => {
 app.use((err, req, res, next) => {
   console.error('❌ Error:', err);
   
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
   if (err.name === 'MulterError') {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        error: 'File too large',
-        maxSize: process.env.MAX_FILE_SIZE || '10MB'
+        error: `File too large: ${err.field}`,
+        maxSize: storage.policyFor(err.field).maxSize
       });
     }
+
+    // Too many files, or a file sent in a field the endpoint does not accept
+    return res.status(400).json({ success: false, error: `${err.message}${err.field ? `: ${err.field}` : ''}` });
   }
   
   res.status(500).json({
@@ -155,6 +246,11 @@ async function startServer() {
     // Initialize database
     console.log('🔄 Initializing database...');
     await database.initialize();
+    await auth.ensureDefaultAdmin();
+    await hashIndex.rebuild();
+    retention.start();
+    sla.start();
+    priority.start();
 
     // Start HTTP server
     const server = app.listen(PORT, () => {
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+/**
+ * API Key Service
+ * Scoped, rate-limited keys for machine-to-machine partner integrations
+ *
+ * Keys look like `cfk_<prefix>_<secret>`; only the prefix and a SHA-256 hash
+ * of the full key are stored, so a key is shown once at creation/rotation.
+ */
+
+const VALID_SCOPES = ['reports:read', 'reports:write', 'stats:read'];
+
+class ApiKeyService {
+  constructor() {
+    this.defaultRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT) || 1000; // requests per rate limit window
+    this.validScopes = VALID_SCOPES;
+  }
+
+  /**
+   * Return scopes that are not recognised
+   */
+  invalidScopes(scopes) {
+    return scopes.filter(scope => !VALID_SCOPES.includes(scope));
+  }
+
+  /**
+   * Create a key and return it with the raw secret (shown only once)
+   */
+  async create({ name, scopes, rateLimit, createdBy }) {
+    const id = uuidv4();
+    const { key, prefix } = this.generateKey();
+
+    await database.run(
+      `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, rate_limit, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, prefix, this.hashKey(key), scopes.join(','), rateLimit || this.defaultRateLimit, createdBy]
+    );
+
+    return { key, apiKey: await this.get(id) };
+  }
+
+  /**
+   * Replace the secret of an active key, keeping its ID, scopes and limits
+   */
+  async rotate(id) {
+    const { key, prefix } = this.generateKey();
+
+    const result = await database.run(
+      `UPDATE api_keys SET key_prefix = ?, key_hash = ?, rotated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND revoked_at IS NULL`,
+      [prefix, this.hashKey(key), id]
+    );
+
+    if (result.changes === 0) return null;
+
+    return { key, apiKey: await this.get(id) };
+  }
+
+  /**
+   * Revoke a key permanently
+   */
+  async revoke(id) {
+    const result = await database.run(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Update scopes, rate limit or name of an active key
+   */
+  async update(id, { name, scopes, rateLimit }) {
+    const updates = [];
+    const params = [];
+
+    if (name) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+
+    if (scopes) {
+      updates.push('scopes = ?');
+      params.push(scopes.join(','));
+    }
+
+    if (rateLimit) {
+      updates.push('rate_limit = ?');
+      params.push(rateLimit);
+    }
+
+    if (updates.length === 0) return this.get(id);
+
+    params.push(id);
+    const result = await database.run(
+      `UPDATE api_keys SET ${updates.join(', ')} WHERE id = ? AND revoked_at IS NULL`,
+      params
+    );
+
+    return result.changes > 0 ? this.get(id) : null;
+  }
+
+  async list() {
+    const rows = await database.query(
+      `SELECT id, name, key_prefix, scopes, rate_limit, created_by, created_at,
+              rotated_at, last_used_at, last_used_ip, revoked_at
+       FROM api_keys ORDER BY created_at DESC`
+    );
+    return rows.map(row => this.format(row));
+  }
+
+  async get(id) {
+    const row = await database.get(
+      `SELECT id, name, key_prefix, scopes, rate_limit, created_by, created_at,
+              rotated_at, last_used_at, last_used_ip, revoked_at
+       FROM api_keys WHERE id = ?`,
+      [id]
+    );
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Look up an active key from its raw value and record its use
+   */
+  async verify(rawKey, ip) {
+    const match = /^cfk_([a-f0-9]{8})_[a-f0-9]{64}$/.exec(rawKey || '');
+    if (!match) return null;
+
+    const row = await database.get(
+      'SELECT * FROM api_keys WHERE key_prefix = ? AND key_hash = ? AND revoked_at IS NULL',
+      [match[1], this.hashKey(rawKey)]
+    );
+
+    if (!row) return null;
+
+    await database.run(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+      [ip || null, row.id]
+    );
+
+    return this.format(row);
+  }
+
+  /**
+   * Request user representing an API key, used by the permission layer
+   */
+  toRequestUser(apiKey) {
+    return {
+      id: `apikey:${apiKey.id}`,
+      username: apiKey.name,
+      role: 'integration',
+      department_id: null,
+      scopes: apiKey.scopes,
+      api_key_id: apiKey.id
+    };
+  }
+
+  format(row) {
+    const { key_hash, ...apiKey } = row;
+    return {
+      ...apiKey,
+      scopes: row.scopes ? row.scopes.split(',') : []
+    };
+  }
+
+  generateKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    return { key: `cfk_${prefix}_${secret}`, prefix };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+module.exports = new ApiKeyService();
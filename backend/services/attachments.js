@@ -0,0 +1,183 @@
+const database = require('../config/database');
+const storage = require('../config/storage');
+const permissions = require('./permissions');
+
+/**
+ * Attachment Service
+ * Ordered photos attached to a report, each with a role:
+ * - evidence: the issue itself (close-ups)
+ * - context: surroundings, to help crews find it
+ * - before / after: work photos, `after` being proof of fix
+ *
+ * reports.image_path stays the primary image for older clients and is
+ * recorded as the first evidence attachment; pof_image_path likewise.
+ *
+ * uploaded_by (a citizen ID when the reporter uploaded it) is only returned
+ * to staff who can access the report and to the uploader - pass the caller
+ * and the report to list() and get() for them.
+ */
+
+const ROLES = ['evidence', 'context', 'before', 'after'];
+
+class AttachmentService {
+  constructor() {
+    this.roles = ROLES;
+    this.maxPerReport = parseInt(process.env.MAX_REPORT_ATTACHMENTS) || 10;
+  }
+
+  /**
+   * Stored path (uploads/...) of a multer file
+   */
+  filePath(file) {
+    return file.path.replace(/^.*\/uploads\//, 'uploads/');
+  }
+
+  /**
+   * Roles for uploaded files from a `roles` field - a JSON array or a
+   * comma-separated list matching the file order; missing entries use the
+   * default role. Returns { roles } or { error }.
+   */
+  parseRoles(value, count, defaultRole) {
+    let roles = [];
+
+    if (Array.isArray(value)) {
+      roles = value;
+    } else if (value) {
+      try {
+        roles = JSON.parse(value);
+      } catch (error) {
+        roles = String(value).split(',');
+      }
+    }
+
+    if (!Array.isArray(roles)) roles = [roles];
+    roles = roles.map(role => String(role).trim()).filter(Boolean);
+
+    if (roles.length > count) {
+      return { error: `Got ${roles.length} roles for ${count} file(s)` };
+    }
+
+    const invalid = roles.filter(role => !ROLES.includes(role));
+    if (invalid.length > 0) {
+      return { error: `Invalid attachment role: ${invalid.join(', ')}. Allowed: ${ROLES.join(', ')}` };
+    }
+
+    return { roles: Array.from({ length: count }, (_, index) => roles[index] || defaultRole) };
+  }
+
+  async list(reportId, user = null, report = null) {
+    const rows = await database.query(
+      'SELECT * FROM report_attachments WHERE report_id = ? ORDER BY position ASC, id ASC',
+      [reportId]
+    );
+    return rows.map(row => this.format(row, user, report));
+  }
+
+  async get(reportId, attachmentId, user = null, report = null) {
+    const row = await database.get(
+      'SELECT * FROM report_attachments WHERE id = ? AND report_id = ?',
+      [attachmentId, reportId]
+    );
+    return row ? this.format(row, user, report) : null;
+  }
+
+  async count(reportId) {
+    const { count } = await database.get(
+      'SELECT COUNT(*) as count FROM report_attachments WHERE report_id = ?',
+      [reportId]
+    );
+    return count;
+  }
+
+  /**
+   * Append files after the report's existing attachments
+   * @param {Array<{path: string, mimetype?: string, size?: number}>} files - multer files
+   */
+  async add(reportId, files, roles, userId) {
+    const { next } = await database.get(
+      'SELECT COALESCE(MAX(position) + 1, 0) as next FROM report_attachments WHERE report_id = ?',
+      [reportId]
+    );
+
+    for (let i = 0; i < files.length; i++) {
+      await database.run(
+        `INSERT INTO report_attachments (report_id, file_path, role, position, mime_type, size, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [reportId, this.filePath(files[i]), roles[i], next + i, files[i].mimetype || null, files[i].size || null, userId || null]
+      );
+    }
+  }
+
+  /**
+   * Change an attachment's role and/or move it to a new position
+   * (the others shift to make room)
+   */
+  async update(reportId, attachmentId, { role, position }) {
+    if (role !== undefined) {
+      await database.run(
+        'UPDATE report_attachments SET role = ? WHERE id = ? AND report_id = ?',
+        [role, attachmentId, reportId]
+      );
+    }
+
+    if (position !== undefined) {
+      const ids = (await this.list(reportId)).map(attachment => attachment.id).filter(id => id !== Number(attachmentId));
+      ids.splice(Math.max(0, Math.min(position, ids.length)), 0, Number(attachmentId));
+      await this.reorder(reportId, ids);
+    }
+  }
+
+  /**
+   * Renumber positions in the given id order
+   */
+  async reorder(reportId, ids) {
+    await database.transaction(async () => {
+      for (let i = 0; i < ids.length; i++) {
+        await database.run(
+          'UPDATE report_attachments SET position = ? WHERE id = ? AND report_id = ?',
+          [i, ids[i], reportId]
+        );
+      }
+    });
+  }
+
+  /**
+   * Delete an attachment and its file, closing the gap in the ordering
+   */
+  async remove(reportId, attachmentId) {
+    const attachment = await this.get(reportId, attachmentId);
+    if (!attachment) return false;
+
+    await database.run('DELETE FROM report_attachments WHERE id = ?', [attachmentId]);
+    await this.reorder(reportId, (await this.list(reportId)).map(remaining => remaining.id));
+    await storage.deleteFile(attachment.file_path.replace(/^.*uploads\//, ''));
+
+    return true;
+  }
+
+  /**
+   * Delete uploaded files of a request that was rejected
+   */
+  async discard(files) {
+    for (const file of files) {
+      await storage.deleteFile(file.filename);
+    }
+  }
+
+  format(row, user, report) {
+    const { uploaded_by, ...attachment } = row;
+    const formatted = {
+      ...attachment,
+      url: storage.getFileUrl(row.file_path.replace(/^uploads\//, '')),
+      urls: storage.getImageUrls(row.file_path)
+    };
+
+    const isUploader = !!user && !!uploaded_by && uploaded_by === user.id;
+    if (isUploader || (report && permissions.canViewInternalNotes(user, report))) {
+      formatted.uploaded_by = uploaded_by;
+    }
+    return formatted;
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,177 @@
+const fs = require('fs');
+
+/**
+ * Audio Service
+ * Validates voice notes attached to reports. Durations are read from the
+ * container headers, so a file is only accepted if it really is one of the
+ * supported formats:
+ * - WAV (RIFF): data chunk size / byte rate
+ * - M4A (MP4): movie header duration / timescale
+ * - Ogg (Vorbis or Opus): granule position of the last page / sample rate
+ * - AAC (ADTS): frame count x 1024 samples / sample rate
+ */
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+class AudioService {
+  constructor() {
+    this.maxDuration = parseInt(process.env.MAX_VOICE_NOTE_SECONDS) || 120;
+  }
+
+  /**
+   * Check an uploaded voice note (multer file)
+   * Returns { duration } in seconds or { error }
+   */
+  async validateVoiceNote(file) {
+    const buffer = await fs.promises.readFile(file.path);
+    const duration = this.getDuration(buffer);
+
+    if (duration === null) {
+      return { error: 'Voice note is not a valid m4a, aac, ogg or wav file' };
+    }
+
+    if (duration > this.maxDuration) {
+      return { error: `Voice note is too long (${Math.round(duration)}s, max ${this.maxDuration}s)` };
+    }
+
+    return { duration: Math.round(duration * 10) / 10 };
+  }
+
+  /**
+   * Duration in seconds of an audio file, or null if the format is not
+   * recognised or the headers are malformed
+   */
+  getDuration(buffer) {
+    try {
+      if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+        return this.wavDuration(buffer);
+      }
+      if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        return this.mp4Duration(buffer);
+      }
+      if (buffer.toString('ascii', 0, 4) === 'OggS') {
+        return this.oggDuration(buffer);
+      }
+      return this.adtsDuration(buffer);
+    } catch (error) {
+      // Truncated files read past the end of the buffer
+      return null;
+    }
+  }
+
+  wavDuration(buffer) {
+    let byteRate = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+
+      if (id === 'fmt ') {
+        byteRate = buffer.readUInt32LE(offset + 16);
+      } else if (id === 'data') {
+        // Streamed recordings may leave the size unset or too large
+        const dataSize = Math.min(size, buffer.length - offset - 8);
+        return byteRate ? dataSize / byteRate : null;
+      }
+
+      offset += 8 + size + (size % 2); // chunks are word aligned
+    }
+
+    return null;
+  }
+
+  mp4Duration(buffer) {
+    const moov = this.findBox(buffer, 0, buffer.length, 'moov');
+    const mvhd = moov && this.findBox(buffer, moov.start, moov.end, 'mvhd');
+    if (!mvhd) return null;
+
+    const version = buffer.readUInt8(mvhd.start);
+    const timescale = version === 1
+      ? buffer.readUInt32BE(mvhd.start + 20)
+      : buffer.readUInt32BE(mvhd.start + 12);
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+
+    return timescale ? duration / timescale : null;
+  }
+
+  /**
+   * Content range of the first box of `type` between start and end
+   */
+  findBox(buffer, start, end, type) {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize) return null;
+
+      if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+        return { start: offset + headerSize, end: Math.min(offset + size, end) };
+      }
+      offset += size;
+    }
+
+    return null;
+  }
+
+  oggDuration(buffer) {
+    // Identification header is the first packet of the first page
+    const segments = buffer.readUInt8(26);
+    const packet = 27 + segments;
+
+    let sampleRate;
+    let preSkip = 0;
+
+    if (buffer.toString('ascii', packet, packet + 8) === 'OpusHead') {
+      sampleRate = 48000; // Opus granule positions always count 48kHz samples
+      preSkip = buffer.readUInt16LE(packet + 10);
+    } else if (buffer.readUInt8(packet) === 1 && buffer.toString('ascii', packet + 1, packet + 7) === 'vorbis') {
+      sampleRate = buffer.readUInt32LE(packet + 12);
+    } else {
+      return null;
+    }
+
+    const lastPage = buffer.lastIndexOf('OggS');
+    const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+    if (!sampleRate || granule < 0) return null;
+
+    return Math.max(0, granule - preSkip) / sampleRate;
+  }
+
+  adtsDuration(buffer) {
+    let offset = 0;
+
+    // Skip an ID3v2 tag some encoders put in front of the stream
+    if (buffer.toString('ascii', 0, 3) === 'ID3') {
+      const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+      offset = 10 + size;
+    }
+
+    let samples = 0;
+    let sampleRate = null;
+
+    while (offset + 7 <= buffer.length && buffer[offset] === 0xff && (buffer[offset + 1] & 0xf6) === 0xf0) {
+      const rate = ADTS_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+      const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+      if (!rate || frameLength < 7) return null;
+
+      sampleRate = rate;
+      samples += 1024 * ((buffer[offset + 6] & 0x03) + 1);
+      offset += frameLength;
+    }
+
+    return sampleRate ? samples / sampleRate : null;
+  }
+}
+
+module.exports = new AudioService();
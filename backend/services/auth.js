@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+/**
+ * Authentication Service
+ * Issues short-lived JWT access tokens and revocable refresh tokens
+ * for the users table (admins and officials), and long-lived device
+ * tokens for anonymous citizens
+ */
+
+class AuthService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+    if (process.env.JWT_SECRET) {
+      this.secret = process.env.JWT_SECRET;
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    } else {
+      console.warn('⚠️  JWT_SECRET not set, using insecure development secret');
+      this.secret = 'civicfix-dev-secret';
+    }
+  }
+
+  /**
+   * Hash a plain text password
+   */
+  hashPassword(password) {
+    return bcrypt.hash(password, 10);
+  }
+
+  /**
+   * Check a username/email and password pair, returning the active user or null
+   */
+  async verifyCredentials(login, password) {
+    const user = await database.get(
+      'SELECT * FROM users WHERE (username = ? OR email = ?) AND active = 1',
+      [login, login]
+    );
+
+    if (!user) return null;
+
+    const valid = await bcrypt.compare(password, user.password_hash);
+    return valid ? user : null;
+  }
+
+  /**
+   * Issue an access/refresh token pair and record the login
+   */
+  async createSession(user) {
+    await database.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    return this.issueTokens(user);
+  }
+
+  /**
+   * Issue an access token and a new persisted refresh token
+   */
+  async issueTokens(user) {
+    const accessToken = jwt.sign(
+      { sub: user.id, role: user.role, type: 'access' },
+      this.secret,
+      { expiresIn: this.accessTokenTtl }
+    );
+
+    const tokenId = uuidv4();
+    const refreshToken = jwt.sign(
+      { sub: user.id, type: 'refresh' },
+      this.secret,
+      { expiresIn: `${this.refreshTokenTtlDays}d`, jwtid: tokenId }
+    );
+
+    await database.run(
+      `INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [tokenId, user.id, this.hashToken(refreshToken), `+${this.refreshTokenTtlDays} days`]
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Verify an access or device token and return its payload
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.secret);
+    if (payload.type !== 'access' && payload.type !== 'device') {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  }
+
+  /**
+   * Register a citizen device, returning its citizen ID and a device token
+   * A new device gets a new citizen ID. A known device keeps its ID and has its
+   * token rotated, but only for the citizen holding its current token
+   * (`citizen`, from the request's device token) - anyone else gets a conflict.
+   */
+  async registerDevice({ deviceId, platform, citizen }) {
+    const existing = await database.get('SELECT * FROM citizen_devices WHERE device_id = ?', [deviceId]);
+
+    if (existing && (!citizen || citizen.id !== existing.id)) {
+      return { conflict: true };
+    }
+
+    const citizenId = existing ? existing.id : uuidv4();
+
+    const token = jwt.sign(
+      { sub: citizenId, type: 'device' },
+      this.secret,
+      { jwtid: uuidv4() }
+    );
+
+    if (existing) {
+      await database.run(
+        `UPDATE citizen_devices SET token_hash = ?, platform = COALESCE(?, platform),
+           last_seen = CURRENT_TIMESTAMP WHERE id = ?`,
+        [this.hashToken(token), platform || null, citizenId]
+      );
+    } else {
+      await database.run(
+        `INSERT INTO citizen_devices (id, device_id, platform, token_hash, last_seen)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [citizenId, deviceId, platform || null, this.hashToken(token)]
+      );
+    }
+
+    return { citizenId, token, isNew: !existing };
+  }
+
+  /**
+   * Move everything recorded under a legacy user ID (the ID the app used
+   * before device registration) to a registered citizen - reports,
+   * verifications, civic coins and redemptions
+   * Only called by admins once the citizen's claim has been verified.
+   * Returns the rows moved per table, or null if the ID cannot be claimed.
+   */
+  async claimLegacyUser(citizenId, legacyUserId) {
+    // Registered citizens and staff accounts are never legacy IDs
+    const registered = await database.get(
+      `SELECT id FROM citizen_devices WHERE id = ?
+       UNION SELECT id FROM users WHERE id = ?`,
+      [legacyUserId, legacyUserId]
+    );
+    if (registered) return null;
+
+    return database.transaction(async () => {
+      const moved = {};
+
+      moved.reports = (await database.run(
+        'UPDATE reports SET reporter_id = ? WHERE reporter_id = ?',
+        [citizenId, legacyUserId]
+      )).changes;
+      // A report both IDs verified keeps the citizen's verification
+      moved.verifications = (await database.run(
+        'UPDATE OR IGNORE verifications SET user_id = ? WHERE user_id = ?',
+        [citizenId, legacyUserId]
+      )).changes;
+      // The citizen's balance row first - transactions and redemptions reference it
+      const coins = await database.get('SELECT * FROM civic_coins WHERE user_id = ?', [legacyUserId]);
+      if (coins) {
+        await database.run(
+          `INSERT INTO civic_coins (user_id, current_balance, total_earned, total_spent)
+           VALUES (?, ?, ?, ?)
+           ON CONFLICT(user_id) DO UPDATE SET
+             current_balance = current_balance + excluded.current_balance,
+             total_earned = total_earned + excluded.total_earned,
+             total_spent = total_spent + excluded.total_spent,
+             last_updated = CURRENT_TIMESTAMP`,
+          [citizenId, coins.current_balance || 0, coins.total_earned || 0, coins.total_spent || 0]
+        );
+      }
+      moved.coin_transactions = (await database.run(
+        'UPDATE coin_transactions SET user_id = ? WHERE user_id = ?',
+        [citizenId, legacyUserId]
+      )).changes;
+      moved.voucher_redemptions = (await database.run(
+        'UPDATE OR IGNORE voucher_redemptions SET user_id = ? WHERE user_id = ?',
+        [citizenId, legacyUserId]
+      )).changes;
+
+      // Emptied rather than deleted - redemptions of a voucher both IDs
+      // redeemed stay with the legacy ID
+      if (coins) {
+        await database.run(
+          `UPDATE civic_coins SET current_balance = 0, total_earned = 0, total_spent = 0,
+             last_updated = CURRENT_TIMESTAMP WHERE user_id = ?`,
+          [legacyUserId]
+        );
+      }
+      moved.coins = coins ? coins.current_balance || 0 : 0;
+
+      return moved;
+    });
+  }
+
+  /**
+   * Load the citizen for a verified device token, or null if revoked/rotated
+   */
+  async findDeviceCitizen(token, payload) {
+    const device = await database.get(
+      'SELECT * FROM citizen_devices WHERE id = ? AND token_hash = ? AND active = 1',
+      [payload.sub, this.hashToken(token)]
+    );
+
+    if (!device) return null;
+
+    await database.run('UPDATE citizen_devices SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [device.id]);
+
+    return {
+      id: device.id,
+      username: null,
+      role: 'citizen',
+      department_id: null,
+      device_id: device.device_id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (the old one is revoked)
+   */
+  async refreshSession(refreshToken) {
+    const stored = await this.findRefreshToken(refreshToken);
+    if (!stored) return null;
+
+    const user = await database.get('SELECT * FROM users WHERE id = ? AND active = 1', [stored.user_id]);
+    if (!user) return null;
+
+    await database.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [stored.id]
+    );
+
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  /**
+   * Revoke a refresh token, returning false if it was unknown or already revoked
+   */
+  async revokeRefreshToken(refreshToken) {
+    const stored = await this.findRefreshToken(refreshToken);
+    if (!stored) return false;
+
+    await database.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [stored.id]
+    );
+    return true;
+  }
+
+  /**
+   * Look up a valid (signed, unexpired, unrevoked) refresh token row
+   */
+  async findRefreshToken(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.secret);
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== 'refresh' || !payload.jti) return null;
+
+    return await database.get(
+      `SELECT * FROM refresh_tokens
+       WHERE id = ? AND token_hash = ? AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [payload.jti, this.hashToken(refreshToken)]
+    );
+  }
+
+  /**
+   * Create the initial admin account from ADMIN_USERNAME/ADMIN_PASSWORD
+   * if no admin exists yet
+   */
+  async ensureDefaultAdmin() {
+    const existing = await database.get("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+    if (existing) return;
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+      console.warn('⚠️  No admin user exists. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one');
+      return;
+    }
+
+    await database.run(
+      'INSERT INTO users (id, username, email, password_hash, role, full_name) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        uuidv4(),
+        username,
+        process.env.ADMIN_EMAIL || `${username}@city.gov`,
+        await this.hashPassword(password),
+        'admin',
+        'Administrator'
+      ]
+    );
+    console.log(`✅ Default admin user created: ${username}`);
+  }
+
+  /**
+   * Strip sensitive fields before sending a user to clients
+   */
+  toPublicUser(user) {
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new AuthService();
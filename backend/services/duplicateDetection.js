@@ -1,96 +1,189 @@
 const database = require('../config/database');
+const priority = require('./priority');
+const geo = require('./geo');
+const imageHash = require('./imageHash');
+const hashIndex = require('./hashIndex');
 
 /**
  * Advanced Duplicate Detection Service
- * Uses perceptual hash (pHash) and geospatial proximity to find duplicates
+ * Uses perceptual hashes (aHash/dHash/pHash) and geospatial proximity to find duplicates
+ *
+ * Reports store a hash per algorithm in report_hashes, plus the primary one
+ * in reports.perceptual_hash (hash_algorithm; rows from before server-side
+ * hashing hold the app's aHash). A candidate is compared using the first
+ * algorithm both sides have - the configured one, then pHash, dHash, aHash -
+ * against that algorithm's similarity threshold.
+ *
+ * Candidates come from the in-memory hash index (services/hashIndex), which
+ * finds the reports within each algorithm's threshold without scanning the
+ * whole area.
+ *
+ * New reports whose best match scores below the auto-merge score go to the
+ * review queue (duplicate_candidates) instead; a rejected pair is never
+ * suggested again.
  */
 
+// Minimum similarity (percent of matching bits) per algorithm - pHash
+// spreads near-duplicates wider but separates unrelated images just as well
+// (see tests/fixtures/images)
+const DEFAULT_HASH_THRESHOLDS = { ahash: 80, dhash: 80, phash: 75 };
+
+// Report ids per IN (...) query - below SQLite's variable limit
+const ID_BATCH_SIZE = 500;
+
 class DuplicateDetectionService {
   constructor() {
     this.distanceThreshold = parseInt(process.env.DUPLICATE_DISTANCE_THRESHOLD) || 100; // meters
-    this.hashThreshold = parseInt(process.env.DUPLICATE_HASH_THRESHOLD) || 80; // percentage
+    // Match score from which a new report is marked duplicate without review
+    this.autoMergeScore = parseFloat(process.env.DUPLICATE_AUTO_MERGE_SCORE) || 85;
+
+    // DUPLICATE_HASH_THRESHOLD_<ALGORITHM>, else DUPLICATE_HASH_THRESHOLD for all
+    this.hashThresholds = {};
+    for (const [algorithm, threshold] of Object.entries(DEFAULT_HASH_THRESHOLDS)) {
+      this.hashThresholds[algorithm] =
+        parseInt(process.env[`DUPLICATE_HASH_THRESHOLD_${algorithm.toUpperCase()}`]) ||
+        parseInt(process.env.DUPLICATE_HASH_THRESHOLD) ||
+        threshold;
+    }
   }
 
   /**
-   * Calculate Hamming distance between two perceptual hashes
+   * Similarity (0-100) of two perceptual hashes by bitwise Hamming distance
+   * Returns null if they are not comparable (unreadable or different lengths)
    */
   calculateHashSimilarity(hash1, hash2) {
-    if (!hash1 || !hash2 || hash1.length !== hash2.length) return 0;
-    
-    let similarity = 0;
-    for (let i = 0; i < hash1.length; i++) {
-      if (hash1[i] === hash2[i]) similarity++;
+    return imageHash.similarity(hash1, hash2);
+  }
+
+  /**
+   * Most differing bits (of 64) a hash can have and still meet the
+   * algorithm's similarity threshold
+   */
+  maxHashDistance(algorithm) {
+    return Math.floor(64 * (1 - this.hashThresholds[algorithm] / 100));
+  }
+
+  /**
+   * Store a report's hashes - { algorithm: hash } - and index them
+   */
+  async saveHashes(reportId, hashes) {
+    for (const [algorithm, hash] of Object.entries(hashes)) {
+      await database.run(
+        'INSERT OR REPLACE INTO report_hashes (report_id, algorithm, version, hash) VALUES (?, ?, ?, ?)',
+        [reportId, algorithm, imageHash.algorithms[algorithm].version, hash]
+      );
     }
-    
-    return (similarity / hash1.length) * 100;
+    hashIndex.add(reportId, hashes);
   }
 
   /**
-   * Calculate distance between two points using Haversine formula
+   * Current-version hashes of reports - Map id -> { algorithm: hash }
+   * Includes reports.perceptual_hash, which older rows only have
    */
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+  async loadHashes(reports) {
+    const hashesById = new Map();
 
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    const current = (algorithm, version) =>
+      Object.keys(imageHash.algorithms).includes(algorithm) && version === imageHash.algorithms[algorithm].version;
+
+    for (const report of reports) {
+      const algorithm = report.hash_algorithm || 'ahash';
+      hashesById.set(report.id, current(algorithm, report.hash_version ?? 1) ? { [algorithm]: report.perceptual_hash } : {});
+    }
 
-    return R * c; // Distance in meters
+    if (reports.length > 0) {
+      const rows = await database.query(
+        `SELECT report_id, algorithm, version, hash FROM report_hashes
+         WHERE report_id IN (${reports.map(() => '?').join(', ')})`,
+        reports.map(report => report.id)
+      );
+
+      for (const row of rows) {
+        if (current(row.algorithm, row.version)) {
+          hashesById.get(row.report_id)[row.algorithm] = row.hash;
+        }
+      }
+    }
+
+    return hashesById;
+  }
+
+  /**
+   * Algorithm to compare two sets of hashes with, or null if they share none
+   */
+  comparableAlgorithm(hashes, candidateHashes) {
+    const preference = [...new Set([imageHash.algorithm, 'phash', 'dhash', 'ahash'])];
+    return preference.find(algorithm => hashes[algorithm] && candidateHashes[algorithm]) || null;
   }
 
   /**
    * Find potential duplicate reports
+   * @param {Object<string, string>} hashes - hash of the new image per algorithm, e.g. { phash, ahash }
+   * @param {string} [excludeReportId] - report being checked, if already stored;
+   *   reports a reviewer already decided on with it are left out too
    */
-  async findDuplicates(perceptualHash, latitude, longitude, radius = null) {
+  async findDuplicates(hashes, latitude, longitude, radius = null, excludeReportId = null) {
     const searchRadius = radius || this.distanceThreshold;
     
     try {
-      // Step 1: Find all reports within search radius using bounding box
-      // This is much faster than calculating exact distance for all reports
-      const latDelta = (searchRadius / 111000); // Approximate degrees latitude
-      const lonDelta = (searchRadius / (111000 * Math.cos(latitude * Math.PI / 180))); // Approximate degrees longitude
-
-      const query = `
-        SELECT id, perceptual_hash, latitude, longitude, type, severity, status, image_path, created_at
-        FROM reports 
-        WHERE latitude BETWEEN ? AND ?
-          AND longitude BETWEEN ? AND ?
-          AND status NOT IN ('duplicate', 'closed')
-        ORDER BY created_at DESC
-        LIMIT 100
-      `;
-
-      const nearbyReports = await database.query(query, [
-        latitude - latDelta,
-        latitude + latDelta,
-        longitude - lonDelta,
-        longitude + lonDelta
-      ]);
-
-      // Step 2: Calculate exact distance and hash similarity
+      // Step 1: Reports with a similar enough hash of any algorithm, from the
+      // hash index
+      const candidateIds = new Set();
+      for (const [algorithm, hash] of Object.entries(hashes)) {
+        if (!this.hashThresholds[algorithm]) continue;
+        for (const { reportId } of hashIndex.search(algorithm, hash, this.maxHashDistance(algorithm))) {
+          candidateIds.add(reportId);
+        }
+      }
+      if (excludeReportId) {
+        candidateIds.delete(excludeReportId);
+        for (const id of await this.decidedCandidates(excludeReportId)) {
+          candidateIds.delete(id);
+        }
+      }
+
+      // Step 2: Those within the search radius, using the R*Tree bounding-box
+      // index - much faster than calculating exact distance for all reports
+      const box = geo.boxCondition(geo.boundingBox(latitude, longitude, searchRadius));
+      const ids = [...candidateIds];
+      const nearbyReports = [];
+
+      for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+        const batch = ids.slice(i, i + ID_BATCH_SIZE);
+        nearbyReports.push(...await database.query(`
+          SELECT id, perceptual_hash, hash_algorithm, hash_version, latitude, longitude, type, severity, status, image_path, created_at
+          FROM reports 
+          WHERE ${box.condition}
+            AND id IN (${batch.map(() => '?').join(', ')})
+            AND status NOT IN ('duplicate', 'closed')
+            AND deleted_at IS NULL
+        `, [...box.params, ...batch]));
+      }
+
+      const storedHashes = await this.loadHashes(nearbyReports);
+
+      // Step 3: Calculate exact distance and hash similarity
       const potentialDuplicates = [];
       
       for (const report of nearbyReports) {
-        const distance = this.calculateDistance(
+        const distance = geo.calculateDistance(
           latitude, longitude,
           report.latitude, report.longitude
         );
 
         if (distance <= searchRadius) {
-          const hashSimilarity = this.calculateHashSimilarity(
-            perceptualHash,
-            report.perceptual_hash
-          );
+          const candidateHashes = storedHashes.get(report.id);
+          const algorithm = this.comparableAlgorithm(hashes, candidateHashes);
+          if (!algorithm) continue;
 
-          if (hashSimilarity >= this.hashThreshold) {
+          const hashSimilarity = this.calculateHashSimilarity(hashes[algorithm], candidateHashes[algorithm]);
+
+          if (hashSimilarity !== null && hashSimilarity >= this.hashThresholds[algorithm]) {
             potentialDuplicates.push({
               ...report,
               distance: Math.round(distance),
+              algorithm,
+              hashDistance: imageHash.distance(hashes[algorithm], candidateHashes[algorithm]),
               similarity: Math.round(hashSimilarity * 10) / 10,
               matchScore: this.calculateMatchScore(distance, hashSimilarity)
             });
@@ -126,45 +219,139 @@ class DuplicateDetectionService {
   }
 
   /**
-   * Check if report should be marked as duplicate and create cluster
+   * Check if a stored report should be marked as duplicate and create cluster
+   * Borderline matches are queued for review instead
    */
-  async checkAndMarkDuplicate(reportId, perceptualHash, latitude, longitude) {
-    const result = await this.findDuplicates(perceptualHash, latitude, longitude);
-    
-    if (result.isDuplicate && result.duplicates.length > 0) {
-      const bestMatch = result.duplicates[0];
-      
-      // Mark as duplicate if match score is very high (>= 85)
-      if (bestMatch.matchScore >= 85) {
-        await database.run(
-          'UPDATE reports SET status = ?, duplicate_of = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          ['duplicate', bestMatch.id, reportId]
-        );
+  async checkAndMarkDuplicate(reportId, hashes, latitude, longitude) {
+    const { duplicates } = await this.findDuplicates(hashes, latitude, longitude, null, reportId);
 
-        // Update duplicate cluster or create new one
-        await this.updateDuplicateCluster(bestMatch.id, latitude, longitude);
+    if (duplicates.length === 0) {
+      return { isDuplicate: false };
+    }
 
-        // Log activity
-        await database.run(
-          'INSERT INTO activity_log (report_id, action, details) VALUES (?, ?, ?)',
-          [reportId, 'marked_duplicate', `Duplicate of report ${bestMatch.id} (${bestMatch.matchScore.toFixed(1)}% match)`]
-        );
+    const bestMatch = duplicates[0];
 
-        return {
-          isDuplicate: true,
-          duplicateOf: bestMatch.id,
-          matchScore: bestMatch.matchScore
-        };
-      }
+    // Mark as duplicate if match score is very high
+    if (bestMatch.matchScore >= this.autoMergeScore) {
+      await database.run(
+        'UPDATE reports SET status = ?, duplicate_of = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        ['duplicate', bestMatch.id, reportId]
+      );
+
+      // Update duplicate cluster or create new one
+      await this.updateDuplicateCluster(bestMatch.id, latitude, longitude);
+
+      // Log activity
+      await database.run(
+        'INSERT INTO activity_log (report_id, action, details) VALUES (?, ?, ?)',
+        [reportId, 'marked_duplicate', `Duplicate of report ${bestMatch.id} (${bestMatch.matchScore.toFixed(1)}% match)`]
+      );
+
+      return {
+        isDuplicate: true,
+        duplicateOf: bestMatch.id,
+        matchScore: bestMatch.matchScore
+      };
     }
 
-    return { isDuplicate: false };
+    await this.queueForReview(reportId, duplicates);
+
+    return { isDuplicate: false, queuedForReview: duplicates.length };
+  }
+
+  /**
+   * Reports whose `algorithm` hash is within `maxDistance` bits of the
+   * report's, anywhere - [{ reportId, distance }], nearest first
+   * The report itself and reports a reviewer already decided on with it
+   * are left out.
+   */
+  async findSimilar(reportId, algorithm, hash, maxDistance) {
+    const decided = await this.decidedCandidates(reportId);
+    return hashIndex.search(algorithm, hash, maxDistance)
+      .filter(match => match.reportId !== reportId && !decided.has(match.reportId));
+  }
+
+  /**
+   * Ids of reports a reviewer has confirmed or rejected as duplicates of
+   * this one (either way round) - never suggested with it again
+   */
+  async decidedCandidates(reportId) {
+    const rows = await database.query(
+      `SELECT CASE WHEN report_id = ? THEN candidate_id ELSE report_id END as id
+       FROM duplicate_candidates
+       WHERE status IN ('confirmed', 'rejected') AND (report_id = ? OR candidate_id = ?)`,
+      [reportId, reportId, reportId]
+    );
+    return new Set(rows.map(row => row.id));
   }
 
   /**
-   * Update or create duplicate cluster
+   * Add borderline matches of a report (from findDuplicates) to the review
+   * queue - pairs already queued or decided are left alone
    */
-  async updateDuplicateCluster(parentReportId, latitude, longitude) {
+  async queueForReview(reportId, duplicates) {
+    for (const duplicate of duplicates) {
+      await database.run(
+        `INSERT OR IGNORE INTO duplicate_candidates
+         (report_id, candidate_id, algorithm, hash_distance, similarity, distance, match_score)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [reportId, duplicate.id, duplicate.algorithm, duplicate.hashDistance,
+         duplicate.similarity, duplicate.distance, Math.round(duplicate.matchScore * 10) / 10]
+      );
+    }
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, action, details) VALUES (?, ?, ?)',
+      [reportId, 'duplicate_review_queued', JSON.stringify({
+        candidates: duplicates.map(duplicate => ({ id: duplicate.id, match_score: Math.round(duplicate.matchScore * 10) / 10 }))
+      })]
+    );
+  }
+
+  /**
+   * Record a reviewer's decision on a pair (`confirmed` or `rejected`),
+   * comparing the two reports if the pair was never queued
+   * Pairs whose hashes are not comparable are not recorded
+   */
+  async recordDecision(report, candidate, status, userId) {
+    const existing = await database.get(
+      'SELECT id FROM duplicate_candidates WHERE report_id = ? AND candidate_id = ?',
+      [report.id, candidate.id]
+    );
+
+    if (existing) {
+      await database.run(
+        'UPDATE duplicate_candidates SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, userId, existing.id]
+      );
+      return;
+    }
+
+    const hashesById = await this.loadHashes([report, candidate]);
+    const algorithm = this.comparableAlgorithm(hashesById.get(report.id), hashesById.get(candidate.id));
+    if (!algorithm) return;
+
+    const hash = hashesById.get(report.id)[algorithm];
+    const candidateHash = hashesById.get(candidate.id)[algorithm];
+    const hashDistance = imageHash.distance(hash, candidateHash);
+    if (hashDistance === null) return;
+
+    const similarity = imageHash.similarity(hash, candidateHash);
+    const distance = geo.calculateDistance(report.latitude, report.longitude, candidate.latitude, candidate.longitude);
+
+    await database.run(
+      `INSERT INTO duplicate_candidates
+       (report_id, candidate_id, algorithm, hash_distance, similarity, distance, match_score, status, reviewed_by, reviewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [report.id, candidate.id, algorithm, hashDistance, Math.round(similarity * 10) / 10, Math.round(distance),
+       Math.round(this.calculateMatchScore(distance, similarity) * 10) / 10, status, userId]
+    );
+  }
+
+  /**
+   * Update or create duplicate cluster - `count` reports joined it
+   */
+  async updateDuplicateCluster(parentReportId, latitude, longitude, count = 1) {
     const existingCluster = await database.get(
       'SELECT * FROM duplicate_clusters WHERE parent_report_id = ?',
       [parentReportId]
@@ -173,16 +360,36 @@ class DuplicateDetectionService {
     if (existingCluster) {
       // Update cluster
       await database.run(
-        'UPDATE duplicate_clusters SET report_count = report_count + 1 WHERE parent_report_id = ?',
-        [parentReportId]
+        'UPDATE duplicate_clusters SET report_count = report_count + ? WHERE parent_report_id = ?',
+        [count, parentReportId]
       );
     } else {
       // Create new cluster
       await database.run(
         'INSERT INTO duplicate_clusters (parent_report_id, latitude, longitude, radius, report_count) VALUES (?, ?, ?, ?, ?)',
-        [parentReportId, latitude, longitude, this.distanceThreshold, 1]
+        [parentReportId, latitude, longitude, this.distanceThreshold, count]
       );
     }
+
+    // Cluster size feeds the parent's priority score
+    await priority.recompute(parentReportId);
+  }
+
+  /**
+   * Take `count` reports out of a duplicate cluster, removing it once empty
+   */
+  async removeFromDuplicateCluster(parentReportId, count = 1) {
+    await database.run(
+      'UPDATE duplicate_clusters SET report_count = report_count - ? WHERE parent_report_id = ?',
+      [count, parentReportId]
+    );
+    await database.run(
+      'DELETE FROM duplicate_clusters WHERE parent_report_id = ? AND report_count <= 0',
+      [parentReportId]
+    );
+
+    // Cluster size feeds the parent's priority score
+    await priority.recompute(parentReportId);
   }
 
   /**
@@ -197,6 +404,46 @@ class DuplicateDetectionService {
       ORDER BY dc.report_count DESC
     `);
   }
+
+  /**
+   * Review decisions grouped for threshold tuning - confirmed/rejected
+   * counts per algorithm and hash distance, and per 5-point match score band
+   */
+  async getReviewStats() {
+    const decided = "status IN ('confirmed', 'rejected')";
+    const counts = `
+      SUM(CASE WHEN status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
+      SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected
+    `;
+
+    const { pending } = await database.get(
+      "SELECT COUNT(*) as pending FROM duplicate_candidates WHERE status = 'pending'"
+    );
+
+    const byHashDistance = await database.query(`
+      SELECT algorithm, hash_distance, ${counts}
+      FROM duplicate_candidates
+      WHERE ${decided}
+      GROUP BY algorithm, hash_distance
+      ORDER BY algorithm, hash_distance
+    `);
+
+    const byMatchScore = await database.query(`
+      SELECT CAST(match_score / 5 AS INTEGER) * 5 as match_score, ${counts}
+      FROM duplicate_candidates
+      WHERE ${decided}
+      GROUP BY CAST(match_score / 5 AS INTEGER)
+      ORDER BY match_score
+    `);
+
+    return {
+      pending,
+      thresholds: this.hashThresholds,
+      autoMergeScore: this.autoMergeScore,
+      byHashDistance,
+      byMatchScore
+    };
+  }
 }
 
 module.exports = new DuplicateDetectionService();
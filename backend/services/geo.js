@@ -0,0 +1,137 @@
+/**
+ * Geo Service
+ * Distances, bounding boxes and polygons shared by duplicate detection,
+ * department routing and the location filters on GET /api/reports
+ *
+ * Coordinates are WGS84 degrees; GeoJSON positions are [lng, lat].
+ * Bounding-box queries use the `reports_rtree` R*Tree index (see
+ * config/database.js) rather than scanning the reports table.
+ */
+
+const EARTH_RADIUS = 6371000; // meters
+const METERS_PER_DEGREE = 111000; // approximate, along a meridian
+
+class GeoService {
+  /**
+   * Distance between two points in meters (Haversine formula)
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return EARTH_RADIUS * c;
+  }
+
+  /**
+   * Approximate bounding box around a point - cheap SQL prefilter before
+   * exact distances are calculated
+   */
+  boundingBox(latitude, longitude, radius) {
+    const latDelta = radius / METERS_PER_DEGREE;
+    const lonDelta = radius / (METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180));
+
+    return {
+      minLat: latitude - latDelta,
+      maxLat: latitude + latDelta,
+      minLng: longitude - lonDelta,
+      maxLng: longitude + lonDelta
+    };
+  }
+
+  /**
+   * Parse a "minLng,minLat,maxLng,maxLat" bbox parameter
+   * Returns the box, or null if it is malformed
+   */
+  parseBbox(value) {
+    const [minLng, minLat, maxLng, maxLat] = String(value).split(',').map(Number);
+    if (![minLng, minLat, maxLng, maxLat].every(Number.isFinite) || minLng > maxLng || minLat > maxLat) {
+      return null;
+    }
+    return { minLat, maxLat, minLng, maxLng };
+  }
+
+  /**
+   * SQL condition restricting `table` (reports or an alias of it) to a box
+   * The R*Tree finds candidate rows; it stores 32-bit floats rounded
+   * outwards, so the coordinates are re-checked exactly.
+   */
+  boxCondition(box, table = 'reports') {
+    return {
+      condition: `${table}.index_id IN (
+        SELECT id FROM reports_rtree
+        WHERE max_lat >= ? AND min_lat <= ? AND max_lng >= ? AND min_lng <= ?
+      ) AND ${table}.latitude BETWEEN ? AND ? AND ${table}.longitude BETWEEN ? AND ?`,
+      params: [box.minLat, box.maxLat, box.minLng, box.maxLng, box.minLat, box.maxLat, box.minLng, box.maxLng]
+    };
+  }
+
+  /**
+   * Bounding box of a GeoJSON Polygon's outer ring
+   */
+  polygonBounds(polygon) {
+    const ring = polygon.coordinates[0];
+    const lngs = ring.map(position => position[0]);
+    const lats = ring.map(position => position[1]);
+
+    return {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs)
+    };
+  }
+
+  /**
+   * Whether a value is a GeoJSON Polygon whose rings (outer ring, then any
+   * holes) are closed
+   */
+  isPolygon(geometry) {
+    if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates)) return false;
+    if (geometry.coordinates.length === 0) return false;
+
+    return geometry.coordinates.every(ring => {
+      if (!Array.isArray(ring) || ring.length < 4) return false;
+      if (!ring.every(position => Array.isArray(position) && position.length >= 2 && position.every(Number.isFinite))) return false;
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      return first[0] === last[0] && first[1] === last[1];
+    });
+  }
+
+  /**
+   * Ray-casting point-in-polygon test on a ring of [x, y] positions
+   */
+  pointInPolygon(x, y, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Whether a point lies in a GeoJSON Polygon (inside the outer ring and
+   * outside any holes)
+   */
+  pointInGeoJsonPolygon(latitude, longitude, polygon) {
+    const [outer, ...holes] = polygon.coordinates;
+    return this.pointInPolygon(longitude, latitude, outer) &&
+      !holes.some(hole => this.pointInPolygon(longitude, latitude, hole));
+  }
+}
+
+module.exports = new GeoService();
@@ -0,0 +1,216 @@
+const database = require('../config/database');
+const imageHash = require('./imageHash');
+
+/**
+ * Hash Index Service
+ * In-memory multi-index hashing over the reports' 64-bit perceptual hashes,
+ * one index per algorithm, answering "all reports within Hamming distance k"
+ * without comparing against every report.
+ *
+ * Each hash is split into 4 chunks of 16 bits, each with its own lookup
+ * table. Two hashes within distance k differ by at most floor(k / 4) bits in
+ * at least one chunk (pigeonhole), so a search only looks up the chunk
+ * values that close to the query's and verifies the full distance of the
+ * reports found there.
+ *
+ * Built from the database at startup (rebuild) and kept current as reports
+ * are hashed (add) and purged (remove). Soft-deleted reports stay indexed;
+ * callers filter them when loading rows.
+ */
+
+const CHUNKS = 4;
+const CHUNK_BITS = 16;
+
+// Bits set in every 16-bit value
+const POPCOUNT = new Uint8Array(1 << CHUNK_BITS);
+for (let i = 1; i < POPCOUNT.length; i++) {
+  POPCOUNT[i] = POPCOUNT[i >> 1] + (i & 1);
+}
+
+// Above this chunk radius enumerating neighbours costs more than a scan
+const MAX_CHUNK_RADIUS = 5;
+
+class HashIndex {
+  constructor() {
+    this.entries = new Map(); // report id -> chunks
+    this.tables = Array.from({ length: CHUNKS }, () => new Map()); // chunk value -> Set of report ids
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(reportId, chunks) {
+    this.remove(reportId);
+    this.entries.set(reportId, chunks);
+
+    chunks.forEach((chunk, index) => {
+      const table = this.tables[index];
+      if (!table.has(chunk)) table.set(chunk, new Set());
+      table.get(chunk).add(reportId);
+    });
+  }
+
+  remove(reportId) {
+    const chunks = this.entries.get(reportId);
+    if (!chunks) return;
+
+    chunks.forEach((chunk, index) => {
+      const bucket = this.tables[index].get(chunk);
+      bucket.delete(reportId);
+      if (bucket.size === 0) this.tables[index].delete(chunk);
+    });
+    this.entries.delete(reportId);
+  }
+
+  distance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < CHUNKS; i++) {
+      distance += POPCOUNT[a[i] ^ b[i]];
+    }
+    return distance;
+  }
+
+  /**
+   * Reports within `radius` bits of `chunks` - [{ reportId, distance }]
+   */
+  search(chunks, radius) {
+    const chunkRadius = Math.floor(radius / CHUNKS);
+    const matches = [];
+
+    const verify = reportId => {
+      const distance = this.distance(chunks, this.entries.get(reportId));
+      if (distance <= radius) matches.push({ reportId, distance });
+    };
+
+    if (chunkRadius > MAX_CHUNK_RADIUS) {
+      this.entries.forEach((_, reportId) => verify(reportId));
+      return matches;
+    }
+
+    const seen = new Set();
+    const masks = neighbourMasks(chunkRadius);
+
+    chunks.forEach((chunk, index) => {
+      for (const mask of masks) {
+        const bucket = this.tables[index].get(chunk ^ mask);
+        if (!bucket) continue;
+
+        for (const reportId of bucket) {
+          if (seen.has(reportId)) continue;
+          seen.add(reportId);
+          verify(reportId);
+        }
+      }
+    });
+
+    return matches;
+  }
+}
+
+const maskCache = new Map();
+
+/**
+ * Every 16-bit XOR mask with at most `radius` bits set
+ */
+function neighbourMasks(radius) {
+  if (!maskCache.has(radius)) {
+    const masks = [];
+    for (let mask = 0; mask < POPCOUNT.length; mask++) {
+      if (POPCOUNT[mask] <= radius) masks.push(mask);
+    }
+    maskCache.set(radius, masks);
+  }
+  return maskCache.get(radius);
+}
+
+class HashIndexService {
+  constructor() {
+    this.indexes = {};
+    for (const algorithm of Object.keys(imageHash.algorithms)) {
+      this.indexes[algorithm] = new HashIndex();
+    }
+  }
+
+  /**
+   * 16-bit chunks of a 64-bit hash, or null if it is not one
+   */
+  chunks(hash) {
+    const decoded = imageHash.decode(hash);
+    if (!decoded || decoded.bits !== CHUNKS * CHUNK_BITS) return null;
+
+    return Array.from({ length: CHUNKS }, (_, index) =>
+      Number((decoded.value >> BigInt(index * CHUNK_BITS)) & 0xffffn)
+    );
+  }
+
+  /**
+   * Index a report's hashes - { algorithm: hash }
+   */
+  add(reportId, hashes) {
+    for (const [algorithm, hash] of Object.entries(hashes)) {
+      const chunks = this.chunks(hash);
+      if (this.indexes[algorithm] && chunks) {
+        this.indexes[algorithm].add(reportId, chunks);
+      }
+    }
+  }
+
+  remove(reportId) {
+    Object.values(this.indexes).forEach(index => index.remove(reportId));
+  }
+
+  /**
+   * Reports whose `algorithm` hash is within `radius` bits of `hash`,
+   * nearest first - [{ reportId, distance }]
+   */
+  search(algorithm, hash, radius) {
+    const chunks = this.chunks(hash);
+    if (!this.indexes[algorithm] || !chunks) return [];
+
+    return this.indexes[algorithm].search(chunks, radius)
+      .sort((a, b) => a.distance - b.distance || (a.reportId < b.reportId ? -1 : 1));
+  }
+
+  /**
+   * Load the current-version hashes of all reports - soft-deleted ones too,
+   * as they can be restored until purged
+   */
+  async rebuild() {
+    const started = Date.now();
+    Object.keys(this.indexes).forEach(algorithm => {
+      this.indexes[algorithm] = new HashIndex();
+    });
+
+    // reports.perceptual_hash first - the only hash of reports stored
+    // before server-side hashing (the app's aHash)
+    const reports = await database.query(
+      'SELECT id, perceptual_hash, hash_algorithm, hash_version FROM reports'
+    );
+    for (const report of reports) {
+      const algorithm = report.hash_algorithm || 'ahash';
+      if (this.isCurrent(algorithm, report.hash_version ?? 1)) {
+        this.add(report.id, { [algorithm]: report.perceptual_hash });
+      }
+    }
+
+    const rows = await database.query('SELECT report_id, algorithm, version, hash FROM report_hashes');
+    for (const row of rows) {
+      if (this.isCurrent(row.algorithm, row.version)) {
+        this.add(row.report_id, { [row.algorithm]: row.hash });
+      }
+    }
+
+    console.log(`✅ Hash index built: ${this.stats().map(({ algorithm, size }) => `${size} ${algorithm}`).join(', ')} (${Date.now() - started}ms)`);
+  }
+
+  isCurrent(algorithm, version) {
+    return Object.keys(imageHash.algorithms).includes(algorithm) && version === imageHash.algorithms[algorithm].version;
+  }
+
+  stats() {
+    return Object.entries(this.indexes).map(([algorithm, index]) => ({ algorithm, size: index.size }));
+  }
+}
+
+module.exports = new HashIndexService();
@@ -0,0 +1,182 @@
+const sharp = require('sharp');
+
+/**
+ * Image Hash Service
+ * Perceptual hashes computed by the server from the stored image, so
+ * duplicate detection does not depend on what the client sends.
+ * - ahash: average hash - 8x8 greyscale, pixel brighter than the mean
+ *   (what the mobile app sends as `perceptual_hash`)
+ * - dhash: difference hash - 9x8 greyscale, pixel brighter than its right neighbour
+ * - phash: DCT hash - 32x32 greyscale, lowest 8x8 DCT frequencies above their median
+ *
+ * Hashes are 64 bits, stored as 16 hex characters, and compared by Hamming
+ * distance - hashes of different algorithms are not comparable. Bump an
+ * algorithm's version whenever its output changes so stored hashes can be
+ * backfilled (scripts/backfill-image-hashes.js).
+ */
+
+const ALGORITHMS = {
+  ahash: { version: 1 },
+  dhash: { version: 1 },
+  phash: { version: 1 }
+};
+
+class ImageHashService {
+  constructor() {
+    this.algorithms = ALGORITHMS;
+    this.algorithm = ALGORITHMS[process.env.IMAGE_HASH_ALGORITHM] ? process.env.IMAGE_HASH_ALGORITHM : 'phash';
+    this.version = ALGORITHMS[this.algorithm].version;
+    // Differing bits (of 64) above which the client's hash counts as a mismatch
+    this.mismatchThreshold = parseInt(process.env.HASH_MISMATCH_THRESHOLD) || 12;
+  }
+
+  /**
+   * Hash an image file (or buffer) with the given algorithm
+   * Returns { hash, algorithm, version }
+   */
+  async compute(input, algorithm = this.algorithm) {
+    const hashers = { ahash: this.ahash, dhash: this.dhash, phash: this.phash };
+    const bits = await hashers[algorithm].call(this, input);
+
+    return { hash: this.toHex(bits), algorithm, version: ALGORITHMS[algorithm].version };
+  }
+
+  /**
+   * Hash an image with every algorithm - { ahash, dhash, phash }
+   */
+  async computeAll(input) {
+    const hashes = {};
+    for (const algorithm of Object.keys(ALGORITHMS)) {
+      hashes[algorithm] = (await this.compute(input, algorithm)).hash;
+    }
+    return hashes;
+  }
+
+  /**
+   * Greyscale pixels of the image resized to width x height, row by row
+   */
+  async greyscale(input, width, height) {
+    return sharp(input)
+      .rotate()
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  async ahash(input) {
+    const pixels = await this.greyscale(input, 8, 8);
+    const mean = Math.round(pixels.reduce((sum, value) => sum + value, 0) / pixels.length);
+    return Array.from(pixels, value => (value > mean ? 1 : 0));
+  }
+
+  async dhash(input) {
+    const pixels = await this.greyscale(input, 9, 8);
+    const bits = [];
+
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+      }
+    }
+
+    return bits;
+  }
+
+  async phash(input) {
+    const size = 32;
+    const pixels = await this.greyscale(input, size, size);
+
+    // 2D DCT-II, only the 8x8 lowest frequencies are needed
+    const cos = Array.from({ length: 8 }, (_, u) =>
+      Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size)))
+    );
+    const coefficients = [];
+
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+          for (let x = 0; x < size; x++) {
+            sum += pixels[y * size + x] * cos[u][x] * cos[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term (overall brightness) would skew the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    return coefficients.map(value => (value > median ? 1 : 0));
+  }
+
+  toHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Decode a hash given as hex, or as the app's 64-character 0/1 string
+   * Returns { value (BigInt), bits } or null if it is neither
+   */
+  decode(hash) {
+    const value = String(hash || '').trim().toLowerCase();
+
+    if (/^[01]{64}$/.test(value)) {
+      return { value: BigInt(`0b${value}`), bits: 64 };
+    }
+    if (/^[0-9a-f]+$/.test(value)) {
+      return { value: BigInt(`0x${value}`), bits: value.length * 4 };
+    }
+    return null;
+  }
+
+  /**
+   * Number of differing bits between two hashes, or null if either cannot
+   * be decoded or they have different lengths
+   */
+  distance(hash1, hash2) {
+    const a = this.decode(hash1);
+    const b = this.decode(hash2);
+    if (!a || !b || a.bits !== b.bits) return null;
+
+    let diff = a.value ^ b.value;
+    let count = 0;
+    while (diff) {
+      diff &= diff - 1n;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Similarity of two hashes in percent (100 = identical), or null if they
+   * are not comparable
+   */
+  similarity(hash1, hash2) {
+    const distance = this.distance(hash1, hash2);
+    if (distance === null) return null;
+    return (1 - distance / this.decode(hash1).bits) * 100;
+  }
+
+  /**
+   * Compare a client-supplied hash with the average hash the server computes
+   * for the same image - a large difference means the client hashed some
+   * other image, or is buggy
+   * Returns { distance, mismatch } (distance is null if the client hash is unreadable)
+   */
+  async checkClientHash(clientHash, input) {
+    const { hash } = await this.compute(input, 'ahash');
+    const distance = this.distance(clientHash, hash);
+    if (distance === null) return { distance: null, mismatch: true };
+
+    return { distance, mismatch: distance > this.mismatchThreshold };
+  }
+}
+
+module.exports = new ImageHashService();
@@ -0,0 +1,289 @@
+const database = require('../config/database');
+const workflow = require('./workflow');
+const duplicateDetection = require('./duplicateDetection');
+const permissions = require('./permissions');
+const priority = require('./priority');
+const sla = require('./sla');
+
+/**
+ * Report Merge Service
+ * Marks a report as a duplicate of another after the fact, and undoes it.
+ *
+ * Merging moves the report's upvotes and verifications to the parent
+ * (except from citizens who already upvoted/verified the parent), points
+ * reports that were duplicates of it at the parent too, and counts them all
+ * in the parent's duplicate cluster. Moved verifications remember where they
+ * came from (verifications.merged_from), so unmerging moves them back;
+ * re-pointed duplicates stay with the parent.
+ *
+ * Both directions are recorded as review decisions (duplicate_candidates),
+ * so a wrong merge undone here is never suggested again.
+ */
+
+// Verification types that follow a merged report to its parent - a proof
+// of fix confirmation belongs to the report's own fix
+const MOVED_VERIFICATIONS = ['upvote', 'verify'];
+
+// Report counter of each moved verification type
+const VERIFICATION_COUNTERS = { upvote: 'upvotes', verify: 'verification_count' };
+
+const REPORT_NOT_FOUND = { status: 404, body: { success: false, error: 'Report not found' } };
+
+class MergeService {
+  /**
+   * Merge a report into `parentId`
+   * Returns { report, parent, moved, repointed } or { status, body } for the HTTP response
+   */
+  async merge(report, parentId, user) {
+    // Checked inside the transaction, against the reports as they are now -
+    // a concurrent merge may have changed either since the request loaded them
+    const outcome = await database.transaction(async () => {
+      const current = await this.reload(report.id);
+      if (!current) return { rejection: REPORT_NOT_FOUND };
+
+      const rejection = await this.check(current, parentId, user);
+      if (rejection) return { rejection };
+
+      const parent = await database.get('SELECT * FROM reports WHERE id = ?', [parentId]);
+      return { report: current, parent, ...await this.apply(current, parent, user) };
+    });
+    if (outcome.rejection) return outcome.rejection;
+
+    const { report: merged, parent, ...result } = outcome;
+
+    await sla.assign(merged.id);
+    await priority.recompute(merged.id);
+
+    if (global.notifications) {
+      global.notifications.notifyStatusChange(merged.id, merged.status, 'duplicate', { duplicate_of: parent.id });
+      global.notifications.notifyMerge(merged.id, parent.id, result);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Validate merging a report into `parentId`
+   * Returns null when allowed, otherwise { status, body } for the HTTP response
+   */
+  async check(report, parentId, user) {
+    const rejection = await workflow.check(report, 'duplicate', { duplicate_of: parentId });
+    if (rejection) {
+      if (rejection.status === 409) {
+        await workflow.logRejected(report, 'duplicate', user.id, rejection.body.error);
+      }
+      return rejection;
+    }
+
+    const parent = await database.get('SELECT * FROM reports WHERE id = ?', [parentId]);
+    if (!permissions.canAccessReport(user, parent)) {
+      return { status: 403, body: { success: false, error: 'Duplicate target is assigned to another department' } };
+    }
+
+    return null;
+  }
+
+  /**
+   * The database changes of a merge checked with check() - must run inside
+   * a transaction (merge() opens one; bulk operations run it in theirs)
+   * Returns { moved, repointed }
+   */
+  async apply(report, parent, user) {
+    const fields = { duplicate_of: parent.id };
+
+    const { sets, params } = workflow.statusUpdates(report, 'duplicate', fields);
+    await database.run(`UPDATE reports SET ${sets.join(', ')} WHERE id = ?`, [...params, report.id]);
+    await workflow.logTransition(report, 'duplicate', fields, user.id);
+
+    const moved = await this.moveVerifications(report.id, parent.id);
+
+    // Reports that were duplicates of this one now belong to the parent
+    const children = await database.query('SELECT id FROM reports WHERE duplicate_of = ?', [report.id]);
+    const repointed = children.map(child => child.id);
+    if (repointed.length > 0) {
+      await database.run('UPDATE reports SET duplicate_of = ? WHERE duplicate_of = ?', [parent.id, report.id]);
+      await database.run('DELETE FROM duplicate_clusters WHERE parent_report_id = ?', [report.id]);
+    }
+
+    await duplicateDetection.updateDuplicateCluster(parent.id, report.latitude, report.longitude, 1 + repointed.length);
+
+    await duplicateDetection.recordDecision(report, parent, 'confirmed', user.id);
+    // The report's other review suggestions no longer need a decision
+    await database.run(
+      "UPDATE duplicate_candidates SET status = 'superseded' WHERE report_id = ? AND status = 'pending'",
+      [report.id]
+    );
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, user.id, 'merged', JSON.stringify({ into: parent.id, moved, repointed })]
+    );
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [parent.id, user.id, 'merged_in', JSON.stringify({ from: report.id, moved, repointed })]
+    );
+
+    return { moved, repointed };
+  }
+
+  /**
+   * Undo a merge - the report gets back the status it had before and the
+   * upvotes/verifications that were moved from it
+   * Returns { report, parent, status, moved } or { status, body } for the HTTP response
+   */
+  async unmerge(report, user) {
+    // Checked inside the transaction for the same reason as merge()
+    const outcome = await database.transaction(async () => {
+      const current = await this.reload(report.id);
+      if (!current) return { rejection: REPORT_NOT_FOUND };
+
+      if (current.status !== 'duplicate' || !current.duplicate_of) {
+        return { rejection: { status: 409, body: { success: false, error: 'Report is not merged into another report' } } };
+      }
+
+      return { report: current, ...await this.restore(current, user) };
+    });
+    if (outcome.rejection) return outcome.rejection;
+
+    const { report: unmerged, status, moved } = outcome;
+
+    await sla.assign(unmerged.id);
+    await priority.recompute(unmerged.id);
+
+    if (global.notifications) {
+      global.notifications.notifyStatusChange(unmerged.id, 'duplicate', status, { unmerged_from: unmerged.duplicate_of });
+      global.notifications.notifyUnmerge(unmerged.id, unmerged.duplicate_of, { moved });
+    }
+
+    return outcome;
+  }
+
+  /**
+   * The database changes of an unmerge - must run inside a transaction
+   * Returns { parent, status, moved }
+   */
+  async restore(report, user) {
+    const parent = await database.get('SELECT * FROM reports WHERE id = ?', [report.duplicate_of]);
+    const status = await this.statusBeforeMerge(report.id);
+
+    await database.run(
+      'UPDATE reports SET status = ?, duplicate_of = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, report.id]
+    );
+
+    const moved = parent ? await this.restoreVerifications(report.id, parent.id) : {};
+
+    if (parent) {
+      await duplicateDetection.removeFromDuplicateCluster(parent.id);
+      await duplicateDetection.recordDecision(report, parent, 'rejected', user.id);
+    }
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, user.id, 'unmerged', JSON.stringify({ from: report.duplicate_of, status, moved })]
+    );
+    if (parent) {
+      await database.run(
+        'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+        [parent.id, user.id, 'unmerged_out', JSON.stringify({ report: report.id, moved })]
+      );
+    }
+
+    return { parent, status, moved };
+  }
+
+  /**
+   * Move upvotes/verifications from a report to its parent, skipping
+   * citizens who already did the same on the parent
+   * Returns the number moved per type
+   */
+  async moveVerifications(reportId, parentId) {
+    const moved = {};
+
+    for (const type of MOVED_VERIFICATIONS) {
+      const { changes } = await database.run(
+        `UPDATE verifications SET report_id = ?, merged_from = COALESCE(merged_from, ?)
+         WHERE report_id = ? AND verification_type = ?
+           AND NOT EXISTS (SELECT 1 FROM verifications v
+                           WHERE v.report_id = ? AND v.user_id = verifications.user_id AND v.verification_type = ?)`,
+        [parentId, reportId, reportId, type, parentId, type]
+      );
+      await this.adjustCounter(reportId, parentId, type, changes);
+      moved[type] = changes;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Move verifications that came from a report back from its parent - those
+   * the citizen has since repeated on the report itself are dropped
+   * Returns the number returned per type
+   */
+  async restoreVerifications(reportId, parentId) {
+    const moved = {};
+
+    for (const type of MOVED_VERIFICATIONS) {
+      const { changes: dropped } = await database.run(
+        `DELETE FROM verifications
+         WHERE report_id = ? AND merged_from = ? AND verification_type = ?
+           AND EXISTS (SELECT 1 FROM verifications v
+                       WHERE v.report_id = ? AND v.user_id = verifications.user_id AND v.verification_type = ?)`,
+        [parentId, reportId, type, reportId, type]
+      );
+      const counter = VERIFICATION_COUNTERS[type];
+      if (dropped > 0) {
+        await database.run(`UPDATE reports SET ${counter} = MAX(${counter} - ?, 0) WHERE id = ?`, [dropped, parentId]);
+      }
+
+      const { changes } = await database.run(
+        `UPDATE verifications SET report_id = ?, merged_from = NULL
+         WHERE report_id = ? AND merged_from = ? AND verification_type = ?`,
+        [reportId, parentId, reportId, type]
+      );
+      await this.adjustCounter(parentId, reportId, type, changes);
+      moved[type] = changes;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Shift `count` of a verification type's counter from one report to another
+   */
+  async adjustCounter(fromId, toId, type, count) {
+    if (count === 0) return;
+
+    const counter = VERIFICATION_COUNTERS[type];
+    await database.run(`UPDATE reports SET ${counter} = MAX(${counter} - ?, 0) WHERE id = ?`, [count, fromId]);
+    await database.run(`UPDATE reports SET ${counter} = ${counter} + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [count, toId]);
+  }
+
+  reload(reportId) {
+    return database.get('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL', [reportId]);
+  }
+
+  /**
+   * Status a report had before it was marked a duplicate - automatic
+   * marking only happens to new reports
+   */
+  async statusBeforeMerge(reportId) {
+    const transitions = await database.query(
+      "SELECT details FROM activity_log WHERE report_id = ? AND action = 'status_updated' ORDER BY id DESC",
+      [reportId]
+    );
+
+    for (const { details } of transitions) {
+      try {
+        const transition = JSON.parse(details);
+        if (transition.to === 'duplicate') return transition.from;
+      } catch (error) {
+        // Older free-text entries
+      }
+    }
+
+    return 'reported';
+  }
+}
+
+module.exports = new MergeService();
@@ -130,6 +130,27 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send notification only to clients subscribed to a report
+   */
+  sendToSubscribers(reportId, notification) {
+    if (!this.isEnabled || !this.wss) return;
+
+    const message = JSON.stringify(notification);
+    let sent = 0;
+
+    this.clients.forEach((ws) => {
+      if (ws.readyState === 1 && ws.subscription === reportId) {
+        ws.send(message);
+        sent++;
+      }
+    });
+
+    if (sent > 0) {
+      console.log(`📢 Sent to ${sent} subscriber(s) of ${reportId}: ${notification.type}`);
+    }
+  }
+
   /**
    * Send notification to specific client
    */
@@ -178,6 +199,66 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify about an edit to a report's descriptive fields
+   */
+  notifyReportEdited(reportId, fields) {
+    this.broadcast({
+      type: 'report_edited',
+      reportId,
+      data: { fields },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify about a bulk operation - one event for the whole batch
+   */
+  notifyBulkUpdate(action, reportIds, details = {}) {
+    this.broadcast({
+      type: 'reports_bulk_updated',
+      data: {
+        action,
+        reportIds,
+        count: reportIds.length,
+        ...details
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify that a report's SLA became at risk or breached
+   */
+  notifySlaStatus(reportId, slaStatus, details = {}) {
+    this.broadcast({
+      type: 'sla_status',
+      reportId,
+      data: {
+        slaStatus,
+        ...details
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify about an SLA escalation (level 1 supervisor, level 2 admin)
+   */
+  notifySlaEscalation(reportId, level, target, recipientIds, details = {}) {
+    this.broadcast({
+      type: 'sla_escalation',
+      reportId,
+      data: {
+        level,
+        target,
+        recipientIds,
+        ...details
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Notify about PoF upload
    */
@@ -222,6 +303,55 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify followers (subscribers) of a report merged into another - they
+   * can follow the parent from now on
+   */
+  notifyMerge(reportId, parentId, details = {}) {
+    this.sendToSubscribers(reportId, {
+      type: 'report_merged',
+      reportId,
+      data: {
+        mergedInto: parentId,
+        ...details
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify followers of a report taken back out of the report it was merged into
+   */
+  notifyUnmerge(reportId, parentId, details = {}) {
+    this.sendToSubscribers(reportId, {
+      type: 'report_unmerged',
+      reportId,
+      data: {
+        unmergedFrom: parentId,
+        ...details
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify subscribers of a report about comment activity
+   * Only metadata is pushed - clients fetch the thread through the authenticated API
+   */
+  notifyComment(reportId, action, comment) {
+    this.sendToSubscribers(reportId, {
+      type: 'comment',
+      reportId,
+      data: {
+        action,
+        commentId: comment.id,
+        parentId: comment.parent_id,
+        authorRole: comment.author_role
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Generate unique client ID
    */
@@ -0,0 +1,193 @@
+const database = require('../config/database');
+
+/**
+ * Pagination Service
+ * Shared conventions for list endpoints:
+ * - `limit` + opaque `cursor` (keyset pagination - pages stay stable while
+ *   rows are added or removed), returning `nextCursor` (null on the last page)
+ * - `total` - number of rows matching the filters, independent of the page
+ * - `fields=a,b,c` - sparse fieldsets; `id` is always included
+ *
+ * A sort is described by keys [{ expr, order, value }] - `expr` is the SQL
+ * expression (a column of the paginated query), `value(row)` reads the same
+ * value from a result row (defaults to row[expr]). The last key must be unique.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class PaginationService {
+  constructor() {
+    this.columnCache = new Map();
+  }
+
+  parseLimit(limit, fallback = DEFAULT_LIMIT) {
+    const value = parseInt(limit);
+    if (!Number.isFinite(value) || value < 1) return fallback;
+    return Math.min(value, MAX_LIMIT);
+  }
+
+  encodeCursor(row, keys) {
+    const values = keys.map(key => (key.value ? key.value(row) : row[key.expr]));
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  /**
+   * Key values stored in a cursor, or null if it is malformed or was issued
+   * for a different sort
+   */
+  decodeCursor(cursor, keys) {
+    try {
+      const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      return Array.isArray(values) && values.length === keys.length ? values : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * SQL condition selecting rows after the cursor position
+   * (a > x) OR (a IS x AND b > y) OR ... with per-key direction
+   */
+  keysetCondition(keys, values) {
+    const clauses = [];
+    const params = [];
+
+    keys.forEach((key, index) => {
+      const parts = [];
+      for (let i = 0; i < index; i++) {
+        parts.push(`${keys[i].expr} IS ?`);
+        params.push(values[i]);
+      }
+      parts.push(this.afterCondition(key, values[index], params));
+      clauses.push(`(${parts.join(' AND ')})`);
+    });
+
+    return { condition: `(${clauses.join(' OR ')})`, params };
+  }
+
+  /**
+   * SQL condition selecting values of one key after `value` - SQLite sorts
+   * NULL first, and comparisons with NULL are never true
+   */
+  afterCondition(key, value, params) {
+    if (value === null || value === undefined) {
+      return key.order === 'ASC' ? `${key.expr} IS NOT NULL` : '0';
+    }
+
+    params.push(value);
+    return key.order === 'ASC' ? `${key.expr} > ?` : `(${key.expr} < ? OR ${key.expr} IS NULL)`;
+  }
+
+  orderBy(keys) {
+    return keys.map(key => `${key.expr} ${key.order}`).join(', ');
+  }
+
+  /**
+   * Fetch one page of `query` (a complete SELECT without ORDER BY/LIMIT)
+   * Returns { items, total, nextCursor } or { error } for a bad cursor
+   */
+  async paginate(query, params, { keys, limit, cursor, offset }) {
+    const pageSize = this.parseLimit(limit);
+
+    const { total } = await database.get(`SELECT COUNT(*) as total FROM (${query})`, params);
+
+    let sql = `SELECT * FROM (${query})`;
+    const pageParams = [...params];
+
+    if (cursor) {
+      const values = this.decodeCursor(cursor, keys);
+      if (!values) return { error: 'Invalid cursor' };
+
+      const keyset = this.keysetCondition(keys, values);
+      sql += ` WHERE ${keyset.condition}`;
+      pageParams.push(...keyset.params);
+    }
+
+    sql += ` ORDER BY ${this.orderBy(keys)} LIMIT ?`;
+    pageParams.push(pageSize + 1);
+
+    // Plain offsets are still accepted for older clients
+    if (!cursor && parseInt(offset) > 0) {
+      sql += ' OFFSET ?';
+      pageParams.push(parseInt(offset));
+    }
+
+    const rows = await database.query(sql, pageParams);
+    return this.page(rows, pageSize, keys, total);
+  }
+
+  /**
+   * Same as paginate() for rows already filtered and sorted in memory
+   */
+  paginateRows(rows, { keys, limit, cursor, offset }) {
+    const pageSize = this.parseLimit(limit);
+    let remaining = rows;
+
+    if (cursor) {
+      const values = this.decodeCursor(cursor, keys);
+      if (!values) return { error: 'Invalid cursor' };
+      remaining = rows.filter(row => this.compare(this.keyValues(row, keys), values, keys) > 0);
+    } else if (parseInt(offset) > 0) {
+      remaining = rows.slice(parseInt(offset));
+    }
+
+    return this.page(remaining.slice(0, pageSize + 1), pageSize, keys, rows.length);
+  }
+
+  page(rows, pageSize, keys, total) {
+    const items = rows.slice(0, pageSize);
+    const nextCursor = rows.length > pageSize ? this.encodeCursor(items[items.length - 1], keys) : null;
+    return { items, total, nextCursor };
+  }
+
+  keyValues(row, keys) {
+    return keys.map(key => (key.value ? key.value(row) : row[key.expr]));
+  }
+
+  /**
+   * Compare key values the way SQLite orders them (NULL first, then numbers,
+   * then text), honouring each key's direction
+   */
+  compare(a, b, keys) {
+    for (let i = 0; i < keys.length; i++) {
+      const rank = value => (value === null || value === undefined ? 0 : typeof value === 'number' ? 1 : 2);
+      let result = rank(a[i]) - rank(b[i]);
+      if (result === 0 && a[i] !== b[i] && rank(a[i]) !== 0) {
+        result = a[i] < b[i] ? -1 : 1;
+      }
+      if (result !== 0) return keys[i].order === 'ASC' ? result : -result;
+    }
+    return 0;
+  }
+
+  /**
+   * Parse `fields=a,b,c` against the columns of `table` plus computed fields
+   * Returns { fields } (null when not requested) or { error }
+   */
+  async parseFields(fields, table, extra = []) {
+    if (!fields) return { fields: null };
+
+    if (!this.columnCache.has(table)) {
+      const columns = await database.query(`PRAGMA table_info(${table})`);
+      this.columnCache.set(table, columns.map(column => column.name));
+    }
+
+    const allowed = [...this.columnCache.get(table), ...extra];
+    const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = requested.filter(field => !allowed.includes(field));
+
+    if (unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+
+    return { fields: [...new Set(['id', ...requested])] };
+  }
+
+  selectFields(row, fields) {
+    if (!fields) return row;
+    return Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]]));
+  }
+}
+
+module.exports = new PaginationService();
@@ -0,0 +1,135 @@
+/**
+ * Permission Service
+ * Role-based access control with department-scoped officials
+ *
+ * - admin:       everything
+ * - official:    reads and works on reports assigned to their own department
+ * - citizen:     reads, creates and verifies/upvotes reports, redeems vouchers
+ * - public:      unauthenticated callers (the citizen app), same as citizen
+ * - integration: partner API keys, permissions come from the key's scopes
+ */
+
+const CITIZEN_PERMISSIONS = [
+  'reports:read',
+  'reports:create',
+  'reports:verify',
+  'vouchers:read',
+  'vouchers:redeem',
+  'departments:read'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  official: [
+    'reports:read',
+    'reports:update',
+    'reports:resolve',
+    'vouchers:read',
+    'departments:read',
+    'stats:read',
+    'activity:read'
+  ],
+  citizen: CITIZEN_PERMISSIONS,
+  public: CITIZEN_PERMISSIONS
+};
+
+// Permissions granted by each API key scope
+const SCOPE_PERMISSIONS = {
+  'reports:read': ['reports:read'],
+  'reports:write': ['reports:update', 'reports:resolve'],
+  'stats:read': ['stats:read']
+};
+
+class PermissionService {
+  /**
+   * Role of a request user, 'public' when unauthenticated
+   */
+  roleOf(user) {
+    return user ? user.role : 'public';
+  }
+
+  /**
+   * Check whether a user (or anonymous caller) holds a permission
+   */
+  can(user, permission) {
+    if (user && user.role === 'integration') {
+      return user.scopes.some(scope => (SCOPE_PERMISSIONS[scope] || []).includes(permission));
+    }
+
+    const permissions = ROLE_PERMISSIONS[this.roleOf(user)] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  /**
+   * Whether results for this user must be limited to their department
+   */
+  isDepartmentScoped(user) {
+    return !!user && user.role === 'official';
+  }
+
+  /**
+   * Check whether a user may see/act on a specific report
+   */
+  canAccessReport(user, report) {
+    if (!this.isDepartmentScoped(user)) return true;
+    return !!user.department_name && report.assigned_department === user.department_name;
+  }
+
+  /**
+   * Check whether a user may read and post comments on a report:
+   * admins, officials of the assigned department, and the citizen who filed it
+   */
+  canCommentOn(user, report) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (user.role === 'official') return this.canAccessReport(user, report);
+    if (user.role === 'citizen') return !!report.reporter_id && report.reporter_id === user.id;
+    return false;
+  }
+
+  /**
+   * Check whether a user may add, reorder and delete a report's attachments:
+   * staff who can update the report, and the citizen who filed it
+   */
+  canManageAttachments(user, report) {
+    if (!user) return false;
+    if (this.can(user, 'reports:update')) return this.canAccessReport(user, report);
+    return user.role === 'citizen' && !!report.reporter_id && report.reporter_id === user.id;
+  }
+
+  /**
+   * Check whether a user may read a citizen's civic coins and transactions:
+   * admins, officials, and the citizen themselves
+   */
+  canViewCoins(user, userId) {
+    if (!user) return false;
+    if (user.role === 'admin' || user.role === 'official') return true;
+    return user.role === 'citizen' && user.id === userId;
+  }
+
+  /**
+   * Check whether a user may read a report's internal (staff-only) notes:
+   * admins and officials of the assigned department
+   */
+  canViewInternalNotes(user, report) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return user.role === 'official' && this.canAccessReport(user, report);
+  }
+
+  /**
+   * SQL condition limiting reports to the user's department, or null if unscoped
+   * @param {string} column - Column holding the report's assigned department
+   */
+  reportScope(user, column = 'assigned_department') {
+    if (!this.isDepartmentScoped(user)) return null;
+
+    if (!user.department_name) {
+      return { condition: '1 = 0', params: [] };
+    }
+
+    return { condition: `${column} = ?`, params: [user.department_name] };
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,127 @@
+const database = require('../config/database');
+
+/**
+ * Priority Service
+ * Computes the `priority` score (0-100, plus any manual `priority_boost`)
+ * from severity, community engagement, age and duplicate cluster size
+ *
+ * Each factor is normalised to 0..1 and weighted; weights are configurable
+ * through PRIORITY_WEIGHT_* environment variables.
+ */
+
+const SEVERITY_SCORES = { low: 0.25, medium: 0.5, high: 0.75, critical: 1 };
+const OPEN_STATUSES = ['reported', 'acknowledged', 'in_progress'];
+
+class PriorityService {
+  constructor() {
+    this.weights = {
+      severity: this.weight('SEVERITY', 40),
+      upvotes: this.weight('UPVOTES', 15),
+      verifications: this.weight('VERIFICATIONS', 15),
+      age: this.weight('AGE', 15),
+      cluster: this.weight('CLUSTER', 15)
+    };
+    this.ageHorizonDays = parseFloat(process.env.PRIORITY_AGE_HORIZON_DAYS) || 14; // age factor reaches 1
+    this.recomputeIntervalMinutes = parseInt(process.env.PRIORITY_RECOMPUTE_INTERVAL_MINUTES) || 60;
+    this.timer = null;
+  }
+
+  weight(name, fallback) {
+    const value = parseFloat(process.env[`PRIORITY_WEIGHT_${name}`]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  /**
+   * Recompute open reports periodically so the age factor keeps growing
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.recomputeOpen().catch(error => {
+      console.error('Error recomputing priorities:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.recomputeIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Normalised factors for a report
+   * @param {number} duplicateCount - report_count of the duplicate cluster the report heads
+   */
+  factors(report, duplicateCount = 0) {
+    const created = new Date(`${String(report.created_at).replace(' ', 'T')}Z`);
+    const ageDays = isNaN(created) ? 0 : Math.max(0, (Date.now() - created) / 86400000);
+
+    return {
+      severity: SEVERITY_SCORES[report.severity] || 0,
+      upvotes: 1 - Math.exp(-(report.upvotes || 0) / 10),
+      verifications: 1 - Math.exp(-(report.verification_count || 0) / 5),
+      age: Math.min(ageDays / this.ageHorizonDays, 1),
+      cluster: 1 - Math.exp(-duplicateCount / 5)
+    };
+  }
+
+  /**
+   * Score with a per-factor breakdown (points contributed by each factor)
+   */
+  score(report, duplicateCount = 0) {
+    const factors = this.factors(report, duplicateCount);
+    const totalWeight = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+    const breakdown = {};
+    Object.keys(factors).forEach(factor => {
+      breakdown[factor] = Math.round((factors[factor] * this.weights[factor] / totalWeight) * 1000) / 10;
+    });
+
+    const base = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    const boost = report.priority_boost || 0;
+
+    return { score: Math.round(base + boost), breakdown: { ...breakdown, boost } };
+  }
+
+  async duplicateCount(reportId) {
+    const cluster = await database.get(
+      'SELECT report_count FROM duplicate_clusters WHERE parent_report_id = ?',
+      [reportId]
+    );
+    return cluster ? cluster.report_count : 0;
+  }
+
+  /**
+   * Recompute and store the priority of one report
+   */
+  async recompute(reportId) {
+    const report = await database.get('SELECT * FROM reports WHERE id = ?', [reportId]);
+    if (!report) return null;
+
+    const { score } = this.score(report, await this.duplicateCount(reportId));
+
+    if (score !== report.priority) {
+      await database.run('UPDATE reports SET priority = ? WHERE id = ?', [score, reportId]);
+    }
+
+    return score;
+  }
+
+  async recomputeOpen() {
+    const open = await database.query(
+      `SELECT id FROM reports WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+      OPEN_STATUSES
+    );
+
+    for (const { id } of open) {
+      await this.recompute(id);
+    }
+
+    return open.length;
+  }
+}
+
+module.exports = new PriorityService();
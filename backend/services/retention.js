@@ -0,0 +1,193 @@
+const database = require('../config/database');
+const storage = require('../config/storage');
+const hashIndex = require('./hashIndex');
+const merge = require('./merge');
+const priority = require('./priority');
+const sla = require('./sla');
+
+/**
+ * Retention Service
+ * Permanently purges soft-deleted reports once they have been in the trash
+ * longer than the retention period, including their uploaded files
+ */
+
+class RetentionService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.REPORT_RETENTION_DAYS) || 30;
+    this.intervalHours = parseInt(process.env.PURGE_INTERVAL_HOURS) || 24;
+    this.timer = null;
+  }
+
+  /**
+   * Run the purge now and then on every interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.purgeExpired().catch(error => {
+      console.error('Error purging deleted reports:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.intervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`🗑️  Retention: purging reports deleted more than ${this.retentionDays} day(s) ago every ${this.intervalHours}h`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Permanently remove every report deleted before the retention cutoff
+   * Returns the number of reports purged
+   */
+  async purgeExpired() {
+    const expired = await database.query(
+      `SELECT id FROM reports
+       WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+      [`-${this.retentionDays} days`]
+    );
+
+    let purged = 0;
+    for (const { id } of expired) {
+      if (await this.purgeReport(id)) purged++;
+    }
+
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} report(s) deleted more than ${this.retentionDays} day(s) ago`);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Permanently remove one soft-deleted report, its dependent rows and files
+   * Coin transactions are kept for the ledger with the report reference cleared,
+   * and its activity log is archived in purged_reports. Reports that were
+   * duplicates of it are reopened.
+   */
+  async purgeReport(id) {
+    const purged = await database.transaction(async () => {
+      const report = await database.get(
+        'SELECT * FROM reports WHERE id = ? AND deleted_at IS NOT NULL',
+        [id]
+      );
+      if (!report) return null;
+
+      const comments = await database.query(
+        'SELECT attachment_path FROM report_comments WHERE report_id = ? AND attachment_path IS NOT NULL',
+        [id]
+      );
+
+      const attachments = await database.query(
+        'SELECT file_path FROM report_attachments WHERE report_id = ?',
+        [id]
+      );
+
+      const reopened = await this.reopenDuplicates(id);
+
+      await database.run('DELETE FROM verifications WHERE report_id = ?', [id]);
+      await database.run('UPDATE verifications SET merged_from = NULL WHERE merged_from = ?', [id]);
+      await database.run('DELETE FROM report_attachments WHERE report_id = ?', [id]);
+      await database.run('DELETE FROM report_hashes WHERE report_id = ?', [id]);
+      await database.run('DELETE FROM report_comments WHERE report_id = ?', [id]);
+      await database.run('DELETE FROM report_revisions WHERE report_id = ?', [id]);
+
+      const activity = await database.query(
+        'SELECT user_id, action, details, created_at FROM activity_log WHERE report_id = ? ORDER BY id',
+        [id]
+      );
+      await database.run(
+        `INSERT INTO purged_reports (
+           report_id, type, address, status, reporter_id, created_at,
+           deleted_at, deleted_by, delete_reason, activity
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id, report.type, report.address, report.status, report.reporter_id, report.created_at,
+          report.deleted_at, report.deleted_by, report.delete_reason, JSON.stringify(activity)
+        ]
+      );
+      await database.run('DELETE FROM activity_log WHERE report_id = ?', [id]);
+
+      await database.run('DELETE FROM duplicate_clusters WHERE parent_report_id = ?', [id]);
+      await database.run('DELETE FROM duplicate_candidates WHERE report_id = ? OR candidate_id = ?', [id, id]);
+      await database.run('UPDATE coin_transactions SET report_id = NULL WHERE report_id = ?', [id]);
+      await database.run('DELETE FROM reports WHERE id = ?', [id]);
+
+      const files = [
+        report.image_path,
+        report.pof_image_path,
+        report.before_image_path,
+        report.after_image_path,
+        report.voice_note_path,
+        ...comments.map(comment => comment.attachment_path),
+        ...attachments.map(attachment => attachment.file_path)
+      ];
+
+      return { files, reopened };
+    });
+
+    if (!purged) return false;
+
+    hashIndex.remove(id);
+
+    for (const reportId of purged.reopened) {
+      await sla.assign(reportId);
+      await priority.recompute(reportId);
+    }
+
+    // Files go only after the rows are gone, so a failed purge never leaves
+    // a report pointing at missing images
+    for (const file of new Set(purged.files.filter(Boolean))) {
+      await storage.deleteFile(file.replace(/^.*uploads\//, ''));
+    }
+
+    return true;
+  }
+
+  /**
+   * Reopen the reports marked as duplicates of a report being purged - they
+   * have nothing left to be a duplicate of - with the upvotes/verifications
+   * that were moved from them when they were merged
+   * Returns their IDs
+   */
+  async reopenDuplicates(id) {
+    const duplicates = await database.query(
+      "SELECT id FROM reports WHERE duplicate_of = ? AND status = 'duplicate'",
+      [id]
+    );
+
+    await database.run(
+      'UPDATE reports SET duplicate_of = NULL, updated_at = CURRENT_TIMESTAMP WHERE duplicate_of = ?',
+      [id]
+    );
+
+    for (const duplicate of duplicates) {
+      await merge.restoreVerifications(duplicate.id, id);
+      // Reopened like a resolved report - SLA deadlines start over
+      await database.run(
+        `UPDATE reports SET status = 'reported', sla_started_at = CURRENT_TIMESTAMP,
+           sla_acknowledge_breached_at = NULL, sla_resolve_breached_at = NULL
+         WHERE id = ?`,
+        [duplicate.id]
+      );
+      await database.run(
+        'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+        [duplicate.id, null, 'status_updated', JSON.stringify({
+          transition: 'parent_purged',
+          from: 'duplicate',
+          to: 'reported',
+          reason: `Duplicate target ${id} was permanently deleted`,
+          duplicate_of: null
+        })]
+      );
+    }
+
+    return duplicates.map(duplicate => duplicate.id);
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,98 @@
+const database = require('../config/database');
+
+/**
+ * Report Revision Service
+ * Validates edits to a report's descriptive fields and keeps a revision
+ * (who, when, old/new value per field) for every change
+ */
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Fields that may be edited after creation, with their validators
+const EDITABLE_FIELDS = {
+  type: value => typeof value === 'string' && value.trim().length > 0,
+  severity: value => SEVERITIES.includes(value),
+  address: value => typeof value === 'string' && value.trim().length > 0,
+  description: value => value === null || typeof value === 'string',
+  latitude: value => Number.isFinite(Number(value)) && Math.abs(Number(value)) <= 90,
+  longitude: value => Number.isFinite(Number(value)) && Math.abs(Number(value)) <= 180
+};
+
+class RevisionService {
+  constructor() {
+    this.editableFields = Object.keys(EDITABLE_FIELDS);
+  }
+
+  /**
+   * Validate an edit payload
+   * Returns an error message, or null if valid
+   */
+  validate(updates) {
+    const fields = Object.keys(updates);
+
+    const unknown = fields.filter(field => !EDITABLE_FIELDS[field]);
+    if (unknown.length > 0) {
+      return `Fields cannot be edited: ${unknown.join(', ')}`;
+    }
+
+    if (fields.length === 0) {
+      return `No editable fields provided (allowed: ${this.editableFields.join(', ')})`;
+    }
+
+    const invalid = fields.filter(field => !EDITABLE_FIELDS[field](updates[field]));
+    if (invalid.length > 0) {
+      return `Invalid value for: ${invalid.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Field-level changes between a report and an edit payload
+   * Returns { field: { old, new } } for fields whose value actually changes
+   */
+  diff(report, updates) {
+    const changes = {};
+
+    Object.keys(updates).forEach(field => {
+      let value = updates[field];
+      if (field === 'latitude' || field === 'longitude') value = parseFloat(value);
+      if (typeof value === 'string') value = value.trim();
+      if (field === 'description' && value === '') value = null;
+
+      if (value !== report[field]) {
+        changes[field] = { old: report[field], new: value };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Store a revision for a set of changes
+   */
+  async record(reportId, userId, changes) {
+    const result = await database.run(
+      'INSERT INTO report_revisions (report_id, user_id, changes) VALUES (?, ?, ?)',
+      [reportId, userId, JSON.stringify(changes)]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Revision history for a report, newest first
+   */
+  async list(reportId) {
+    const rows = await database.query(`
+      SELECT rv.*, COALESCE(u.full_name, u.username) as user_name
+      FROM report_revisions rv
+      LEFT JOIN users u ON u.id = rv.user_id
+      WHERE rv.report_id = ?
+      ORDER BY rv.created_at DESC, rv.id DESC
+    `, [reportId]);
+
+    return rows.map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,229 @@
+const database = require('../config/database');
+const geo = require('./geo');
+
+/**
+ * Department Routing Service
+ * Assigns new reports to a department using admin-editable rules
+ *
+ * A rule matches when every condition it sets matches (a list matches if any
+ * entry does). Rules are tried in ascending `priority`, then by id, and the
+ * first match wins. Reports no rule matches go to the fallback department,
+ * or stay unassigned in the triage queue when none is configured.
+ *
+ * Conditions: { types, severities, keywords, ai_labels, ward }
+ * where `ward` is a GeoJSON Polygon ([lng, lat] positions).
+ */
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const CONDITION_KEYS = ['types', 'severities', 'keywords', 'ai_labels', 'ward'];
+
+class RoutingService {
+  constructor() {
+    this.fallbackDepartment = process.env.ROUTING_FALLBACK_DEPARTMENT || null;
+  }
+
+  async listRules() {
+    const rows = await database.query('SELECT * FROM routing_rules ORDER BY priority ASC, id ASC');
+    return rows.map(row => this.format(row));
+  }
+
+  async getRule(id) {
+    const row = await database.get('SELECT * FROM routing_rules WHERE id = ?', [id]);
+    return row ? this.format(row) : null;
+  }
+
+  async createRule({ name, department, priority, conditions, active, createdBy }) {
+    const result = await database.run(
+      `INSERT INTO routing_rules (name, department, priority, conditions, active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, department, priority ?? 100, JSON.stringify(conditions), active === false ? 0 : 1, createdBy]
+    );
+    return this.getRule(result.lastID);
+  }
+
+  async updateRule(id, { name, department, priority, conditions, active }) {
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+
+    if (department !== undefined) {
+      updates.push('department = ?');
+      params.push(department);
+    }
+
+    if (priority !== undefined) {
+      updates.push('priority = ?');
+      params.push(priority);
+    }
+
+    if (conditions !== undefined) {
+      updates.push('conditions = ?');
+      params.push(JSON.stringify(conditions));
+    }
+
+    if (active !== undefined) {
+      updates.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+
+    if (updates.length === 0) return this.getRule(id);
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+
+    const result = await database.run(`UPDATE routing_rules SET ${updates.join(', ')} WHERE id = ?`, params);
+    return result.changes > 0 ? this.getRule(id) : null;
+  }
+
+  async deleteRule(id) {
+    const result = await database.run('DELETE FROM routing_rules WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Validate a rule payload
+   * Returns an error message, or null if valid
+   */
+  async validateRule({ name, department, priority, conditions }, partial = false) {
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') return 'Name is required';
+    }
+
+    if (!partial || department !== undefined) {
+      const exists = await database.get('SELECT id FROM departments WHERE name = ? AND active = 1', [department || '']);
+      if (!exists) return 'Department not found';
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return 'Priority must be an integer';
+    }
+
+    if (!partial || conditions !== undefined) {
+      return this.validateConditions(conditions);
+    }
+
+    return null;
+  }
+
+  validateConditions(conditions) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return 'Conditions must be an object';
+    }
+
+    const keys = Object.keys(conditions);
+    const unknown = keys.filter(key => !CONDITION_KEYS.includes(key));
+    if (unknown.length > 0) return `Unknown conditions: ${unknown.join(', ')}`;
+    if (keys.length === 0) return `At least one condition is required (${CONDITION_KEYS.join(', ')})`;
+
+    for (const key of ['types', 'severities', 'keywords', 'ai_labels']) {
+      const value = conditions[key];
+      if (value === undefined) continue;
+      if (!Array.isArray(value) || value.length === 0 || !value.every(item => typeof item === 'string' && item)) {
+        return `${key} must be a non-empty array of strings`;
+      }
+    }
+
+    if (conditions.severities && !conditions.severities.every(severity => SEVERITIES.includes(severity))) {
+      return `severities must be one of: ${SEVERITIES.join(', ')}`;
+    }
+
+    if (conditions.ward !== undefined && !geo.isPolygon(conditions.ward)) {
+      return 'ward must be a GeoJSON Polygon with a closed ring of [lng, lat] positions';
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate the active rules against a report
+   * Returns { department, rule, fallback, evaluations } - evaluations lists
+   * every rule tried with the conditions that failed, for dry runs
+   */
+  async route(report) {
+    const rules = (await this.listRules()).filter(rule => rule.active);
+    const evaluations = [];
+
+    for (const rule of rules) {
+      const failed = this.failedConditions(rule.conditions, report);
+      evaluations.push({ ruleId: rule.id, name: rule.name, department: rule.department, matched: failed.length === 0, failed });
+
+      if (failed.length === 0) {
+        return { department: rule.department, rule, fallback: false, evaluations };
+      }
+    }
+
+    return { department: this.fallbackDepartment, rule: null, fallback: true, evaluations };
+  }
+
+  /**
+   * Conditions of a rule that the report does not satisfy
+   */
+  failedConditions(conditions, report) {
+    const failed = [];
+    const type = (report.type || '').toLowerCase();
+    const description = (report.description || '').toLowerCase();
+
+    if (conditions.types && !conditions.types.some(t => t.toLowerCase() === type)) {
+      failed.push('types');
+    }
+
+    if (conditions.severities && !conditions.severities.includes(report.severity)) {
+      failed.push('severities');
+    }
+
+    if (conditions.keywords && !conditions.keywords.some(keyword => description.includes(keyword.toLowerCase()))) {
+      failed.push('keywords');
+    }
+
+    if (conditions.ai_labels) {
+      const labels = this.parseLabels(report.ai_labels);
+      if (!conditions.ai_labels.some(label => labels.includes(label.toLowerCase()))) {
+        failed.push('ai_labels');
+      }
+    }
+
+    if (conditions.ward) {
+      const latitude = parseFloat(report.latitude);
+      const longitude = parseFloat(report.longitude);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+          !geo.pointInGeoJsonPolygon(latitude, longitude, conditions.ward)) {
+        failed.push('ward');
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * AI labels arrive as a JSON array or a comma-separated string
+   */
+  parseLabels(aiLabels) {
+    if (!aiLabels) return [];
+    if (Array.isArray(aiLabels)) return aiLabels.map(label => String(label).toLowerCase());
+
+    try {
+      const parsed = JSON.parse(aiLabels);
+      if (Array.isArray(parsed)) {
+        return parsed.map(label => String(label.label || label.name || label).toLowerCase());
+      }
+    } catch (error) {
+      // Not JSON - fall through to comma-separated
+    }
+
+    return String(aiLabels).split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+  }
+
+  format(row) {
+    return {
+      ...row,
+      active: !!row.active,
+      conditions: JSON.parse(row.conditions)
+    };
+  }
+}
+
+module.exports = new RoutingService();
@@ -0,0 +1,43 @@
+/**
+ * Search Service
+ * Full-text search over reports through the `reports_fts` FTS5 index
+ * (description, address, resolution_notes, ai_labels)
+ *
+ * The index is an external-content table kept in sync by triggers on
+ * `reports` (see config/database.js), so callers only build queries.
+ */
+
+// bm25() column weights, in index column order
+const COLUMN_WEIGHTS = { description: 4, address: 2, resolution_notes: 1, ai_labels: 2 };
+
+const SNIPPET_TOKENS = 12;
+const MAX_TERMS = 10;
+
+class SearchService {
+  constructor() {
+    this.rankSql = `bm25(reports_fts, ${Object.values(COLUMN_WEIGHTS).join(', ')})`;
+    this.snippetSql = `snippet(reports_fts, -1, '<mark>', '</mark>', '…', ${SNIPPET_TOKENS})`;
+  }
+
+  /**
+   * Turn free text into an FTS5 MATCH expression
+   * Every term must match; the last one also matches as a prefix so
+   * partial input ("bus dep") still finds results. Returns null when the
+   * text has no searchable terms.
+   */
+  matchQuery(text) {
+    const terms = String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .slice(0, MAX_TERMS);
+
+    if (terms.length === 0) return null;
+
+    return terms
+      .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+      .join(' ');
+  }
+}
+
+module.exports = new SearchService();
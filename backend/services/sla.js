@@ -0,0 +1,319 @@
+const database = require('../config/database');
+
+/**
+ * SLA Service
+ * Service level targets per department/type/severity, a background checker
+ * that flags at-risk and breached reports, and escalation (department
+ * supervisor first, then admins)
+ *
+ * While a report is `reported` it runs against the acknowledge deadline,
+ * afterwards against the resolve deadline. Both are counted from the last
+ * reopen (sla_started_at), or creation. sla_status follows the current phase;
+ * a breach of either phase is also recorded in sla_<phase>_breached_at and
+ * stays recorded after the report moves on.
+ */
+
+const OPEN_STATUSES = ['reported', 'acknowledged', 'in_progress'];
+
+// Deadline currently running for a report, NULL once it is no longer open
+const DUE_SQL = `CASE
+  WHEN status = 'reported' THEN sla_acknowledge_due
+  WHEN status IN ('acknowledged', 'in_progress') THEN sla_resolve_due
+  ELSE NULL
+END`;
+
+const ESCALATION_TARGETS = { 1: 'supervisor', 2: 'admin' };
+
+class SlaService {
+  constructor() {
+    this.checkIntervalMinutes = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5;
+    this.atRiskFraction = parseFloat(process.env.SLA_AT_RISK_FRACTION) || 0.25; // remaining share of the window
+    this.adminEscalationHours = parseFloat(process.env.SLA_ADMIN_ESCALATION_HOURS) || 24; // after supervisor escalation
+    this.dueSql = DUE_SQL;
+    this.remainingSql = `CAST(ROUND((julianday(${DUE_SQL}) - julianday('now')) * 1440) AS INTEGER)`;
+    this.timer = null;
+  }
+
+  /**
+   * Run the checker now and then on every interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.check().catch(error => {
+      console.error('Error checking SLAs:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.checkIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`⏱️  SLA checker running every ${this.checkIntervalMinutes} minute(s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async listPolicies() {
+    const rows = await database.query(
+      'SELECT * FROM sla_policies ORDER BY department IS NULL, department, type IS NULL, type, severity IS NULL, severity'
+    );
+    return rows.map(row => ({ ...row, active: !!row.active }));
+  }
+
+  async getPolicy(id) {
+    const row = await database.get('SELECT * FROM sla_policies WHERE id = ?', [id]);
+    return row ? { ...row, active: !!row.active } : null;
+  }
+
+  /**
+   * Most specific active policy for a report (department beats type beats severity)
+   */
+  async policyFor(report) {
+    const candidates = await database.query(
+      `SELECT * FROM sla_policies
+       WHERE active = 1
+         AND (department IS NULL OR department = ?)
+         AND (type IS NULL OR type = ?)
+         AND (severity IS NULL OR severity = ?)`,
+      [report.assigned_department || null, report.type, report.severity]
+    );
+
+    const specificity = policy => (policy.department ? 4 : 0) + (policy.type ? 2 : 0) + (policy.severity ? 1 : 0);
+    candidates.sort((a, b) => specificity(b) - specificity(a) || a.id - b.id);
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * (Re)compute a report's deadlines from the matching policy
+   * Called on creation and whenever department, type or severity change
+   */
+  async assign(reportId) {
+    const report = await database.get('SELECT * FROM reports WHERE id = ?', [reportId]);
+    if (!report) return null;
+
+    const policy = await this.policyFor(report);
+
+    if (!policy) {
+      await database.run(
+        `UPDATE reports SET sla_policy_id = NULL, sla_acknowledge_due = NULL, sla_resolve_due = NULL,
+         sla_status = NULL WHERE id = ?`,
+        [reportId]
+      );
+      return null;
+    }
+
+    await database.run(
+      `UPDATE reports SET
+        sla_policy_id = ?,
+        sla_acknowledge_due = datetime(COALESCE(sla_started_at, created_at), ?),
+        sla_resolve_due = datetime(COALESCE(sla_started_at, created_at), ?)
+       WHERE id = ?`,
+      [policy.id, `+${Math.round(policy.acknowledge_hours * 60)} minutes`, `+${Math.round(policy.resolve_hours * 60)} minutes`, reportId]
+    );
+
+    await this.evaluate(await database.get('SELECT * FROM reports WHERE id = ?', [reportId]));
+    return policy;
+  }
+
+  /**
+   * Flag at-risk/breached open reports, escalate breaches, settle SLAs of
+   * finished reports and refresh departments.avg_response_time
+   */
+  async check() {
+    const open = await database.query(
+      `SELECT * FROM reports
+       WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+         AND deleted_at IS NULL
+         AND sla_policy_id IS NOT NULL`,
+      OPEN_STATUSES
+    );
+
+    for (const report of open) {
+      await this.evaluate(report);
+    }
+
+    // Finished reports are 'breached' if either phase breached, otherwise the SLA was met
+    await database.run(`
+      UPDATE reports SET sla_status = CASE
+        WHEN sla_acknowledge_breached_at IS NOT NULL OR sla_resolve_breached_at IS NOT NULL THEN 'breached'
+        WHEN COALESCE(resolved_at, closed_at, updated_at) > sla_resolve_due THEN 'breached'
+        ELSE 'met'
+      END
+      WHERE status IN ('resolved', 'closed')
+        AND sla_resolve_due IS NOT NULL
+        AND (sla_status IS NULL OR sla_status IN ('on_track', 'at_risk'))
+    `);
+
+    // Average hours from report to acknowledgement
+    await database.run(`
+      UPDATE departments SET avg_response_time = (
+        SELECT ROUND(AVG((julianday(acknowledged_at) - julianday(created_at)) * 24))
+        FROM reports
+        WHERE assigned_department = departments.name
+          AND acknowledged_at IS NOT NULL
+          AND deleted_at IS NULL
+      )
+    `);
+  }
+
+  /**
+   * Update the SLA status of one open report and escalate if breached
+   */
+  async evaluate(report) {
+    if (!report || !OPEN_STATUSES.includes(report.status)) return;
+
+    const phase = report.status === 'reported' ? 'acknowledge' : 'resolve';
+    const due = this.parseDate(phase === 'acknowledge' ? report.sla_acknowledge_due : report.sla_resolve_due);
+    if (!due) return;
+
+    const started = this.parseDate(report.sla_started_at || report.created_at);
+    const remaining = due - Date.now();
+    const window = Math.max(due - started, 1);
+
+    let state = 'on_track';
+    if (remaining < 0) state = 'breached';
+    else if (remaining < window * this.atRiskFraction) state = 'at_risk';
+
+    if (phase === 'resolve') {
+      await this.recordAcknowledgeBreach(report, started);
+    }
+    if (state === 'breached' && !report[`sla_${phase}_breached_at`]) {
+      await database.run(
+        `UPDATE reports SET sla_${phase}_breached_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [report.id]
+      );
+    }
+
+    if (state !== report.sla_status) {
+      // Back on track (e.g. acknowledged in time) resets the escalation chain
+      const resetEscalation = state === 'on_track';
+
+      await database.run(
+        `UPDATE reports SET sla_status = ?${resetEscalation ? ', sla_escalation_level = 0, sla_escalated_at = NULL' : ''}
+         WHERE id = ?`,
+        [state, report.id]
+      );
+
+      if (state !== 'on_track') {
+        await database.run(
+          'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+          [report.id, null, `sla_${state}`, JSON.stringify({ phase, due_at: due.toISOString() })]
+        );
+
+        if (global.notifications) {
+          global.notifications.notifySlaStatus(report.id, state, { phase, dueAt: due.toISOString(), department: report.assigned_department });
+        }
+      }
+
+      if (resetEscalation) {
+        report.sla_escalation_level = 0;
+        report.sla_escalated_at = null;
+      }
+    }
+
+    if (state === 'breached') {
+      await this.escalate(report, phase);
+    }
+  }
+
+  /**
+   * Record a missed acknowledge deadline of a report that has moved on to
+   * the resolve phase - it may have been acknowledged late between checks
+   */
+  async recordAcknowledgeBreach(report, started) {
+    const due = this.parseDate(report.sla_acknowledge_due);
+    if (report.sla_acknowledge_breached_at || !due) return;
+
+    // First time the report left `reported` since the SLA started
+    const acknowledgedAt = [report.acknowledged_at, report.in_progress_at]
+      .map(value => this.parseDate(value))
+      .filter(date => date && date >= started)
+      .sort((a, b) => a - b)[0];
+
+    if (acknowledgedAt && acknowledgedAt > due) {
+      await database.run(
+        'UPDATE reports SET sla_acknowledge_breached_at = datetime(?) WHERE id = ?',
+        [acknowledgedAt.toISOString(), report.id]
+      );
+    }
+  }
+
+  /**
+   * Walk the escalation chain for a breached report: supervisor immediately,
+   * admins once the supervisor has had adminEscalationHours to act
+   */
+  async escalate(report, phase) {
+    const level = report.sla_escalation_level || 0;
+    let nextLevel = null;
+
+    if (level === 0) {
+      nextLevel = 1;
+    } else if (level === 1) {
+      const escalatedAt = this.parseDate(report.sla_escalated_at);
+      if (escalatedAt && Date.now() - escalatedAt >= this.adminEscalationHours * 60 * 60 * 1000) {
+        nextLevel = 2;
+      }
+    }
+
+    if (!nextLevel) return;
+
+    const recipients = await this.escalationRecipients(report, nextLevel);
+
+    await database.run(
+      'UPDATE reports SET sla_escalation_level = ?, sla_escalated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [nextLevel, report.id]
+    );
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, null, 'sla_escalated', JSON.stringify({
+        level: nextLevel,
+        target: ESCALATION_TARGETS[nextLevel],
+        phase,
+        recipients: recipients.map(user => user.id)
+      })]
+    );
+
+    console.log(`🚨 SLA breach on ${report.id} escalated to ${ESCALATION_TARGETS[nextLevel]} (${recipients.length} recipient(s))`);
+
+    if (global.notifications) {
+      global.notifications.notifySlaEscalation(report.id, nextLevel, ESCALATION_TARGETS[nextLevel], recipients.map(user => user.id), {
+        phase,
+        department: report.assigned_department
+      });
+    }
+  }
+
+  /**
+   * Users notified at an escalation level - the department supervisor, or
+   * every active admin (also used when a department has no supervisor)
+   */
+  async escalationRecipients(report, level) {
+    if (level === 1 && report.assigned_department) {
+      const supervisor = await database.get(
+        `SELECT u.id, u.username, u.email FROM departments d
+         JOIN users u ON u.id = d.supervisor_id AND u.active = 1
+         WHERE d.name = ?`,
+        [report.assigned_department]
+      );
+      if (supervisor) return [supervisor];
+    }
+
+    return database.query("SELECT id, username, email FROM users WHERE role = 'admin' AND active = 1");
+  }
+
+  /**
+   * SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date) ? null : date;
+  }
+}
+
+module.exports = new SlaService();
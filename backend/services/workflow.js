@@ -0,0 +1,159 @@
+const database = require('../config/database');
+
+/**
+ * Report Workflow Service
+ * Declares the legal status transitions for reports and the fields each
+ * transition requires. Anything not listed here is rejected with 409.
+ */
+
+const STATUSES = ['reported', 'acknowledged', 'in_progress', 'resolved', 'closed', 'duplicate'];
+
+const TRANSITIONS = [
+  { name: 'acknowledge', from: ['reported'], to: 'acknowledged' },
+  { name: 'start', from: ['reported', 'acknowledged'], to: 'in_progress' },
+  { name: 'resolve', from: ['reported', 'acknowledged', 'in_progress'], to: 'resolved' },
+  { name: 'close', from: ['reported', 'acknowledged', 'in_progress', 'resolved'], to: 'closed', requires: ['reason'] },
+  { name: 'mark_duplicate', from: ['reported', 'acknowledged', 'in_progress'], to: 'duplicate', requires: ['duplicate_of'] },
+  { name: 'reopen', from: ['resolved', 'closed'], to: 'reported', requires: ['reason'] }
+];
+
+// Timestamp column stamped when a report enters a status
+const STATUS_TIMESTAMPS = {
+  acknowledged: 'acknowledged_at',
+  in_progress: 'in_progress_at',
+  resolved: 'resolved_at',
+  closed: 'closed_at'
+};
+
+class WorkflowService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.transitions = TRANSITIONS;
+  }
+
+  findTransition(from, to) {
+    return TRANSITIONS.find(t => t.to === to && t.from.includes(from)) || null;
+  }
+
+  allowedTransitions(from) {
+    return TRANSITIONS
+      .filter(t => t.from.includes(from))
+      .map(t => ({ name: t.name, to: t.to, requires: t.requires || [] }));
+  }
+
+  /**
+   * Validate a transition for a report
+   * Returns null when allowed, otherwise { status, body } for the HTTP response
+   */
+  async check(report, to, fields = {}) {
+    if (!STATUSES.includes(to)) {
+      return { status: 400, body: { success: false, error: 'Invalid status', validStatuses: STATUSES } };
+    }
+
+    const transition = this.findTransition(report.status, to);
+
+    if (!transition) {
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: `Illegal transition from ${report.status} to ${to}`,
+          currentStatus: report.status,
+          allowedTransitions: this.allowedTransitions(report.status)
+        }
+      };
+    }
+
+    const missing = (transition.requires || []).filter(field => !fields[field]);
+    if (missing.length > 0) {
+      return {
+        status: 400,
+        body: { success: false, error: `Transition '${transition.name}' requires: ${missing.join(', ')}`, required: missing }
+      };
+    }
+
+    if (to === 'duplicate') {
+      if (fields.duplicate_of === report.id) {
+        return { status: 400, body: { success: false, error: 'A report cannot be a duplicate of itself' } };
+      }
+
+      const target = await database.get('SELECT id, status FROM reports WHERE id = ? AND deleted_at IS NULL', [fields.duplicate_of]);
+      if (!target) {
+        return { status: 400, body: { success: false, error: 'Duplicate target report not found' } };
+      }
+      if (target.status === 'duplicate') {
+        return { status: 400, body: { success: false, error: 'Duplicate target is itself a duplicate' } };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Column updates implied by a transition (timestamps, reasons, reopen clean-up)
+   */
+  statusUpdates(report, to, fields = {}) {
+    const sets = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+    const params = [to];
+
+    if (STATUS_TIMESTAMPS[to]) {
+      sets.push(`${STATUS_TIMESTAMPS[to]} = CURRENT_TIMESTAMP`);
+    }
+
+    if (to === 'closed') {
+      sets.push('close_reason = ?');
+      params.push(fields.reason);
+    }
+
+    if (to === 'duplicate') {
+      sets.push('duplicate_of = ?');
+      params.push(fields.duplicate_of);
+    }
+
+    if (this.findTransition(report.status, to)?.name === 'reopen') {
+      sets.push(
+        'resolved_at = NULL',
+        'closed_at = NULL',
+        'close_reason = NULL',
+        'reopened_at = CURRENT_TIMESTAMP',
+        'reopen_count = COALESCE(reopen_count, 0) + 1',
+        // SLA deadlines start over from the reopen
+        'sla_started_at = CURRENT_TIMESTAMP',
+        'sla_acknowledge_breached_at = NULL',
+        'sla_resolve_breached_at = NULL'
+      );
+    }
+
+    return { sets, params };
+  }
+
+  /**
+   * Record a completed transition in the activity log
+   */
+  async logTransition(report, to, fields, userId) {
+    const transition = this.findTransition(report.status, to);
+
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, userId, transition.name === 'reopen' ? 'reopened' : 'status_updated', JSON.stringify({
+        transition: transition.name,
+        from: report.status,
+        to,
+        reason: fields.reason || null,
+        duplicate_of: fields.duplicate_of || null
+      })]
+    );
+  }
+
+  /**
+   * Record a rejected transition attempt in the activity log
+   */
+  async logRejected(report, to, userId, error) {
+    await database.run(
+      'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+      [report.id, userId, 'transition_rejected', JSON.stringify({ from: report.status, to, error })]
+    );
+  }
+}
+
+module.exports = new WorkflowService();
@@ -0,0 +1,143 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const apiKeys = require('../services/apiKeys');
+const { identifyApiKey } = require('../middleware/auth');
+const { limiter, apiKeyLimiter } = require('../middleware/rateLimit');
+const reportsRouter = require('../routes/reports');
+const statsRouter = require('../routes/stats');
+
+/**
+ * Partner API keys - scopes and per-key rate limits - through the same
+ * middleware chain as the server
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/', identifyApiKey, apiKeyLimiter, limiter);
+app.use('/api/reports', reportsRouter);
+app.use('/api/stats', statsRouter);
+
+let reportId;
+let adminId;
+
+const createKey = (scopes, rateLimit = 100) => apiKeys.create({ name: `Partner ${uuidv4()}`, scopes, rateLimit, createdBy: adminId });
+const withKey = (req, key) => req.set('X-API-Key', key);
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  adminId = uuidv4();
+  await database.run(
+    "INSERT INTO users (id, username, email, password_hash, role) VALUES (?, 'keys-admin', 'keys@city.gov', 'x', 'admin')",
+    [adminId]
+  );
+
+  reportId = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [reportId]
+  );
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+describe('scopes', () => {
+  test('lets a key do what its scopes grant and nothing else', async () => {
+    const { key } = await createKey(['reports:read']);
+
+    expect((await withKey(request(app).get(`/api/reports/${reportId}`), key)).status).toBe(200);
+    expect((await withKey(request(app).get('/api/stats'), key)).status).toBe(403);
+    const update = await withKey(request(app).patch(`/api/reports/${reportId}/status`), key).send({ status: 'acknowledged' });
+    expect(update).toMatchObject({ status: 403, body: { error: 'Insufficient permissions' } });
+  });
+
+  test('lets reports:write keys change report status', async () => {
+    const { key } = await createKey(['reports:read', 'reports:write', 'stats:read']);
+
+    expect((await withKey(request(app).get('/api/stats'), key)).status).toBe(200);
+    const update = await withKey(request(app).patch(`/api/reports/${reportId}/status`), key).send({ status: 'acknowledged' });
+    expect(update.status).toBe(200);
+  });
+
+  test('records the last use of a key', async () => {
+    const { key, apiKey } = await createKey(['reports:read']);
+    expect(apiKey.last_used_at).toBeNull();
+
+    await withKey(request(app).get(`/api/reports/${reportId}`), key);
+
+    expect((await apiKeys.get(apiKey.id)).last_used_at).not.toBeNull();
+  });
+});
+
+describe('authentication', () => {
+  test('rejects malformed, revoked and rotated keys', async () => {
+    const get = key => withKey(request(app).get(`/api/reports/${reportId}`), key);
+
+    expect(await get('cfk_not-a-key')).toMatchObject({ status: 401, body: { error: 'Invalid or revoked API key' } });
+
+    const revoked = await createKey(['reports:read']);
+    await apiKeys.revoke(revoked.apiKey.id);
+    expect((await get(revoked.key)).status).toBe(401);
+
+    const original = await createKey(['reports:read']);
+    const rotated = await apiKeys.rotate(original.apiKey.id);
+    expect((await get(original.key)).status).toBe(401);
+    expect((await get(rotated.key)).status).toBe(200);
+    expect(rotated.apiKey.scopes).toEqual(['reports:read']);
+  });
+
+  test('never returns the key hash', async () => {
+    const { apiKey } = await createKey(['reports:read']);
+
+    expect(apiKey).not.toHaveProperty('key_hash');
+    for (const listed of await apiKeys.list()) {
+      expect(listed).not.toHaveProperty('key_hash');
+    }
+  });
+
+  test('knows the valid scopes', () => {
+    expect(apiKeys.invalidScopes(['reports:read', 'users:manage'])).toEqual(['users:manage']);
+  });
+});
+
+describe('rate limits', () => {
+  test('limits each key to its own rate limit', async () => {
+    const limited = await createKey(['reports:read'], 2);
+    const other = await createKey(['reports:read'], 2);
+    const get = key => withKey(request(app).get(`/api/reports/${reportId}`), key);
+
+    expect((await get(limited.key)).status).toBe(200);
+    const second = await get(limited.key);
+    expect(second.status).toBe(200);
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+
+    expect(await get(limited.key)).toMatchObject({
+      status: 429,
+      body: { success: false, error: 'API key rate limit exceeded, please try again later.' }
+    });
+
+    // Another key has its own budget
+    expect((await get(other.key)).status).toBe(200);
+  });
+
+  test('takes a raised limit into account without a new key', async () => {
+    const { key, apiKey } = await createKey(['reports:read'], 1);
+    const get = () => withKey(request(app).get(`/api/reports/${reportId}`), key);
+
+    expect((await get()).status).toBe(200);
+    expect((await get()).status).toBe(429);
+
+    await apiKeys.update(apiKey.id, { rateLimit: 5 });
+    expect((await get()).status).toBe(200);
+  });
+});
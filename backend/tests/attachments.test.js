@@ -0,0 +1,43 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), run: jest.fn(), get: jest.fn() }));
+
+const database = require('../config/database');
+const attachments = require('../services/attachments');
+
+const REPORT = { id: 'report-1', assigned_department: 'Public Works', reporter_id: 'citizen-1' };
+const ROW = { id: 1, report_id: 'report-1', file_path: 'uploads/photo-original.webp', role: 'evidence', position: 0, uploaded_by: 'citizen-1' };
+
+describe('uploaded_by', () => {
+  beforeEach(() => {
+    database.query.mockReset().mockResolvedValue([ROW]);
+    database.get.mockReset().mockResolvedValue(ROW);
+  });
+
+  test('is hidden from the public and other citizens', async () => {
+    const [anonymous] = await attachments.list('report-1', null, REPORT);
+    const [other] = await attachments.list('report-1', { id: 'citizen-2', role: 'citizen' }, REPORT);
+
+    expect(anonymous).not.toHaveProperty('uploaded_by');
+    expect(other).not.toHaveProperty('uploaded_by');
+    expect(anonymous).toMatchObject({ id: 1, role: 'evidence', urls: expect.any(Object) });
+  });
+
+  test('is shown to the uploader', async () => {
+    const attachment = await attachments.get('report-1', 1, { id: 'citizen-1', role: 'citizen' }, REPORT);
+
+    expect(attachment.uploaded_by).toBe('citizen-1');
+  });
+
+  test('is shown to staff who can access the report only', async () => {
+    const [admin] = await attachments.list('report-1', { id: 'admin-1', role: 'admin' }, REPORT);
+    const [official] = await attachments.list('report-1', { id: 'official-1', role: 'official', department_name: 'Public Works' }, REPORT);
+    const [otherDepartment] = await attachments.list('report-1', { id: 'official-2', role: 'official', department_name: 'Sanitation' }, REPORT);
+
+    expect(admin.uploaded_by).toBe('citizen-1');
+    expect(official.uploaded_by).toBe('citizen-1');
+    expect(otherDepartment).not.toHaveProperty('uploaded_by');
+  });
+
+  test('is hidden when no caller is given', async () => {
+    expect(await attachments.get('report-1', 1)).not.toHaveProperty('uploaded_by');
+  });
+});
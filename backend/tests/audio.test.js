@@ -0,0 +1,61 @@
+process.env.MAX_VOICE_NOTE_SECONDS = '2';
+
+const fs = require('fs');
+const path = require('path');
+const audio = require('../services/audio');
+
+/**
+ * Voice note durations read from real recordings (see fixtures/audio/README.md)
+ */
+
+const fixture = name => path.join(__dirname, 'fixtures/audio', name);
+const voiceNote = (name, mimetype = 'audio/mp4') => ({ path: fixture(name), mimetype });
+
+describe('getDuration', () => {
+  test.each([
+    ['voice.wav', 1],
+    ['voice.m4a', 1],
+    ['voice.aac', 1.088],
+    ['voice-opus.ogg', 1],
+    ['voice-vorbis.ogg', 1],
+    ['long.m4a', 3]
+  ])('reads the duration of %s', (name, seconds) => {
+    expect(audio.getDuration(fs.readFileSync(fixture(name)))).toBeCloseTo(seconds, 3);
+  });
+
+  test.each(['truncated.m4a', 'truncated.wav'])('returns null for %s', name => {
+    expect(audio.getDuration(fs.readFileSync(fixture(name)))).toBeNull();
+  });
+
+  test('returns null for data that is not audio', () => {
+    expect(audio.getDuration(fs.readFileSync(path.join(__dirname, 'fixtures/images/board.jpg')))).toBeNull();
+    expect(audio.getDuration(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('validateVoiceNote', () => {
+  test('accepts each supported format with its rounded duration', async () => {
+    expect(await audio.validateVoiceNote(voiceNote('voice.m4a'))).toEqual({ duration: 1 });
+    expect(await audio.validateVoiceNote(voiceNote('voice.aac', 'audio/aac'))).toEqual({ duration: 1.1 });
+    expect(await audio.validateVoiceNote(voiceNote('voice-opus.ogg', 'audio/ogg'))).toEqual({ duration: 1 });
+    expect(await audio.validateVoiceNote(voiceNote('voice.wav', 'audio/wav'))).toEqual({ duration: 1 });
+  });
+
+  test('rejects recordings over MAX_VOICE_NOTE_SECONDS', async () => {
+    expect(await audio.validateVoiceNote(voiceNote('long.m4a'))).toEqual({ error: 'Voice note is too long (3s, max 2s)' });
+  });
+
+  test('rejects truncated files', async () => {
+    expect(await audio.validateVoiceNote(voiceNote('truncated.m4a'))).toEqual({
+      error: 'Voice note is not a valid m4a, aac, ogg or wav file'
+    });
+  });
+
+  test('goes by the content, not the declared MIME type', async () => {
+    // A real recording declared as another format is still accepted...
+    expect(await audio.validateVoiceNote(voiceNote('voice.wav', 'audio/ogg'))).toEqual({ duration: 1 });
+    // ...and an image declared as audio is not
+    const image = { path: path.join(__dirname, 'fixtures/images/board.jpg'), mimetype: 'audio/mp4' };
+    expect(await audio.validateVoiceNote(image)).toEqual({ error: 'Voice note is not a valid m4a, aac, ogg or wav file' });
+  });
+});
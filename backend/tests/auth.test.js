@@ -0,0 +1,191 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), run: jest.fn(), get: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { runMiddleware } = require('./helpers');
+
+const OFFICIAL = { id: 'official-1', username: 'roads', role: 'official', department_id: 1, department_name: 'Public Works' };
+
+/**
+ * Run a middleware with an Authorization header
+ * Returns { status, body } when it responded, { user } when it called next()
+ */
+async function run(middleware, authorization) {
+  const req = { headers: authorization ? { authorization } : {} };
+  return (await runMiddleware(middleware, req)) || { user: req.user };
+}
+
+describe('tokens', () => {
+  beforeEach(() => {
+    database.run.mockReset().mockResolvedValue({});
+    database.get.mockReset();
+  });
+
+  test('issues an access token for the user and a stored refresh token', async () => {
+    const tokens = await auth.issueTokens(OFFICIAL);
+
+    expect(auth.verifyAccessToken(tokens.accessToken)).toMatchObject({ sub: 'official-1', role: 'official', type: 'access' });
+
+    const [sql, params] = database.run.mock.calls[0];
+    expect(sql).toContain('INSERT INTO refresh_tokens');
+    expect(params[1]).toBe('official-1');
+    // Only the hash of the refresh token is stored
+    expect(params[2]).toBe(auth.hashToken(tokens.refreshToken));
+  });
+
+  test('does not accept a refresh token as an access token', async () => {
+    const { refreshToken } = await auth.issueTokens(OFFICIAL);
+
+    expect(() => auth.verifyAccessToken(refreshToken)).toThrow('Invalid token type');
+  });
+
+  test('rejects tokens signed with another secret or expired', () => {
+    const forged = jwt.sign({ sub: 'official-1', role: 'admin', type: 'access' }, 'another-secret');
+    const expired = jwt.sign({ sub: 'official-1', type: 'access' }, 'test-secret', { expiresIn: -1 });
+
+    expect(() => auth.verifyAccessToken(forged)).toThrow();
+    expect(() => auth.verifyAccessToken(expired)).toThrow();
+  });
+
+  test('rotates a refresh token - the old one is revoked', async () => {
+    const { refreshToken } = await auth.issueTokens(OFFICIAL);
+    const tokenId = jwt.decode(refreshToken).jti;
+    database.run.mockClear();
+    database.get
+      .mockResolvedValueOnce({ id: tokenId, user_id: 'official-1' })
+      .mockResolvedValueOnce(OFFICIAL);
+
+    const session = await auth.refreshSession(refreshToken);
+
+    expect(session.user).toBe(OFFICIAL);
+    expect(session.tokens.refreshToken).not.toBe(refreshToken);
+    expect(database.run.mock.calls[0]).toEqual([expect.stringContaining('SET revoked_at'), [tokenId]]);
+  });
+
+  test('does not refresh a revoked or unknown refresh token', async () => {
+    const { refreshToken } = await auth.issueTokens(OFFICIAL);
+    database.get.mockResolvedValue(undefined);
+
+    expect(await auth.refreshSession(refreshToken)).toBeNull();
+    expect(await auth.refreshSession('not a token')).toBeNull();
+  });
+});
+
+describe('authenticate', () => {
+  beforeEach(() => {
+    database.run.mockReset().mockResolvedValue({});
+    database.get.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('requires a Bearer token', async () => {
+    expect(await run(authenticate)).toEqual({ status: 401, body: { success: false, error: 'Authentication required' } });
+    expect(await run(authenticate, 'Basic abc')).toMatchObject({ status: 401 });
+  });
+
+  test('rejects invalid tokens', async () => {
+    expect(await run(authenticate, 'Bearer nonsense')).toEqual({
+      status: 401,
+      body: { success: false, error: 'Invalid or expired token' }
+    });
+    expect(database.get).not.toHaveBeenCalled();
+  });
+
+  test('loads the active user named by the token', async () => {
+    database.get.mockResolvedValue(OFFICIAL);
+    const { accessToken } = await auth.issueTokens(OFFICIAL);
+
+    expect(await run(authenticate, `Bearer ${accessToken}`)).toEqual({ user: OFFICIAL });
+
+    const [sql, params] = database.get.mock.calls[0];
+    expect(sql).toContain('u.active = 1');
+    expect(params).toEqual(['official-1']);
+  });
+
+  test('rejects tokens of deactivated users', async () => {
+    const { accessToken } = await auth.issueTokens(OFFICIAL);
+    database.get.mockResolvedValue(undefined);
+
+    expect(await run(authenticate, `Bearer ${accessToken}`)).toEqual({
+      status: 401,
+      body: { success: false, error: 'User not found or inactive' }
+    });
+  });
+
+  test('optionalAuth lets anonymous requests through but not bad tokens', async () => {
+    expect(await run(optionalAuth)).toEqual({ user: null });
+    expect(await run(optionalAuth, 'Bearer nonsense')).toMatchObject({ status: 401 });
+  });
+});
+
+describe('devices', () => {
+  const DEVICE = { id: 'citizen-1', device_id: 'device-1', token_hash: 'stored', active: 1 };
+
+  beforeEach(() => {
+    database.run.mockReset().mockResolvedValue({});
+    database.get.mockReset();
+  });
+
+  test('gives a new device a new citizen ID and a device token', async () => {
+    database.get.mockResolvedValue(undefined);
+
+    const result = await auth.registerDevice({ deviceId: 'device-1', platform: 'android' });
+
+    expect(result.isNew).toBe(true);
+    expect(auth.verifyAccessToken(result.token)).toMatchObject({ sub: result.citizenId, type: 'device' });
+    const [sql, params] = database.run.mock.calls[0];
+    expect(sql).toContain('INSERT INTO citizen_devices');
+    expect(params).toEqual([result.citizenId, 'device-1', 'android', auth.hashToken(result.token)]);
+  });
+
+  test('only rotates a known device\'s token for the citizen holding it', async () => {
+    database.get.mockResolvedValue(DEVICE);
+
+    // Someone who only knows the device ID
+    expect(await auth.registerDevice({ deviceId: 'device-1' })).toEqual({ conflict: true });
+    expect(await auth.registerDevice({ deviceId: 'device-1', citizen: { id: 'citizen-2', role: 'citizen' } }))
+      .toEqual({ conflict: true });
+    expect(database.run).not.toHaveBeenCalled();
+
+    const result = await auth.registerDevice({ deviceId: 'device-1', citizen: { id: 'citizen-1', role: 'citizen' } });
+
+    expect(result).toMatchObject({ citizenId: 'citizen-1', isNew: false });
+    expect(database.run.mock.calls[0][0]).toContain('UPDATE citizen_devices SET token_hash');
+  });
+
+  test('authenticates a device token as its citizen', async () => {
+    database.get.mockResolvedValue(undefined);
+    const { citizenId, token } = await auth.registerDevice({ deviceId: 'device-1' });
+    database.get.mockReset().mockResolvedValue({ ...DEVICE, id: citizenId });
+
+    expect(await run(authenticate, `Bearer ${token}`)).toEqual({
+      user: { id: citizenId, username: null, role: 'citizen', department_id: null, device_id: 'device-1' }
+    });
+    expect(database.get.mock.calls[0][1]).toEqual([citizenId, auth.hashToken(token)]);
+  });
+
+  test('rejects a rotated or revoked device token', async () => {
+    database.get.mockResolvedValue(undefined);
+    const { token } = await auth.registerDevice({ deviceId: 'device-1' });
+
+    expect(await run(authenticate, `Bearer ${token}`)).toEqual({
+      status: 401,
+      body: { success: false, error: 'Device token revoked' }
+    });
+  });
+
+  test('never claims the ID of a registered citizen or a staff account', async () => {
+    database.get.mockResolvedValue({ id: 'citizen-2' });
+
+    expect(await auth.claimLegacyUser('citizen-1', 'citizen-2')).toBeNull();
+    expect(database.run).not.toHaveBeenCalled();
+  });
+});
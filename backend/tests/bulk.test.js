@@ -0,0 +1,139 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const sla = require('../services/sla');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Bulk operations against a real (in-memory) database - the transaction
+ * has to roll back for real
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+let token;
+
+async function insertReport(fields = {}) {
+  const report = { id: uuidv4(), status: 'reported', ...fields };
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [report.id, report.status]
+  );
+  return report.id;
+}
+
+const statusOf = async id => (await database.get('SELECT status, acknowledged_at FROM reports WHERE id = ?', [id]));
+const bulkActivity = () => database.query("SELECT report_id, action FROM activity_log WHERE details LIKE '%\"bulk\":true%' OR action = 'status_updated'");
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  const admin = { id: uuidv4(), role: 'admin' };
+  await database.run(
+    "INSERT INTO users (id, username, email, password_hash, role) VALUES (?, 'bulk-admin', 'bulk@city.gov', 'x', 'admin')",
+    [admin.id]
+  );
+  ({ accessToken: token } = await auth.issueTokens(admin));
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM activity_log');
+  await database.run('DELETE FROM reports');
+});
+
+const bulk = body => request(app).post('/api/reports/bulk').set('Authorization', `Bearer ${token}`).send(body);
+
+test('applies the action to every report and reports failed items individually', async () => {
+  const open = await insertReport();
+  const closed = await insertReport({ status: 'closed' });
+
+  const response = await bulk({ action: 'status', status: 'acknowledged', ids: [open, closed, 'missing'] });
+
+  expect(response.status).toBe(200);
+  expect(response.body).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+  expect(response.body.results).toEqual([
+    { id: open, success: true, changed: true, from: 'reported', to: 'acknowledged' },
+    expect.objectContaining({ id: closed, success: false, status: 409 }),
+    { id: 'missing', success: false, status: 404, error: 'Report not found' }
+  ]);
+
+  expect((await statusOf(open)).status).toBe('acknowledged');
+  expect((await statusOf(closed)).status).toBe('closed');
+});
+
+test('rolls back the whole batch when a database error stops it', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const ids = [await insertReport(), await insertReport(), await insertReport()];
+
+  const assign = sla.assign.bind(sla);
+  const spy = jest.spyOn(sla, 'assign').mockImplementation(async id => {
+    if (id === ids[1]) throw new Error('SQLITE_IOERR: disk I/O error');
+    return assign(id);
+  });
+
+  try {
+    const response = await bulk({ action: 'status', status: 'acknowledged', ids });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ success: false, error: 'Bulk operation failed - no changes were applied' });
+  } finally {
+    spy.mockRestore();
+    console.error.mockRestore();
+  }
+
+  // The first report had been updated before the error - undone too
+  for (const id of ids) {
+    expect(await statusOf(id)).toEqual({ status: 'reported', acknowledged_at: null });
+  }
+  expect(await bulkActivity()).toEqual([]);
+
+  // The database is usable again afterwards
+  const response = await bulk({ action: 'status', status: 'acknowledged', ids });
+  expect(response.body.succeeded).toBe(3);
+});
+
+test('checks the permission of the action before touching any report', async () => {
+  const citizen = await auth.registerDevice({ deviceId: 'bulk-device' });
+  const id = await insertReport();
+
+  const response = await request(app).post('/api/reports/bulk')
+    .set('Authorization', `Bearer ${citizen.token}`)
+    .send({ action: 'delete', ids: [id] });
+
+  expect(response.status).toBe(403);
+  expect((await statusOf(id)).status).toBe('reported');
+});
+
+test('notifies with the inputs of the chosen action only', async () => {
+  const notifyBulkUpdate = jest.fn();
+  global.notifications = { notifyBulkUpdate };
+  const id = await insertReport();
+
+  try {
+    await bulk({ action: 'assign', department: 'Sanitation', status: 'closed', ids: [id] });
+    await bulk({ action: 'delete', reason: 'Spam', priority: 'high', ids: [id] });
+  } finally {
+    delete global.notifications;
+  }
+
+  // As broadcast: undefined details are dropped from the JSON
+  const details = notifyBulkUpdate.mock.calls.map(([action, ids, sent]) => [action, ids, JSON.parse(JSON.stringify(sent))]);
+  expect(details).toEqual([
+    ['assign', [id], { department: 'Sanitation' }],
+    ['delete', [id], {}]
+  ]);
+});
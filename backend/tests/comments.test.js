@@ -0,0 +1,167 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const commentsRouter = require('../routes/comments');
+
+/**
+ * Report comment threads against a real (in-memory) database
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports/:id/comments', commentsRouter);
+
+const tokens = {};
+let reporter;
+let reportId;
+let otherReportId;
+
+async function insertStaff(name, role, department) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO users (id, username, email, password_hash, role, department_id)
+     VALUES (?, ?, ?, 'x', ?, (SELECT id FROM departments WHERE name = ?))`,
+    [id, name, `${name}@city.gov`, role, department || null]
+  );
+  tokens[name] = (await auth.issueTokens({ id, role })).accessToken;
+  return id;
+}
+
+async function insertReport(reporterId) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, reporter_id, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [id, reporterId]
+  );
+  return id;
+}
+
+const as = (name, method, path = '') => request(app)[method](`/api/reports/${reportId}/comments${path}`)
+  .set('Authorization', `Bearer ${tokens[name]}`);
+const post = (name, body) => as(name, 'post').send(body);
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  await insertStaff('admin', 'admin');
+  await insertStaff('works', 'official', 'Public Works');
+  await insertStaff('sanitation', 'official', 'Sanitation');
+
+  reporter = await auth.registerDevice({ deviceId: 'reporting-device-01' });
+  tokens.reporter = reporter.token;
+  tokens.citizen = (await auth.registerDevice({ deviceId: 'other-device-0001' })).token;
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM report_comments');
+  await database.run('DELETE FROM activity_log');
+  await database.run('DELETE FROM reports');
+  reportId = await insertReport(reporter.citizenId);
+  otherReportId = await insertReport(null);
+});
+
+describe('participants', () => {
+  test('lets the reporter, officials of the department and admins take part', async () => {
+    for (const name of ['reporter', 'works', 'admin']) {
+      expect((await post(name, { body: `From ${name}` })).status).toBe(201);
+    }
+
+    const { body } = await as('works', 'get');
+    expect(body.comments.map(comment => [comment.author_role, comment.body])).toEqual([
+      ['citizen', 'From reporter'],
+      ['official', 'From works'],
+      ['admin', 'From admin']
+    ]);
+    expect(body.comments[0].author_name).toBe('Reporter');
+  });
+
+  test('keeps other citizens, other departments and anonymous callers out', async () => {
+    expect(await post('citizen', { body: 'Me too' })).toMatchObject({
+      status: 403,
+      body: { error: 'Not allowed to comment on this report' }
+    });
+    expect((await as('citizen', 'get')).status).toBe(403);
+    expect((await post('sanitation', { body: 'Not ours' })).status).toBe(403);
+    expect((await request(app).get(`/api/reports/${reportId}/comments`)).status).toBe(401);
+  });
+});
+
+describe('threads', () => {
+  test('nests replies under their parent', async () => {
+    const question = (await post('works', { body: 'Where exactly?' })).body.comment;
+    const answer = (await post('reporter', { body: 'Next to the bus stop', parent_id: question.id })).body.comment;
+    await post('works', { body: 'Thanks', parent_id: answer.id });
+    await post('admin', { body: 'Scheduled' });
+
+    const { body } = await as('reporter', 'get');
+
+    expect(body.count).toBe(4);
+    expect(body.comments).toHaveLength(2);
+    expect(body.comments[0]).toMatchObject({
+      body: 'Where exactly?',
+      replies: [{ body: 'Next to the bus stop', replies: [{ body: 'Thanks', replies: [] }] }]
+    });
+    expect(body.comments[1]).toMatchObject({ body: 'Scheduled', replies: [] });
+  });
+
+  test('only replies to comments of the same report', async () => {
+    const result = await database.run(
+      "INSERT INTO report_comments (report_id, author_id, author_role, body) VALUES (?, 'admin-1', 'admin', 'Elsewhere')",
+      [otherReportId]
+    );
+
+    expect(await post('works', { body: 'Reply', parent_id: result.lastID })).toMatchObject({
+      status: 400,
+      body: { error: 'Parent comment not found on this report' }
+    });
+  });
+
+  test('validates the body', async () => {
+    expect(await post('works', { body: '   ' })).toMatchObject({ status: 400, body: { error: 'Comment body is required' } });
+    expect(await post('works', { body: 'x'.repeat(5001) })).toMatchObject({ status: 400, body: { error: 'Comment exceeds 5000 characters' } });
+  });
+});
+
+describe('editing and deleting', () => {
+  test('lets only the author edit a comment', async () => {
+    const comment = (await post('reporter', { body: 'Big hole' })).body.comment;
+
+    expect((await as('works', 'patch', `/${comment.id}`).send({ body: 'Small hole' })).status).toBe(403);
+
+    const edited = await as('reporter', 'patch', `/${comment.id}`).send({ body: 'Very big hole' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.comment.body).toBe('Very big hole');
+  });
+
+  test('lets the author or an admin delete, keeping replies under a placeholder', async () => {
+    const comment = (await post('works', { body: 'Crew on the way' })).body.comment;
+    await post('reporter', { body: 'Great', parent_id: comment.id });
+
+    expect((await as('reporter', 'delete', `/${comment.id}`)).status).toBe(403);
+    expect((await as('admin', 'delete', `/${comment.id}`)).status).toBe(200);
+
+    const { body } = await as('reporter', 'get');
+    expect(body.comments).toEqual([expect.objectContaining({
+      id: comment.id,
+      deleted: true,
+      body: null,
+      replies: [expect.objectContaining({ body: 'Great' })]
+    })]);
+
+    // Deleted comments can no longer be edited or deleted
+    expect((await as('works', 'patch', `/${comment.id}`).send({ body: 'Again' })).status).toBe(404);
+    expect((await as('works', 'delete', `/${comment.id}`)).status).toBe(404);
+  });
+});
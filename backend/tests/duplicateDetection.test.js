@@ -0,0 +1,246 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), run: jest.fn(), get: jest.fn() }));
+
+const database = require('../config/database');
+const duplicateDetection = require('../services/duplicateDetection');
+const hashIndex = require('../services/hashIndex');
+
+const LAT = 17.385;
+const LNG = 78.4867;
+
+function candidate(id, fields) {
+  return { id, latitude: LAT, longitude: LNG, status: 'reported', ...fields };
+}
+
+/**
+ * Answer the reports queries with `reports` (those asked for by id, if any),
+ * the report_hashes queries with `hashRows` and the decided-pairs queries
+ * with `decidedIds`, and index them the way the server does at startup
+ */
+async function mockReports(reports, hashRows = [], decidedIds = []) {
+  database.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM report_hashes')) return hashRows;
+    if (sql.includes('FROM duplicate_candidates')) return decidedIds.map(id => ({ id }));
+    return sql.includes('id IN') ? reports.filter(report => params.includes(report.id)) : reports;
+  });
+  await hashIndex.rebuild();
+}
+
+describe('findDuplicates', () => {
+  const hashes = { ahash: 'ff00ff00ff00ff00', phash: '0123456789abcdef' };
+
+  beforeEach(() => {
+    database.query.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('compares each candidate with the hash of its own algorithm', async () => {
+    await mockReports([
+      candidate('same-phash', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 }),
+      // Older rows hold the app's aHash as a 0/1 string
+      candidate('legacy-ahash', { perceptual_hash: '1111111100000000111111110000000011111111000000001111111100000000', hash_algorithm: null }),
+      // No dHash of the new image - not comparable
+      candidate('dhash', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'dhash', hash_version: 1 })
+    ]);
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG);
+
+    expect(result.duplicates.map(report => report.id).sort()).toEqual(['legacy-ahash', 'same-phash']);
+    expect(result.duplicates.find(report => report.id === 'legacy-ahash').algorithm).toBe('ahash');
+    expect(result.duplicates.every(report => report.similarity === 100)).toBe(true);
+  });
+
+  test('applies per-algorithm thresholds', async () => {
+    // 14 of 64 bits differ - 78.1% similar
+    await mockReports([
+      candidate('phash', { perceptual_hash: '0123456789a10000', hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('ahash', { perceptual_hash: 'ff00ff00ff0300f0', hash_algorithm: 'ahash', hash_version: 1 })
+    ]);
+    expect(duplicateDetection.calculateHashSimilarity('0123456789abcdef', '0123456789a10000')).toBeCloseTo(100 * 50 / 64);
+    expect(duplicateDetection.calculateHashSimilarity('ff00ff00ff00ff00', 'ff00ff00ff0300f0')).toBeCloseTo(100 * 50 / 64);
+
+    const result = await duplicateDetection.findDuplicates(
+      { ahash: 'ff00ff00ff00ff00', phash: '0123456789abcdef' }, LAT, LNG
+    );
+
+    // phash threshold 75 admits it; ahash 80 would not
+    expect(result.duplicates.map(report => report.id)).toEqual(['phash']);
+  });
+
+  test('uses hashes from report_hashes when the primary algorithm differs', async () => {
+    await mockReports(
+      [candidate('phash-primary', { perceptual_hash: 'aaaaaaaaaaaaaaaa', hash_algorithm: 'phash', hash_version: 1 })],
+      [{ report_id: 'phash-primary', algorithm: 'ahash', version: 1, hash: 'ff00ff00ff00ff00' }]
+    );
+
+    // e.g. POST /api/duplicates/check with the app's aHash
+    const result = await duplicateDetection.findDuplicates({ ahash: 'ff00ff00ff00ff00' }, LAT, LNG);
+
+    expect(result.duplicates).toHaveLength(1);
+    expect(result.duplicates[0]).toMatchObject({ id: 'phash-primary', algorithm: 'ahash', similarity: 100 });
+  });
+
+  test('prefers the configured algorithm when several are shared', async () => {
+    await mockReports(
+      [candidate('both', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })],
+      [{ report_id: 'both', algorithm: 'ahash', version: 1, hash: '00ff00ff00ff00ff' }]
+    );
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG);
+
+    expect(result.duplicates[0]).toMatchObject({ algorithm: 'phash', similarity: 100 });
+  });
+
+  test('skips hashes from another algorithm version or of a different length', async () => {
+    await mockReports([
+      candidate('old-version', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 0 }),
+      candidate('short', { perceptual_hash: '01234567', hash_algorithm: 'phash', hash_version: 1 })
+    ]);
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG);
+
+    expect(result.isDuplicate).toBe(false);
+  });
+
+  test('excludes the report being checked', async () => {
+    await mockReports([
+      candidate('new-report', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('older', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })
+    ]);
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG, null, 'new-report');
+
+    expect(result.duplicates.map(report => report.id)).toEqual(['older']);
+  });
+
+  test('leaves out reports a reviewer decided on with the report being checked', async () => {
+    await mockReports([
+      candidate('stored', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('rejected', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('other', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })
+    ], [], ['rejected']);
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG, null, 'stored');
+
+    expect(result.duplicates.map(report => report.id)).toEqual(['other']);
+    const [sql, params] = database.query.mock.calls.find(([query]) => query.includes('FROM duplicate_candidates'));
+    expect(sql).toContain("status IN ('confirmed', 'rejected')");
+    expect(params).toEqual(['stored', 'stored', 'stored']);
+  });
+
+  test('only loads the reports the hash index matched', async () => {
+    await mockReports([
+      candidate('match', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('unrelated', { perceptual_hash: 'fedcba9876543210', hash_algorithm: 'phash', hash_version: 1 })
+    ]);
+    database.query.mockClear();
+
+    await duplicateDetection.findDuplicates({ phash: '0123456789abcdef' }, LAT, LNG);
+
+    const [sql, params] = database.query.mock.calls[0];
+    expect(sql).toContain('id IN (?)');
+    expect(params).toContain('match');
+    expect(params).not.toContain('unrelated');
+  });
+
+  test('finds reports hashed after startup', async () => {
+    await mockReports([]);
+    database.run.mockResolvedValue({});
+    await duplicateDetection.saveHashes('new', { phash: '0123456789abcdef' });
+    const stored = candidate('new', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 });
+    database.query.mockImplementation(async sql => (sql.includes('FROM report_hashes') ? [] : [stored]));
+
+    const result = await duplicateDetection.findDuplicates(hashes, LAT, LNG);
+
+    expect(result.duplicates.map(report => report.id)).toEqual(['new']);
+  });
+});
+
+describe('checkAndMarkDuplicate', () => {
+  const hashes = { phash: '0123456789abcdef' };
+  // ~50 m north - match score 80 for identical hashes, below auto-merge
+  const nearby = { latitude: LAT + 0.00045 };
+
+  /**
+   * Index `reports` and answer the decided-pairs query with `rejectedIds`
+   */
+  async function mockCheck(reports, rejectedIds = []) {
+    await mockReports(reports, [], rejectedIds);
+  }
+
+  const runs = sql => database.run.mock.calls.filter(([query]) => query.includes(sql));
+
+  beforeEach(() => {
+    database.query.mockReset();
+    database.run.mockReset().mockResolvedValue({});
+    database.get.mockReset().mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('queues borderline matches for review instead of marking them', async () => {
+    await mockCheck([candidate('nearby', { ...nearby, perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })]);
+
+    const result = await duplicateDetection.checkAndMarkDuplicate('new', hashes, LAT, LNG);
+
+    expect(result).toEqual({ isDuplicate: false, queuedForReview: 1 });
+    expect(runs('UPDATE reports')).toHaveLength(0);
+
+    const [[, params]] = runs('INSERT OR IGNORE INTO duplicate_candidates');
+    expect(params).toEqual(['new', 'nearby', 'phash', 0, 100, 50, expect.any(Number)]);
+    expect(params[6]).toBeLessThan(duplicateDetection.autoMergeScore);
+  });
+
+  test('marks close matches as duplicates without review', async () => {
+    await mockCheck([candidate('same-place', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })]);
+
+    const result = await duplicateDetection.checkAndMarkDuplicate('new', hashes, LAT, LNG);
+
+    expect(result).toMatchObject({ isDuplicate: true, duplicateOf: 'same-place' });
+    expect(runs('INSERT OR IGNORE INTO duplicate_candidates')).toHaveLength(0);
+  });
+
+  test('never suggests a rejected pair again', async () => {
+    await mockCheck(
+      [candidate('same-place', { perceptual_hash: '0123456789abcdef', hash_algorithm: 'phash', hash_version: 1 })],
+      ['same-place']
+    );
+
+    const result = await duplicateDetection.checkAndMarkDuplicate('new', hashes, LAT, LNG);
+
+    expect(result).toEqual({ isDuplicate: false });
+    expect(database.run).not.toHaveBeenCalled();
+  });
+});
+
+describe('findSimilar', () => {
+  const hash = '0123456789abcdef';
+
+  beforeEach(() => {
+    database.query.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('leaves out the report and pairs a reviewer rejected, when they come up again', async () => {
+    await mockReports([
+      candidate('report', { perceptual_hash: hash, hash_algorithm: 'phash', hash_version: 1 }),
+      // Far away - the same photo submitted elsewhere, already rejected
+      candidate('rejected', { latitude: LAT + 1, perceptual_hash: hash, hash_algorithm: 'phash', hash_version: 1 }),
+      candidate('close', { latitude: LAT + 1, perceptual_hash: '0123456789abcdee', hash_algorithm: 'phash', hash_version: 1 })
+    ], [], ['rejected']);
+
+    const matches = await duplicateDetection.findSimilar('report', 'phash', hash, 4);
+
+    expect(matches).toEqual([{ reportId: 'close', distance: 1 }]);
+  });
+});
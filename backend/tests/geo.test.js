@@ -0,0 +1,156 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const geo = require('../services/geo');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Location filters on GET /api/reports (near/radius, bbox, polygon) against
+ * a real (in-memory) database and its R*Tree index
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+// A U-shaped ring: the notch between x = 1 and x = 2 is outside
+const U_RING = [[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3], [0, 0]];
+
+const square = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+];
+
+const reports = {};
+
+async function insertReport(name, latitude, longitude) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', ?, ?, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [id, latitude, longitude]
+  );
+  reports[id] = name;
+}
+
+const find = async query => {
+  const { status, body } = await request(app).get('/api/reports').query(query);
+  return { status, body, names: (body.reports || []).map(report => reports[report.id]) };
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  await insertReport('center', 17.385, 78.4867);
+  await insertReport('north', 17.3895, 78.4867); // ~500 m north
+  await insertReport('east', 17.385, 78.5055); // ~2 km east
+  await insertReport('far', 17.5, 78.6);
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+describe('geo service', () => {
+  test('finds points in concave rings', () => {
+    expect(geo.pointInPolygon(0.5, 2, U_RING)).toBe(true);
+    expect(geo.pointInPolygon(2.5, 2, U_RING)).toBe(true);
+    expect(geo.pointInPolygon(1.5, 0.5, U_RING)).toBe(true);
+    expect(geo.pointInPolygon(1.5, 2, U_RING)).toBe(false);
+    expect(geo.pointInPolygon(4, 1, U_RING)).toBe(false);
+  });
+
+  test('excludes points in holes of GeoJSON polygons', () => {
+    const polygon = { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+
+    // GeoJSON positions are [lng, lat]
+    expect(geo.pointInGeoJsonPolygon(2, 8, polygon)).toBe(true);
+    expect(geo.pointInGeoJsonPolygon(5, 5, polygon)).toBe(false);
+    expect(geo.pointInGeoJsonPolygon(11, 5, polygon)).toBe(false);
+  });
+
+  test('accepts only polygons with closed rings', () => {
+    expect(geo.isPolygon({ type: 'Polygon', coordinates: [U_RING] })).toBe(true);
+    expect(geo.isPolygon({ type: 'Polygon', coordinates: [U_RING.slice(0, -1)] })).toBe(false);
+    expect(geo.isPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })).toBe(false);
+    expect(geo.isPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 'a'], [1, 1], [0, 0]]] })).toBe(false);
+    expect(geo.isPolygon({ type: 'Point', coordinates: [0, 0] })).toBe(false);
+  });
+
+  test('parses bbox parameters', () => {
+    expect(geo.parseBbox('78.4,17.3,78.5,17.4')).toEqual({ minLng: 78.4, minLat: 17.3, maxLng: 78.5, maxLat: 17.4 });
+    expect(geo.parseBbox('78.5,17.3,78.4,17.4')).toBeNull();
+    expect(geo.parseBbox('78.4,17.3,78.5')).toBeNull();
+  });
+});
+
+describe('GET /api/reports location filters', () => {
+  test('near/radius returns reports within the radius, nearest first', async () => {
+    const { body, names } = await find({ near: '17.385,78.4867', radius: 1000, sortBy: 'distance' });
+
+    expect(names).toEqual(['center', 'north']);
+    expect(body.reports.map(report => report.distance)).toEqual([0, 500]);
+    expect((await find({ near: '17.385,78.4867', radius: 5000 })).names.sort()).toEqual(['center', 'east', 'north']);
+  });
+
+  test('bbox returns reports inside the box', async () => {
+    expect((await find({ bbox: '78.48,17.38,78.49,17.39', sortBy: 'distance', near: '17.385,78.4867' })).names)
+      .toEqual(['center', 'north']);
+    expect((await find({ bbox: '78.55,17.45,78.65,17.55' })).names).toEqual(['far']);
+  });
+
+  test('polygon returns reports inside the outer ring and outside its holes', async () => {
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [square(78.48, 17.38, 78.51, 17.395), square(78.485, 17.384, 78.488, 17.386)]
+    };
+
+    const { names } = await find({ polygon: JSON.stringify(polygon) });
+
+    expect(names.sort()).toEqual(['east', 'north']);
+  });
+
+  test('combines filters and paginates after the exact checks', async () => {
+    const query = { near: '17.385,78.4867', radius: 5000, sortBy: 'distance', limit: 2 };
+
+    const first = await find(query);
+    expect(first.names).toEqual(['center', 'north']);
+    expect(first.body.total).toBe(3);
+
+    const second = await find({ ...query, cursor: first.body.nextCursor });
+    expect(second.names).toEqual(['east']);
+  });
+
+  test('follows reports whose location changes', async () => {
+    const id = Object.keys(reports).find(key => reports[key] === 'far');
+    await database.run('UPDATE reports SET latitude = 17.3851, longitude = 78.4868 WHERE id = ?', [id]);
+
+    expect((await find({ bbox: '78.48,17.38,78.49,17.39' })).names.sort()).toEqual(['center', 'far', 'north']);
+    expect((await find({ bbox: '78.55,17.45,78.65,17.55' })).names).toEqual([]);
+
+    await database.run('UPDATE reports SET latitude = 17.5, longitude = 78.6 WHERE id = ?', [id]);
+  });
+
+  test('rejects malformed filters', async () => {
+    const errors = [
+      [{ near: '17.385' }, 'near must be "lat,lng"'],
+      [{ near: '91,78' }, 'near must be "lat,lng"'],
+      [{ near: '17.385,78.4867', radius: 0 }, 'radius must be between 0 and 50000 meters'],
+      [{ near: '17.385,78.4867', radius: 50001 }, 'radius must be between 0 and 50000 meters'],
+      [{ radius: 100 }, 'radius requires near'],
+      [{ bbox: '78.49,17.38,78.48,17.39' }, 'bbox must be "minLng,minLat,maxLng,maxLat"'],
+      [{ polygon: '{not json' }, 'polygon must be a GeoJSON Polygon with closed rings of [lng, lat] positions'],
+      [{ polygon: JSON.stringify({ type: 'Polygon', coordinates: [U_RING.slice(0, -1)] }) }, 'polygon must be a GeoJSON Polygon with closed rings of [lng, lat] positions'],
+      [{ sortBy: 'distance' }, 'sortBy=distance requires near']
+    ];
+
+    for (const [query, error] of errors) {
+      expect(await find(query)).toMatchObject({ status: 400, body: { success: false, error } });
+    }
+  });
+});
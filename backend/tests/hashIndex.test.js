@@ -0,0 +1,114 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const database = require('../config/database');
+const imageHash = require('../services/imageHash');
+const hashIndex = require('../services/hashIndex');
+
+/**
+ * Deterministic pseudo-random 64-bit hex hash
+ */
+function randomHash(seed) {
+  let state = BigInt(seed) * 6364136223846793005n + 1442695040888963407n;
+  let value = 0n;
+  for (let i = 0; i < 4; i++) {
+    state = (state * 6364136223846793005n + 1442695040888963407n) & 0xffffffffffffffffn;
+    value = (value << 16n) | (state >> 48n);
+  }
+  return value.toString(16).padStart(16, '0');
+}
+
+/**
+ * `hash` with the given bit positions flipped
+ */
+function flip(hash, bits) {
+  const value = bits.reduce((v, bit) => v ^ (1n << BigInt(bit)), BigInt(`0x${hash}`));
+  return value.toString(16).padStart(16, '0');
+}
+
+describe('hash index', () => {
+  const query = 'f0e1d2c3b4a59687';
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database.query.mockResolvedValue([]);
+    await hashIndex.rebuild();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('finds hashes within the radius, nearest first', () => {
+    hashIndex.add('same', { phash: query });
+    hashIndex.add('three', { phash: flip(query, [0, 17, 40]) });
+    hashIndex.add('twelve', { phash: flip(query, [0, 1, 2, 3, 16, 17, 18, 32, 33, 48, 49, 63]) });
+    hashIndex.add('thirteen', { phash: flip(query, [0, 1, 2, 3, 4, 16, 17, 18, 32, 33, 48, 49, 63]) });
+
+    expect(hashIndex.search('phash', query, 12)).toEqual([
+      { reportId: 'same', distance: 0 },
+      { reportId: 'three', distance: 3 },
+      { reportId: 'twelve', distance: 12 }
+    ]);
+  });
+
+  test('finds hashes whose differences are all in one chunk', () => {
+    hashIndex.add('one-chunk', { phash: flip(query, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]) });
+
+    expect(hashIndex.search('phash', query, 10)).toEqual([{ reportId: 'one-chunk', distance: 10 }]);
+  });
+
+  test('matches a brute-force scan', () => {
+    const hashes = Array.from({ length: 2000 }, (_, i) => randomHash(i + 1));
+    // Near neighbours of the query, so there is something to find
+    for (let i = 0; i < 50; i++) {
+      hashes.push(flip(query, Array.from({ length: i % 18 }, (_, bit) => (bit * 7 + i) % 64)));
+    }
+    hashes.forEach((hash, i) => hashIndex.add(`r${i}`, { dhash: hash }));
+
+    for (const radius of [0, 4, 9, 16, 20, 30]) {
+      const expected = hashes
+        .map((hash, i) => ({ reportId: `r${i}`, distance: imageHash.distance(query, hash) }))
+        .filter(match => match.distance <= radius)
+        .map(match => match.reportId)
+        .sort();
+
+      expect(hashIndex.search('dhash', query, radius).map(match => match.reportId).sort()).toEqual(expected);
+    }
+  });
+
+  test('keeps algorithms apart and accepts the app\'s 0/1 hashes', () => {
+    const bits = BigInt(`0x${query}`).toString(2).padStart(64, '0');
+    hashIndex.add('legacy', { ahash: bits });
+
+    expect(hashIndex.search('ahash', query, 0)).toEqual([{ reportId: 'legacy', distance: 0 }]);
+    expect(hashIndex.search('phash', query, 64)).toEqual([]);
+    expect(hashIndex.search('ahash', 'not a hash', 64)).toEqual([]);
+  });
+
+  test('re-adding replaces a report\'s hash and remove drops it', () => {
+    hashIndex.add('report', { phash: query });
+    hashIndex.add('report', { phash: randomHash(99) });
+    expect(hashIndex.search('phash', query, 4)).toEqual([]);
+
+    hashIndex.add('report', { phash: query });
+    hashIndex.remove('report');
+    expect(hashIndex.search('phash', query, 64)).toEqual([]);
+  });
+
+  test('rebuilds from current-version hashes only', async () => {
+    database.query.mockImplementation(async sql => (sql.includes('FROM report_hashes')
+      ? [
+          { report_id: 'a', algorithm: 'ahash', version: 1, hash: query },
+          { report_id: 'b', algorithm: 'phash', version: 0, hash: query }
+        ]
+      : [
+          { id: 'b', perceptual_hash: query, hash_algorithm: 'phash', hash_version: 0 },
+          { id: 'c', perceptual_hash: query, hash_algorithm: 'phash', hash_version: 1 }
+        ]));
+
+    await hashIndex.rebuild();
+
+    expect(hashIndex.search('ahash', query, 0).map(match => match.reportId)).toEqual(['a']);
+    expect(hashIndex.search('phash', query, 0).map(match => match.reportId)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Run an Express middleware on `req` with a fake response
+ * Returns { status, body } when it responded, null when it called next()
+ */
+async function runMiddleware(middleware, req) {
+  let response = null;
+  const res = {
+    status(code) {
+      response = { status: code };
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+
+  await middleware(req, res, () => {});
+  return response;
+}
+
+module.exports = { runMiddleware };
@@ -0,0 +1,86 @@
+const path = require('path');
+const sharp = require('sharp');
+const imageHash = require('../services/imageHash');
+const duplicateDetection = require('../services/duplicateDetection');
+
+const fixture = name => path.join(__dirname, 'fixtures/images', name);
+
+describe('decode / distance', () => {
+  test('hex hashes differing in one bit are one bit apart', () => {
+    expect(imageHash.distance('ff00ff00ff00ff00', 'ff00ff00ff00ff01')).toBe(1);
+    expect(imageHash.distance('ff00ff00ff00ff00', 'ff00ff00ff00ff0f')).toBe(4);
+  });
+
+  test('the app\'s 0/1 hashes compare with hex hashes of the same bits', () => {
+    const bits = '1111111100000000111111110000000011111111000000001111111100000001';
+    expect(imageHash.distance(bits, 'ff00ff00ff00ff01')).toBe(0);
+    expect(imageHash.similarity(bits, 'ff00ff00ff00ff00')).toBeCloseTo(100 * 63 / 64);
+  });
+
+  test('hashes of different lengths or unreadable hashes are not comparable', () => {
+    expect(imageHash.distance('ff00ff00', 'ff00ff00ff00ff00')).toBeNull();
+    expect(imageHash.distance('not a hash', 'ff00ff00ff00ff00')).toBeNull();
+    expect(duplicateDetection.calculateHashSimilarity('ff00ff00', 'ff00ff00ff00ff00')).toBeNull();
+  });
+});
+
+describe('fixture image pairs', () => {
+  const images = {
+    board: fixture('board.jpg'),
+    boardDimmed: fixture('board-dimmed.jpg'),
+    speakers: fixture('speakers.jpg'),
+    speakersQ50: fixture('speakers-q50.jpg'),
+    gopher: fixture('gopher.jpg')
+  };
+
+  // Same scene: re-encoded, edited, resized or cropped
+  const duplicates = [
+    ['board', 'boardDimmed'],
+    ['board', 'boardSmall'],
+    ['board', 'boardCropped'],
+    ['speakers', 'speakersQ50']
+  ];
+
+  // Unrelated photos
+  const different = [
+    ['board', 'speakers'],
+    ['board', 'gopher'],
+    ['boardDimmed', 'speakers'],
+    ['speakers', 'gopher']
+  ];
+
+  const hashes = {};
+
+  beforeAll(async () => {
+    images.boardSmall = await sharp(images.board).resize(120).webp().toBuffer();
+    images.boardCropped = await sharp(images.board).extract({ left: 10, top: 8, width: 340, height: 222 }).toBuffer();
+
+    for (const [name, input] of Object.entries(images)) {
+      hashes[name] = await imageHash.computeAll(input);
+    }
+  });
+
+  describe.each(Object.keys(imageHash.algorithms))('%s', algorithm => {
+    const similarity = (a, b) => duplicateDetection.calculateHashSimilarity(hashes[a][algorithm], hashes[b][algorithm]);
+
+    test('hashes are 64 bits of hex', () => {
+      expect(hashes.board[algorithm]).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test.each(duplicates)('%s and %s are within the duplicate threshold', (a, b) => {
+      expect(similarity(a, b)).toBeGreaterThanOrEqual(duplicateDetection.hashThresholds[algorithm]);
+    });
+
+    test.each(different)('%s and %s are below the duplicate threshold', (a, b) => {
+      expect(similarity(a, b)).toBeLessThan(duplicateDetection.hashThresholds[algorithm]);
+    });
+  });
+
+  test('client hash check accepts the app\'s hash of the same image and flags another image\'s', async () => {
+    const appHash = hashes.board.ahash;
+
+    expect(await imageHash.checkClientHash(appHash, images.boardSmall)).toEqual({ distance: expect.any(Number), mismatch: false });
+    expect((await imageHash.checkClientHash(appHash, images.speakers)).mismatch).toBe(true);
+    expect(await imageHash.checkClientHash('garbage', images.board)).toEqual({ distance: null, mismatch: true });
+  });
+});
@@ -0,0 +1,111 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const apiKeys = require('../services/apiKeys');
+const { identifyApiKey } = require('../middleware/auth');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Staff-only internal notes (and reporter IDs) in report responses
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/', identifyApiKey);
+app.use('/api/reports', reportsRouter);
+
+const headers = {};
+let reporter;
+let reportId;
+
+async function insertStaff(name, role, department) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO users (id, username, email, password_hash, role, department_id)
+     VALUES (?, ?, ?, 'x', ?, (SELECT id FROM departments WHERE name = ?))`,
+    [id, name, `${name}@city.gov`, role, department || null]
+  );
+  headers[name] = { Authorization: `Bearer ${(await auth.issueTokens({ id, role })).accessToken}` };
+}
+
+const getReport = name => request(app).get(`/api/reports/${reportId}`).set(headers[name] || {});
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  await insertStaff('admin', 'admin');
+  await insertStaff('works', 'official', 'Public Works');
+  await insertStaff('sanitation', 'official', 'Sanitation');
+
+  reporter = await auth.registerDevice({ deviceId: 'reporting-device-01' });
+  headers.reporter = { Authorization: `Bearer ${reporter.token}` };
+  const citizen = await auth.registerDevice({ deviceId: 'other-device-0001' });
+  headers.citizen = { Authorization: `Bearer ${citizen.token}` };
+
+  const adminId = (await database.get("SELECT id FROM users WHERE username = 'admin'")).id;
+  const { key } = await apiKeys.create({ name: 'Partner', scopes: ['reports:read'], createdBy: adminId });
+  headers.partner = { 'X-API-Key': key };
+
+  reportId = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, reporter_id, internal_notes, resolution_notes, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', ?, 'Contractor dispute - do not promise a date', 'Crew scheduled', 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [reportId, reporter.citizenId]
+  );
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+test('shows internal notes and the reporter to admins and officials of the department', async () => {
+  for (const name of ['admin', 'works']) {
+    const { body } = await getReport(name);
+    expect(body.report).toMatchObject({
+      internal_notes: 'Contractor dispute - do not promise a date',
+      reporter_id: reporter.citizenId
+    });
+  }
+
+  expect((await getReport('sanitation')).status).toBe(403);
+});
+
+test('hides them from the public, citizens and API keys', async () => {
+  for (const name of ['anonymous', 'citizen', 'partner']) {
+    const { status, body } = await getReport(name);
+    expect(status).toBe(200);
+    expect(body.report).not.toHaveProperty('internal_notes');
+    expect(body.report).not.toHaveProperty('reporter_id');
+    expect(body.report.resolution_notes).toBe('Crew scheduled');
+  }
+});
+
+test('shows the reporter their own reporter_id but not the notes', async () => {
+  const { body } = await getReport('reporter');
+
+  expect(body.report.reporter_id).toBe(reporter.citizenId);
+  expect(body.report).not.toHaveProperty('internal_notes');
+});
+
+test('hides them from lists, even when requested as fields', async () => {
+  const anonymous = await request(app).get('/api/reports?fields=internal_notes,reporter_id,type');
+  expect(anonymous.body.reports).toEqual([{ id: reportId, type: 'pothole' }]);
+
+  const staff = await request(app).get('/api/reports?fields=internal_notes').set(headers.works);
+  expect(staff.body.reports).toEqual([{ id: reportId, internal_notes: 'Contractor dispute - do not promise a date' }]);
+});
+
+test('lets only staff set internal notes', async () => {
+  const save = name => request(app).patch(`/api/reports/${reportId}/notes`).set(headers[name]).send({ internal_notes: 'Updated' });
+
+  expect((await save('reporter')).status).toBe(403);
+  expect((await save('partner')).status).toBe(403);
+  expect(await save('works')).toMatchObject({ status: 200, body: { internal_notes: 'Updated' } });
+});
@@ -0,0 +1,76 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const meRouter = require('../routes/me');
+
+/**
+ * The calling citizen's own reports, paginated like the other list endpoints
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/me', meRouter);
+
+let citizen;
+const ids = [];
+
+const myReports = query => request(app).get('/api/me/reports').query(query).set('Authorization', `Bearer ${citizen.token}`);
+
+async function insertReport(reporterId, createdAt, status = 'reported') {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, reporter_id, created_at, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', ?, ?, ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [id, status, reporterId, createdAt]
+  );
+  return id;
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  citizen = await auth.registerDevice({ deviceId: 'my-reports-device' });
+  for (let day = 1; day <= 3; day++) {
+    ids.unshift(await insertReport(citizen.citizenId, `2026-03-0${day} 10:00:00`));
+  }
+  await insertReport(citizen.citizenId, '2026-03-04 10:00:00', 'resolved');
+  await insertReport(null, '2026-03-05 10:00:00');
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+test('pages through the citizen\'s own reports, newest first', async () => {
+  const first = await myReports({ status: 'reported', limit: 2 });
+  expect(first.body).toMatchObject({ count: 2, total: 3 });
+  expect(first.body.reports.map(report => report.id)).toEqual(ids.slice(0, 2));
+
+  const second = await myReports({ status: 'reported', limit: 2, cursor: first.body.nextCursor });
+  expect(second.body.reports.map(report => report.id)).toEqual(ids.slice(2));
+  expect(second.body.nextCursor).toBeNull();
+});
+
+test('falls back to the default page size for invalid limits', async () => {
+  for (const limit of ['abc', '-5', '0']) {
+    const { status, body } = await myReports({ limit });
+    expect(status).toBe(200);
+    expect(body.count).toBe(4);
+  }
+
+  expect((await myReports({ offset: 'abc' })).body.count).toBe(4);
+});
+
+test('rejects malformed cursors', async () => {
+  expect(await myReports({ cursor: 'not-a-cursor' })).toMatchObject({
+    status: 400,
+    body: { success: false, error: 'Invalid cursor' }
+  });
+});
@@ -0,0 +1,145 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Merging and unmerging reports against a real (in-memory) database
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+let token;
+
+async function insertReport(fields = {}) {
+  const report = { id: uuidv4(), status: 'reported', duplicate_of: null, upvotes: 0, verification_count: 0, ...fields };
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, duplicate_of, upvotes, verification_count, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', ?, ?, ?, ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [report.id, report.status, report.duplicate_of, report.upvotes, report.verification_count]
+  );
+  return report.id;
+}
+
+async function verify(reportId, userId, type = 'upvote') {
+  await database.run('INSERT INTO verifications (report_id, user_id, verification_type) VALUES (?, ?, ?)', [reportId, userId, type]);
+}
+
+const reportOf = id => database.get('SELECT status, duplicate_of, upvotes, verification_count FROM reports WHERE id = ?', [id]);
+const clusterCount = async id => {
+  const cluster = await database.get('SELECT report_count FROM duplicate_clusters WHERE parent_report_id = ?', [id]);
+  return cluster ? cluster.report_count : 0;
+};
+
+const mergeInto = (id, parentId) => request(app).post(`/api/reports/${id}/merge`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ duplicate_of: parentId });
+const unmerge = id => request(app).post(`/api/reports/${id}/unmerge`).set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  const admin = { id: uuidv4(), role: 'admin' };
+  await database.run(
+    "INSERT INTO users (id, username, email, password_hash, role) VALUES (?, 'merge-admin', 'merge@city.gov', 'x', 'admin')",
+    [admin.id]
+  );
+  ({ accessToken: token } = await auth.issueTokens(admin));
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  for (const table of ['verifications', 'duplicate_candidates', 'duplicate_clusters', 'activity_log', 'reports']) {
+    await database.run(`DELETE FROM ${table}`);
+  }
+});
+
+test('merge moves upvotes and verifications to the parent, unmerge restores them and the status', async () => {
+  const parent = await insertReport({ upvotes: 1 });
+  const report = await insertReport({ upvotes: 2, verification_count: 1 });
+  await verify(parent, 'citizen-a');
+  await verify(report, 'citizen-a');
+  await verify(report, 'citizen-b');
+  await verify(report, 'citizen-a', 'verify');
+
+  await request(app).patch(`/api/reports/${report}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status: 'acknowledged' });
+
+  const merged = await mergeInto(report, parent);
+
+  expect(merged.status).toBe(200);
+  // citizen-a had already upvoted the parent - not counted twice
+  expect(merged.body.moved).toEqual({ upvote: 1, verify: 1 });
+  expect(await reportOf(report)).toEqual({ status: 'duplicate', duplicate_of: parent, upvotes: 1, verification_count: 0 });
+  expect(await reportOf(parent)).toMatchObject({ upvotes: 2, verification_count: 1 });
+  expect(await clusterCount(parent)).toBe(1);
+
+  const unmerged = await unmerge(report);
+
+  expect(unmerged.status).toBe(200);
+  expect(unmerged.body.moved).toEqual({ upvote: 1, verify: 1 });
+  expect(await reportOf(report)).toEqual({ status: 'acknowledged', duplicate_of: null, upvotes: 2, verification_count: 1 });
+  expect(await reportOf(parent)).toMatchObject({ upvotes: 1, verification_count: 0 });
+  expect(await clusterCount(parent)).toBe(0);
+});
+
+test('unmerge leaves re-pointed duplicates in the parent\'s cluster', async () => {
+  const parent = await insertReport();
+  const report = await insertReport();
+  const child = await insertReport({ status: 'duplicate', duplicate_of: report });
+
+  expect((await mergeInto(report, parent)).body.repointed).toEqual([child]);
+  expect(await clusterCount(parent)).toBe(2);
+
+  expect((await unmerge(report)).status).toBe(200);
+  expect(await clusterCount(parent)).toBe(1);
+  expect((await reportOf(child)).duplicate_of).toBe(parent);
+});
+
+test('refuses to merge a report into itself or into its own duplicate chain', async () => {
+  const report = await insertReport();
+  const child = await insertReport({ status: 'duplicate', duplicate_of: report });
+
+  expect(await mergeInto(report, report)).toMatchObject({
+    status: 400,
+    body: { error: 'A report cannot be a duplicate of itself' }
+  });
+  expect(await mergeInto(report, child)).toMatchObject({
+    status: 400,
+    body: { error: 'Duplicate target is itself a duplicate' }
+  });
+  expect((await reportOf(report)).status).toBe('reported');
+});
+
+test('refuses to unmerge a report that is not merged', async () => {
+  const report = await insertReport();
+
+  expect(await unmerge(report)).toMatchObject({ status: 409, body: { error: 'Report is not merged into another report' } });
+});
+
+test('lets only one of two concurrent merges of a pair through', async () => {
+  const first = await insertReport({ upvotes: 1 });
+  const second = await insertReport({ upvotes: 1 });
+  await verify(first, 'citizen-a');
+  await verify(second, 'citizen-b');
+
+  const responses = await Promise.all([mergeInto(first, second), mergeInto(second, first)]);
+
+  expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+  const reports = [await reportOf(first), await reportOf(second)];
+  expect(reports.filter(report => report.status === 'duplicate')).toHaveLength(1);
+  expect(reports.map(report => report.upvotes).sort()).toEqual([0, 2]);
+});
@@ -0,0 +1,155 @@
+process.env.DATABASE_URL = ':memory:';
+
+const database = require('../config/database');
+const pagination = require('../services/pagination');
+
+/**
+ * Keyset pagination against a real (in-memory) database, so the cursor
+ * conditions run through SQLite's own ordering
+ */
+
+const KEYS = [{ expr: 'score', order: 'DESC' }, { expr: 'id', order: 'ASC' }];
+const QUERY = 'SELECT id, score FROM items';
+
+// Ties and NULLs on the first key - the id decides
+const ITEMS = [
+  ['a', 5], ['b', 3], ['c', 5], ['d', null], ['e', 3], ['f', 8], ['g', null], ['h', 1], ['i', 3]
+];
+
+async function insertItems(items) {
+  for (const [id, score] of items) {
+    await database.run('INSERT INTO items (id, score) VALUES (?, ?)', [id, score]);
+  }
+}
+
+/**
+ * Follow nextCursor to the end, returning the ids of every page
+ */
+async function allPages(limit, between = async () => {}) {
+  const pages = [];
+  let cursor;
+
+  do {
+    const page = await pagination.paginate(QUERY, [], { keys: KEYS, limit, cursor });
+    pages.push(page.items.map(item => item.id));
+    cursor = page.nextCursor;
+    await between(pages.length);
+  } while (cursor);
+
+  return pages;
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+  await database.run('CREATE TABLE items (id TEXT PRIMARY KEY, score INTEGER)');
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM items');
+  await insertItems(ITEMS);
+});
+
+describe('paginate', () => {
+  test('returns every row once, in sort order, across pages', async () => {
+    const pages = await allPages(2);
+
+    expect(pages).toEqual([['f', 'a'], ['c', 'b'], ['e', 'i'], ['h', 'd'], ['g']]);
+  });
+
+  test('pages through NULL sort keys in either direction', async () => {
+    const ascending = [{ expr: 'score', order: 'ASC' }, { expr: 'id', order: 'ASC' }];
+    const ids = [];
+    let cursor;
+    do {
+      const page = await pagination.paginate(QUERY, [], { keys: ascending, limit: 1, cursor });
+      ids.push(...page.items.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(ids).toEqual(['d', 'g', 'h', 'b', 'e', 'i', 'a', 'c', 'f']);
+    expect((await allPages(1)).flat().slice(-2)).toEqual(['d', 'g']);
+  });
+
+  test('counts all matching rows, not the page', async () => {
+    const page = await pagination.paginate(`${QUERY} WHERE score >= ?`, [3], { keys: KEYS, limit: 2 });
+
+    expect(page.total).toBe(6);
+    expect(page.items.map(item => item.id)).toEqual(['f', 'a']);
+    expect(page.nextCursor).not.toBeNull();
+  });
+
+  test('neither skips nor repeats rows when earlier rows change between pages', async () => {
+    const pages = await allPages(3, async pageNumber => {
+      if (pageNumber !== 1) return;
+      // Rows already read are deleted, a new one lands before the cursor
+      await database.run("DELETE FROM items WHERE id IN ('f', 'a')");
+      await insertItems([['z', 9]]);
+    });
+
+    expect(pages.flat()).toEqual(['f', 'a', 'c', 'b', 'e', 'i', 'h', 'd', 'g']);
+  });
+
+  test('has no next cursor on the last page', async () => {
+    const page = await pagination.paginate(QUERY, [], { keys: KEYS, limit: ITEMS.length });
+
+    expect(page.items).toHaveLength(ITEMS.length);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('rejects malformed cursors and cursors of another sort', async () => {
+    const otherSort = pagination.encodeCursor({ id: 'a' }, [{ expr: 'id', order: 'ASC' }]);
+
+    expect(await pagination.paginate(QUERY, [], { keys: KEYS, cursor: 'not-a-cursor' })).toEqual({ error: 'Invalid cursor' });
+    expect(await pagination.paginate(QUERY, [], { keys: KEYS, cursor: otherSort })).toEqual({ error: 'Invalid cursor' });
+  });
+
+  test('still accepts plain offsets without a cursor', async () => {
+    const page = await pagination.paginate(QUERY, [], { keys: KEYS, limit: 2, offset: 2 });
+
+    expect(page.items.map(item => item.id)).toEqual(['c', 'b']);
+  });
+});
+
+describe('paginateRows', () => {
+  test('orders and pages rows in memory the way SQLite does', async () => {
+    const rows = await database.query(`${QUERY} ORDER BY ${pagination.orderBy(KEYS)}`);
+    const sorted = [...rows].reverse()
+      .sort((a, b) => pagination.compare(pagination.keyValues(a, KEYS), pagination.keyValues(b, KEYS), KEYS));
+    expect(sorted).toEqual(rows);
+
+    const ids = [];
+    let cursor;
+    do {
+      const page = pagination.paginateRows(sorted, { keys: KEYS, limit: 4, cursor });
+      expect(page.total).toBe(ITEMS.length);
+      ids.push(...page.items.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(ids).toEqual(rows.map(row => row.id));
+  });
+});
+
+describe('limits and fields', () => {
+  test('defaults and caps the page size', () => {
+    expect(pagination.parseLimit(undefined)).toBe(50);
+    expect(pagination.parseLimit('0')).toBe(50);
+    expect(pagination.parseLimit('25')).toBe(25);
+    expect(pagination.parseLimit('5000')).toBe(200);
+  });
+
+  test('accepts known fields only and always includes id', async () => {
+    expect(await pagination.parseFields('score', 'items')).toEqual({ fields: ['id', 'score'] });
+    expect(await pagination.parseFields('score,distance', 'items', ['distance'])).toEqual({ fields: ['id', 'score', 'distance'] });
+    expect(await pagination.parseFields('score,password', 'items')).toEqual({ error: 'Unknown fields: password' });
+    expect(await pagination.parseFields(undefined, 'items')).toEqual({ fields: null });
+
+    expect(pagination.selectFields({ id: 'a', score: 5, extra: true }, ['id', 'score'])).toEqual({ id: 'a', score: 5 });
+  });
+});
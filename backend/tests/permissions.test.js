@@ -0,0 +1,132 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), run: jest.fn(), get: jest.fn() }));
+
+const database = require('../config/database');
+const permissions = require('../services/permissions');
+const { requirePermission, requireRole, requireReportAccess } = require('../middleware/auth');
+const { runMiddleware } = require('./helpers');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const OFFICIAL = { id: 'official-1', role: 'official', department_name: 'Public Works' };
+const UNASSIGNED_OFFICIAL = { id: 'official-2', role: 'official', department_name: null };
+const CITIZEN = { id: 'citizen-1', role: 'citizen', device_id: 'device-1' };
+
+const REPORT = { id: 'report-1', assigned_department: 'Public Works', reporter_id: 'citizen-1' };
+const OTHER_REPORT = { id: 'report-2', assigned_department: 'Sanitation', reporter_id: 'citizen-2' };
+
+/**
+ * Run a middleware for `user`
+ * Returns { status, body } when it responded, { report } when it called next()
+ */
+async function run(middleware, user, params = {}) {
+  const req = { user, params };
+  return (await runMiddleware(middleware, req)) || { report: req.report };
+}
+
+describe('can', () => {
+  test('grants each role its permissions', () => {
+    expect(permissions.can(ADMIN, 'reports:delete')).toBe(true);
+    expect(permissions.can(OFFICIAL, 'reports:update')).toBe(true);
+    expect(permissions.can(OFFICIAL, 'reports:delete')).toBe(false);
+    expect(permissions.can(OFFICIAL, 'users:manage')).toBe(false);
+    expect(permissions.can(CITIZEN, 'reports:create')).toBe(true);
+    expect(permissions.can(CITIZEN, 'reports:update')).toBe(false);
+  });
+
+  test('treats anonymous callers as public, with citizen permissions', () => {
+    expect(permissions.can(null, 'reports:read')).toBe(true);
+    expect(permissions.can(null, 'reports:update')).toBe(false);
+  });
+
+  test('gives API keys the permissions of their scopes only', () => {
+    const key = { id: 'key-1', role: 'integration', scopes: ['reports:read'] };
+
+    expect(permissions.can(key, 'reports:read')).toBe(true);
+    expect(permissions.can(key, 'reports:update')).toBe(false);
+    expect(permissions.can({ ...key, scopes: ['reports:write'] }, 'reports:resolve')).toBe(true);
+  });
+});
+
+describe('department scope', () => {
+  test('limits officials to reports of their department', () => {
+    expect(permissions.canAccessReport(OFFICIAL, REPORT)).toBe(true);
+    expect(permissions.canAccessReport(OFFICIAL, OTHER_REPORT)).toBe(false);
+    expect(permissions.canAccessReport(UNASSIGNED_OFFICIAL, REPORT)).toBe(false);
+    expect(permissions.canAccessReport(ADMIN, OTHER_REPORT)).toBe(true);
+  });
+
+  test('adds a department condition to report queries for officials only', () => {
+    expect(permissions.reportScope(OFFICIAL)).toEqual({ condition: 'assigned_department = ?', params: ['Public Works'] });
+    expect(permissions.reportScope(OFFICIAL, 'r.assigned_department').condition).toBe('r.assigned_department = ?');
+    // An official without a department sees nothing
+    expect(permissions.reportScope(UNASSIGNED_OFFICIAL)).toEqual({ condition: '1 = 0', params: [] });
+    expect(permissions.reportScope(ADMIN)).toBeNull();
+    expect(permissions.reportScope(null)).toBeNull();
+  });
+
+  test('shows internal notes to staff who can access the report', () => {
+    expect(permissions.canViewInternalNotes(ADMIN, OTHER_REPORT)).toBe(true);
+    expect(permissions.canViewInternalNotes(OFFICIAL, REPORT)).toBe(true);
+    expect(permissions.canViewInternalNotes(OFFICIAL, OTHER_REPORT)).toBe(false);
+    expect(permissions.canViewInternalNotes(CITIZEN, REPORT)).toBe(false);
+    expect(permissions.canViewInternalNotes(null, REPORT)).toBe(false);
+  });
+});
+
+describe('ownership', () => {
+  test('lets a citizen comment on and manage attachments of their own reports only', () => {
+    expect(permissions.canCommentOn(CITIZEN, REPORT)).toBe(true);
+    expect(permissions.canCommentOn(CITIZEN, OTHER_REPORT)).toBe(false);
+    expect(permissions.canCommentOn(CITIZEN, { ...REPORT, reporter_id: null })).toBe(false);
+    expect(permissions.canCommentOn(null, REPORT)).toBe(false);
+
+    expect(permissions.canManageAttachments(CITIZEN, REPORT)).toBe(true);
+    expect(permissions.canManageAttachments(CITIZEN, OTHER_REPORT)).toBe(false);
+    expect(permissions.canManageAttachments(OFFICIAL, OTHER_REPORT)).toBe(false);
+  });
+
+  test('shows a citizen\'s coins to that citizen and staff', () => {
+    expect(permissions.canViewCoins(CITIZEN, 'citizen-1')).toBe(true);
+    expect(permissions.canViewCoins(CITIZEN, 'citizen-2')).toBe(false);
+    expect(permissions.canViewCoins(OFFICIAL, 'citizen-2')).toBe(true);
+    expect(permissions.canViewCoins(null, 'citizen-1')).toBe(false);
+  });
+});
+
+describe('guards', () => {
+  beforeEach(() => {
+    database.get.mockReset();
+  });
+
+  test('requirePermission answers 401 without a user and 403 without the permission', async () => {
+    const guard = requirePermission('reports:update');
+
+    expect(await run(guard, null)).toMatchObject({ status: 401 });
+    expect(await run(guard, CITIZEN)).toEqual({ status: 403, body: { success: false, error: 'Insufficient permissions' } });
+    expect(await run(guard, OFFICIAL)).toEqual({ report: undefined });
+  });
+
+  test('requireRole only lets the listed roles through', async () => {
+    const guard = requireRole('admin');
+
+    expect(await run(guard, OFFICIAL)).toMatchObject({ status: 403 });
+    expect(await run(guard, null)).toMatchObject({ status: 403 });
+    expect(await run(guard, ADMIN)).toEqual({ report: undefined });
+  });
+
+  test('requireReportAccess loads the report and enforces department scope', async () => {
+    database.get.mockResolvedValueOnce(REPORT);
+    expect(await run(requireReportAccess, OFFICIAL, { id: 'report-1' })).toEqual({ report: REPORT });
+
+    database.get.mockResolvedValueOnce(OTHER_REPORT);
+    expect(await run(requireReportAccess, OFFICIAL, { id: 'report-2' })).toEqual({
+      status: 403,
+      body: { success: false, error: 'Report is assigned to another department' }
+    });
+
+    database.get.mockResolvedValueOnce(undefined);
+    expect(await run(requireReportAccess, ADMIN, { id: 'missing' })).toMatchObject({ status: 404 });
+
+    // Soft-deleted reports are not found
+    expect(database.get.mock.calls[0][0]).toContain('deleted_at IS NULL');
+  });
+});
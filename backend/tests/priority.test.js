@@ -0,0 +1,183 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const priority = require('../services/priority');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Priority scores, their recomputation and the work queue built on them
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+const tokens = {};
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString().slice(0, 19).replace('T', ' ');
+
+async function insertReport(fields = {}) {
+  const report = {
+    id: uuidv4(),
+    status: 'reported',
+    severity: 'medium',
+    upvotes: 0,
+    priority_boost: 0,
+    assigned_department: 'Public Works',
+    created_at: daysAgo(0),
+    ...fields
+  };
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, upvotes, priority_boost, created_at, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', ?, ?, ?, ?, ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', ?)`,
+    [report.id, report.severity, report.status, report.upvotes, report.priority_boost, report.created_at, report.assigned_department]
+  );
+  return report.id;
+}
+
+const priorityOf = async id => (await database.get('SELECT priority FROM reports WHERE id = ?', [id])).priority;
+
+async function insertStaff(name, role, department) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO users (id, username, email, password_hash, role, department_id)
+     VALUES (?, ?, ?, 'x', ?, (SELECT id FROM departments WHERE name = ?))`,
+    [id, name, `${name}@city.gov`, role, department || null]
+  );
+  tokens[name] = (await auth.issueTokens({ id, role })).accessToken;
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+  await insertStaff('admin', 'admin');
+  await insertStaff('works', 'official', 'Public Works');
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM duplicate_clusters');
+  await database.run('DELETE FROM activity_log');
+  await database.run('DELETE FROM reports');
+});
+
+describe('score', () => {
+  test('weights each factor and adds the manual boost on top', () => {
+    const report = { severity: 'critical', upvotes: 10, verification_count: 0, created_at: daysAgo(7), priority_boost: 5 };
+
+    expect(priority.score(report, 0)).toEqual({
+      score: 62,
+      breakdown: { severity: 40, upvotes: 9.5, verifications: 0, age: 7.5, cluster: 0, boost: 5 }
+    });
+  });
+
+  test('caps the age factor at the horizon and grows with the cluster size', () => {
+    const old = { severity: 'low', created_at: daysAgo(30) };
+
+    expect(priority.factors(old, 0)).toMatchObject({ severity: 0.25, age: 1, cluster: 0 });
+    expect(priority.factors(old, 5).cluster).toBeCloseTo(1 - Math.exp(-1));
+    expect(priority.factors({ severity: 'unknown', created_at: null })).toMatchObject({ severity: 0, age: 0 });
+  });
+
+  test('reads weights from the environment, ignoring invalid ones', () => {
+    process.env.PRIORITY_WEIGHT_SEVERITY = '100';
+    process.env.PRIORITY_WEIGHT_UPVOTES = '-1';
+
+    jest.isolateModules(() => {
+      const configured = require('../services/priority');
+      expect(configured.weights).toEqual({ severity: 100, upvotes: 15, verifications: 15, age: 15, cluster: 15 });
+      // Breakdown points stay relative to the total weight
+      expect(configured.score({ severity: 'critical', created_at: daysAgo(0) }).score).toBe(63);
+    });
+
+    delete process.env.PRIORITY_WEIGHT_SEVERITY;
+    delete process.env.PRIORITY_WEIGHT_UPVOTES;
+  });
+});
+
+describe('recompute', () => {
+  test('stores the score, counting the duplicate cluster the report heads', async () => {
+    const id = await insertReport({ severity: 'high' });
+    expect(await priority.recompute(id)).toBe(30);
+
+    await database.run(
+      'INSERT INTO duplicate_clusters (parent_report_id, latitude, longitude, radius, report_count) VALUES (?, 17.385, 78.4867, 50, 5)',
+      [id]
+    );
+
+    expect(await priority.recompute(id)).toBe(40);
+    expect(await priorityOf(id)).toBe(40);
+    expect(await priority.recompute('missing')).toBeNull();
+  });
+
+  test('recomputes only open reports that are not deleted', async () => {
+    const open = await insertReport({ severity: 'critical' });
+    const resolved = await insertReport({ severity: 'critical', status: 'resolved' });
+    const deleted = await insertReport({ severity: 'critical' });
+    await database.run('UPDATE reports SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [deleted]);
+
+    expect(await priority.recomputeOpen()).toBe(1);
+
+    expect(await priorityOf(open)).toBe(40);
+    expect(await priorityOf(resolved)).toBe(0);
+    expect(await priorityOf(deleted)).toBe(0);
+  });
+});
+
+describe('GET /api/reports/queue', () => {
+  const queue = (name, query = '') => request(app).get(`/api/reports/queue${query}`).set('Authorization', `Bearer ${tokens[name]}`);
+
+  test('lists open reports by priority with the breakdown', async () => {
+    const low = await insertReport({ severity: 'low' });
+    const critical = await insertReport({ severity: 'critical' });
+    const boosted = await insertReport({ severity: 'low', priority_boost: 50 });
+    await insertReport({ severity: 'critical', status: 'closed' });
+    await priority.recomputeOpen();
+
+    const { body } = await queue('admin');
+
+    expect(body.weights).toEqual(priority.weights);
+    expect(body.reports.map(report => [report.id, report.priority])).toEqual([
+      [boosted, 60],
+      [critical, 40],
+      [low, 10]
+    ]);
+    expect(body.reports[0].priority_breakdown).toMatchObject({ severity: 10, boost: 50 });
+  });
+
+  test('limits officials to their department', async () => {
+    const ours = await insertReport();
+    await insertReport({ assigned_department: 'Sanitation' });
+
+    const { body } = await queue('works');
+
+    expect(body.reports.map(report => report.id)).toEqual([ours]);
+  });
+
+  test('is staff only', async () => {
+    const citizen = await auth.registerDevice({ deviceId: 'queue-device-0001' });
+
+    expect((await request(app).get('/api/reports/queue').set('Authorization', `Bearer ${citizen.token}`)).status).toBe(403);
+  });
+});
+
+describe('manual boost', () => {
+  test('is set through the bulk priority action and kept on recompute', async () => {
+    const id = await insertReport({ severity: 'medium' });
+
+    const response = await request(app).post('/api/reports/bulk').set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ ids: [id], action: 'priority', priority: 25 });
+
+    expect(response.body.results).toEqual([expect.objectContaining({ id, changed: true, to: 45 })]);
+    expect(await priority.recompute(id)).toBe(45);
+  });
+});
@@ -0,0 +1,153 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const storage = require('../config/storage');
+const auth = require('../services/auth');
+const retention = require('../services/retention');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Purging soft-deleted reports against a real (in-memory) database
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+async function insertReport(fields = {}) {
+  const report = { id: uuidv4(), status: 'reported', duplicate_of: null, upvotes: 0, deleted_at: null, ...fields };
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, duplicate_of, upvotes, deleted_at, delete_reason, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', ?, ?, ?, ?, ?, 17.385, 78.4867, 'Main street', ?, '0123456789abcdef', 'Public Works')`,
+    [report.id, report.status, report.duplicate_of, report.upvotes, report.deleted_at, report.deleted_at ? 'Spam' : null, `uploads/${report.id}.jpg`]
+  );
+  return report.id;
+}
+
+const log = (reportId, action, details) => database.run(
+  'INSERT INTO activity_log (report_id, user_id, action, details) VALUES (?, ?, ?, ?)',
+  [reportId, 'admin-1', action, JSON.stringify(details)]
+);
+
+let deleteFile;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+  await database.run("INSERT INTO civic_coins (user_id, current_balance, total_earned) VALUES ('citizen-1', 10, 10)");
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  for (const table of ['verifications', 'report_attachments', 'coin_transactions', 'activity_log', 'purged_reports', 'reports']) {
+    await database.run(`DELETE FROM ${table}`);
+  }
+  deleteFile = jest.spyOn(storage, 'deleteFile').mockResolvedValue();
+});
+
+afterEach(() => {
+  deleteFile.mockRestore();
+});
+
+describe('purgeReport', () => {
+  test('archives the activity log and removes the report, its rows and files', async () => {
+    const id = await insertReport({ deleted_at: '2026-01-01 00:00:00' });
+    await log(id, 'status_updated', { from: 'reported', to: 'acknowledged' });
+    await log(id, 'deleted', { reason: 'Spam' });
+    await database.run("INSERT INTO report_attachments (report_id, file_path) VALUES (?, 'uploads/extra-original.webp')", [id]);
+    await database.run(
+      "INSERT INTO coin_transactions (user_id, report_id, transaction_type, amount) VALUES ('citizen-1', ?, 'earned', 10)",
+      [id]
+    );
+
+    expect(await retention.purgeReport(id)).toBe(true);
+
+    const archived = await database.get('SELECT * FROM purged_reports WHERE report_id = ?', [id]);
+    expect(archived).toMatchObject({ type: 'pothole', status: 'reported', deleted_at: '2026-01-01 00:00:00', delete_reason: 'Spam' });
+    expect(JSON.parse(archived.activity)).toEqual([
+      expect.objectContaining({ user_id: 'admin-1', action: 'status_updated', details: JSON.stringify({ from: 'reported', to: 'acknowledged' }) }),
+      expect.objectContaining({ action: 'deleted' })
+    ]);
+
+    expect(await database.get('SELECT id FROM reports WHERE id = ?', [id])).toBeUndefined();
+    expect(await database.query('SELECT id FROM activity_log WHERE report_id = ?', [id])).toEqual([]);
+    expect(await database.query('SELECT id FROM report_attachments WHERE report_id = ?', [id])).toEqual([]);
+    // The coins stay in the ledger
+    expect(await database.query('SELECT user_id, report_id, amount FROM coin_transactions')).toEqual([
+      { user_id: 'citizen-1', report_id: null, amount: 10 }
+    ]);
+
+    expect(deleteFile.mock.calls.map(([file]) => file).sort()).toEqual([`${id}.jpg`, 'extra-original.webp']);
+  });
+
+  test('reopens the duplicates of the report with the upvotes merged away from them', async () => {
+    const parent = await insertReport({ upvotes: 2, deleted_at: '2026-01-01 00:00:00' });
+    const duplicate = await insertReport({ status: 'duplicate', duplicate_of: parent });
+    await database.run(
+      "INSERT INTO verifications (report_id, user_id, verification_type, merged_from) VALUES (?, 'citizen-1', 'upvote', ?), (?, 'citizen-2', 'upvote', NULL)",
+      [parent, duplicate, parent]
+    );
+
+    expect(await retention.purgeReport(parent)).toBe(true);
+
+    expect(await database.get('SELECT status, duplicate_of, upvotes, sla_started_at IS NOT NULL AS restarted FROM reports WHERE id = ?', [duplicate]))
+      .toEqual({ status: 'reported', duplicate_of: null, upvotes: 1, restarted: 1 });
+    expect(await database.query('SELECT report_id, user_id, merged_from FROM verifications')).toEqual([
+      { report_id: duplicate, user_id: 'citizen-1', merged_from: null }
+    ]);
+
+    const reopened = await database.get("SELECT details FROM activity_log WHERE report_id = ? AND action = 'status_updated'", [duplicate]);
+    expect(JSON.parse(reopened.details)).toMatchObject({ transition: 'parent_purged', from: 'duplicate', to: 'reported' });
+  });
+
+  test('leaves reports that are not in the trash alone', async () => {
+    const id = await insertReport();
+
+    expect(await retention.purgeReport(id)).toBe(false);
+    expect(await database.get('SELECT id FROM reports WHERE id = ?', [id])).toEqual({ id });
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeExpired', () => {
+  test('purges only reports deleted before the retention period', async () => {
+    const expired = await insertReport({ deleted_at: '2026-01-01 00:00:00' });
+    const recent = await database.get("SELECT datetime('now', '-1 day') AS deleted_at");
+    const kept = await insertReport({ deleted_at: recent.deleted_at });
+
+    expect(await retention.purgeExpired()).toBe(1);
+
+    expect(await database.query('SELECT report_id FROM purged_reports')).toEqual([{ report_id: expired }]);
+    expect(await database.get('SELECT id FROM reports WHERE id = ?', [kept])).toEqual({ id: kept });
+  });
+});
+
+describe('POST /api/reports/:id/restore', () => {
+  test('takes a report out of the trash and returns it serialized', async () => {
+    const adminId = uuidv4();
+    await database.run(
+      "INSERT INTO users (id, username, email, password_hash, role) VALUES (?, 'trash-admin', 'trash@city.gov', 'x', 'admin')",
+      [adminId]
+    );
+    const { accessToken } = await auth.issueTokens({ id: adminId, role: 'admin' });
+    const id = await insertReport({ deleted_at: '2026-01-01 00:00:00' });
+    const restore = () => request(app).post(`/api/reports/${id}/restore`).set('Authorization', `Bearer ${accessToken}`);
+
+    const { status, body } = await restore();
+
+    expect(status).toBe(200);
+    expect(body.report).toMatchObject({ id, deleted_at: null, delete_reason: null });
+    expect(body.report.image_urls.original).toBe(`/uploads/${id}.jpg`);
+    expect(body.report).not.toHaveProperty('index_id');
+
+    expect((await restore()).status).toBe(404);
+  });
+});
@@ -0,0 +1,121 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const revisions = require('../services/revisions');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Report edits and their revision history against a real (in-memory) database
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+let token;
+let reportId;
+
+const edit = body => request(app).patch(`/api/reports/${reportId}`).set('Authorization', `Bearer ${token}`).send(body);
+const history = () => request(app).get(`/api/reports/${reportId}/revisions`).set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  const official = { id: uuidv4(), role: 'official' };
+  await database.run(
+    `INSERT INTO users (id, username, email, password_hash, role, full_name, department_id)
+     VALUES (?, 'works', 'works@city.gov', 'x', 'official', 'Pat Works', (SELECT id FROM departments WHERE name = 'Public Works'))`,
+    [official.id]
+  );
+  ({ accessToken: token } = await auth.issueTokens(official));
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM report_revisions');
+  await database.run('DELETE FROM activity_log');
+  await database.run('DELETE FROM reports');
+  reportId = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, description, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', 'Hole', 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [reportId]
+  );
+});
+
+describe('validate and diff', () => {
+  test('accepts only editable fields with valid values', () => {
+    expect(revisions.validate({ severity: 'high', description: null })).toBeNull();
+    expect(revisions.validate({ status: 'closed' })).toBe('Fields cannot be edited: status');
+    expect(revisions.validate({})).toMatch(/^No editable fields provided/);
+    expect(revisions.validate({ severity: 'urgent', latitude: 91 })).toBe('Invalid value for: severity, latitude');
+  });
+
+  test('reports only values that actually change, normalised', () => {
+    const report = { type: 'pothole', description: 'Hole', latitude: 17.385 };
+
+    expect(revisions.diff(report, { type: ' pothole ', latitude: '17.385', description: '' })).toEqual({
+      description: { old: 'Hole', new: null }
+    });
+  });
+});
+
+describe('PATCH /api/reports/:id', () => {
+  test('records a revision per edit with the old and new values', async () => {
+    const first = await edit({ severity: 'high', description: 'Deep hole' });
+    expect(first.status).toBe(200);
+    expect(first.body.changes).toEqual({
+      severity: { old: 'medium', new: 'high' },
+      description: { old: 'Hole', new: 'Deep hole' }
+    });
+    expect(first.body.report).toMatchObject({ severity: 'high', description: 'Deep hole' });
+
+    await edit({ address: 'Main street 12' });
+
+    const { body } = await history();
+    expect(body.count).toBe(2);
+    // Newest first, with the editor's name
+    expect(body.revisions.map(revision => [revision.user_name, Object.keys(revision.changes)])).toEqual([
+      ['Pat Works', ['address']],
+      ['Pat Works', ['severity', 'description']]
+    ]);
+
+    const logged = await database.get("SELECT details FROM activity_log WHERE report_id = ? AND action = 'edited' ORDER BY id LIMIT 1", [reportId]);
+    expect(JSON.parse(logged.details)).toEqual({ revision_id: first.body.revisionId, fields: ['severity', 'description'] });
+  });
+
+  test('records nothing when no value changes', async () => {
+    const response = await edit({ severity: 'medium', description: 'Hole' });
+
+    expect(response.body.message).toBe('No changes');
+    expect((await history()).body.count).toBe(0);
+  });
+
+  test('rejects edits of other fields without changing the report', async () => {
+    const response = await edit({ severity: 'high', status: 'closed' });
+
+    expect(response).toMatchObject({ status: 400, body: { error: 'Fields cannot be edited: status' } });
+    expect(response.body.editableFields).toEqual(revisions.editableFields);
+    expect((await database.get('SELECT severity FROM reports WHERE id = ?', [reportId])).severity).toBe('medium');
+  });
+
+  test('restarts the SLA when the severity changes', async () => {
+    const due = async () => (await database.get('SELECT sla_acknowledge_due FROM reports WHERE id = ?', [reportId])).sla_acknowledge_due;
+    await edit({ description: 'Still a hole' });
+    const before = await due();
+
+    await edit({ severity: 'critical' });
+
+    expect(await due()).not.toBe(before);
+  });
+});
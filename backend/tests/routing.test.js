@@ -0,0 +1,121 @@
+process.env.DATABASE_URL = ':memory:';
+
+const database = require('../config/database');
+const routing = require('../services/routing');
+
+/**
+ * Department routing rules against a real (in-memory) database, so the
+ * rules come back in the order the routing table defines
+ */
+
+// A small ward around the city centre ([lng, lat] positions)
+const WARD = {
+  type: 'Polygon',
+  coordinates: [[[78.47, 17.37], [78.50, 17.37], [78.50, 17.40], [78.47, 17.40], [78.47, 17.37]]]
+};
+
+const REPORT = { type: 'pothole', severity: 'high', description: 'Deep hole near the bus stop', latitude: 17.385, longitude: 78.4867 };
+
+const rule = (name, department, priority, conditions, active) => routing.createRule({ name, department, priority, conditions, active });
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM routing_rules');
+  routing.fallbackDepartment = null;
+});
+
+describe('conditions', () => {
+  test('matches types case-insensitively and severities exactly', () => {
+    expect(routing.failedConditions({ types: ['Pothole', 'trash'] }, REPORT)).toEqual([]);
+    expect(routing.failedConditions({ types: ['trash'], severities: ['high'] }, REPORT)).toEqual(['types']);
+    expect(routing.failedConditions({ severities: ['critical'] }, REPORT)).toEqual(['severities']);
+  });
+
+  test('matches keywords anywhere in the description', () => {
+    expect(routing.failedConditions({ keywords: ['flood', 'BUS STOP'] }, REPORT)).toEqual([]);
+    expect(routing.failedConditions({ keywords: ['flood'] }, REPORT)).toEqual(['keywords']);
+    expect(routing.failedConditions({ keywords: ['bus'] }, { ...REPORT, description: null })).toEqual(['keywords']);
+  });
+
+  test('reads AI labels as JSON, detection objects or comma-separated text', () => {
+    const conditions = { ai_labels: ['Road'] };
+
+    expect(routing.failedConditions(conditions, { ...REPORT, ai_labels: '["road", "car"]' })).toEqual([]);
+    expect(routing.failedConditions(conditions, { ...REPORT, ai_labels: '[{"label": "Road", "confidence": 0.9}]' })).toEqual([]);
+    expect(routing.failedConditions(conditions, { ...REPORT, ai_labels: 'car, road' })).toEqual([]);
+    expect(routing.failedConditions(conditions, { ...REPORT, ai_labels: 'car' })).toEqual(['ai_labels']);
+    expect(routing.failedConditions(conditions, REPORT)).toEqual(['ai_labels']);
+  });
+
+  test('matches a ward by the report location', () => {
+    expect(routing.failedConditions({ ward: WARD }, REPORT)).toEqual([]);
+    expect(routing.failedConditions({ ward: WARD }, { ...REPORT, latitude: 17.45 })).toEqual(['ward']);
+    expect(routing.failedConditions({ ward: WARD }, { ...REPORT, latitude: 'unknown' })).toEqual(['ward']);
+  });
+
+  test('requires every condition of a rule to match', () => {
+    expect(routing.failedConditions({ types: ['pothole'], severities: ['low'], ward: WARD }, REPORT)).toEqual(['severities']);
+  });
+});
+
+describe('route', () => {
+  test('tries rules by ascending priority and takes the first match', async () => {
+    await rule('All potholes', 'Public Works', 100, { types: ['pothole'] });
+    const ward = await rule('City centre', 'Transportation', 10, { ward: WARD });
+    await rule('Critical', 'Utilities', 5, { severities: ['critical'] });
+
+    const result = await routing.route(REPORT);
+
+    expect(result).toMatchObject({ department: 'Transportation', fallback: false, rule: { id: ward.id } });
+    expect(result.evaluations.map(evaluation => [evaluation.name, evaluation.matched, evaluation.failed])).toEqual([
+      ['Critical', false, ['severities']],
+      ['City centre', true, []]
+    ]);
+  });
+
+  test('breaks priority ties by the older rule and skips inactive rules', async () => {
+    await rule('Disabled', 'Utilities', 1, { types: ['pothole'] }, false);
+    await rule('First', 'Public Works', 50, { types: ['pothole'] });
+    await rule('Second', 'Sanitation', 50, { types: ['pothole'] });
+
+    const result = await routing.route(REPORT);
+
+    expect(result.department).toBe('Public Works');
+    expect(result.evaluations.map(evaluation => evaluation.name)).toEqual(['First']);
+  });
+
+  test('falls back when no rule matches', async () => {
+    await rule('Trash', 'Sanitation', 100, { types: ['trash'] });
+
+    expect(await routing.route(REPORT)).toMatchObject({ department: null, rule: null, fallback: true });
+
+    routing.fallbackDepartment = 'Public Works';
+    expect(await routing.route(REPORT)).toMatchObject({ department: 'Public Works', fallback: true });
+  });
+});
+
+describe('validation', () => {
+  test('rejects unknown, empty and malformed conditions', () => {
+    expect(routing.validateConditions({ types: ['pothole'], ward: WARD })).toBeNull();
+    expect(routing.validateConditions({})).toMatch(/^At least one condition is required/);
+    expect(routing.validateConditions({ colour: ['red'] })).toBe('Unknown conditions: colour');
+    expect(routing.validateConditions({ types: [] })).toBe('types must be a non-empty array of strings');
+    expect(routing.validateConditions({ severities: ['urgent'] })).toBe('severities must be one of: low, medium, high, critical');
+    expect(routing.validateConditions({ ward: { type: 'Polygon', coordinates: [[[78.47, 17.37], [78.5, 17.37]]] } }))
+      .toMatch(/^ward must be a GeoJSON Polygon/);
+  });
+
+  test('requires an existing department', async () => {
+    expect(await routing.validateRule({ name: 'Rule', department: 'Nowhere', conditions: { types: ['pothole'] } })).toBe('Department not found');
+    expect(await routing.validateRule({ name: 'Rule', department: 'Sanitation', conditions: { types: ['trash'] } })).toBeNull();
+  });
+});
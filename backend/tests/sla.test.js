@@ -0,0 +1,153 @@
+process.env.DATABASE_URL = ':memory:';
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const sla = require('../services/sla');
+const workflow = require('../services/workflow');
+
+/**
+ * SLA deadlines, breaches and escalation against a real (in-memory)
+ * database, with the default policies (critical: acknowledge 4h, resolve 24h)
+ */
+
+let supervisorId;
+let adminId;
+
+/**
+ * Insert a report created `hoursAgo` and assign its SLA
+ */
+async function insertReport({ hoursAgo, severity = 'critical', status = 'reported', type = 'pothole' }) {
+  const id = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, latitude, longitude, address, image_path, perceptual_hash, assigned_department, created_at)
+     VALUES (?, ?, ?, ?, 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works', datetime('now', ?))`,
+    [id, type, severity, status, `-${hoursAgo * 60} minutes`]
+  );
+  await sla.assign(id);
+  return id;
+}
+
+const slaOf = id => database.get(
+  `SELECT sla_status, sla_escalation_level, sla_acknowledge_breached_at, sla_resolve_breached_at,
+     ROUND((julianday(sla_acknowledge_due) - julianday(COALESCE(sla_started_at, created_at))) * 24, 2) AS acknowledge_hours
+   FROM reports WHERE id = ?`,
+  [id]
+);
+
+const escalations = async id => (await database.query(
+  "SELECT details FROM activity_log WHERE report_id = ? AND action = 'sla_escalated' ORDER BY id",
+  [id]
+)).map(row => JSON.parse(row.details));
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+
+  supervisorId = uuidv4();
+  adminId = uuidv4();
+  await database.run(
+    `INSERT INTO users (id, username, email, password_hash, role) VALUES
+     (?, 'pw-supervisor', 'supervisor@city.gov', 'x', 'official'),
+     (?, 'sla-admin', 'admin@city.gov', 'x', 'admin')`,
+    [supervisorId, adminId]
+  );
+  await database.run("UPDATE departments SET supervisor_id = ? WHERE name = 'Public Works'", [supervisorId]);
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM activity_log');
+  await database.run('DELETE FROM reports');
+  await database.run('DELETE FROM sla_policies WHERE severity IS NULL OR department IS NOT NULL OR type IS NOT NULL');
+});
+
+describe('policies', () => {
+  test('picks the most specific active policy', async () => {
+    const report = { assigned_department: 'Public Works', type: 'pothole', severity: 'critical' };
+    expect(await sla.policyFor(report)).toMatchObject({ severity: 'critical', acknowledge_hours: 4 });
+
+    await database.run("INSERT INTO sla_policies (type, acknowledge_hours, resolve_hours) VALUES ('pothole', 2, 12)");
+    await database.run("INSERT INTO sla_policies (department, acknowledge_hours, resolve_hours) VALUES ('Public Works', 1, 8)");
+    await database.run("INSERT INTO sla_policies (department, type, acknowledge_hours, resolve_hours, active) VALUES ('Public Works', 'pothole', 0.5, 4, 0)");
+
+    // Department beats type beats severity; inactive policies never match
+    expect(await sla.policyFor(report)).toMatchObject({ department: 'Public Works', type: null, acknowledge_hours: 1 });
+    expect(await sla.policyFor({ ...report, assigned_department: 'Sanitation' })).toMatchObject({ type: 'pothole', acknowledge_hours: 2 });
+  });
+});
+
+describe('breach and escalation', () => {
+  test('keeps a fresh report on track, flags it at risk late in the window', async () => {
+    expect(await slaOf(await insertReport({ hoursAgo: 1 }))).toMatchObject({ sla_status: 'on_track', acknowledge_hours: 4 });
+    // Under a quarter of the 4h window left
+    expect(await slaOf(await insertReport({ hoursAgo: 3.5 }))).toMatchObject({ sla_status: 'at_risk', sla_escalation_level: 0 });
+  });
+
+  test('records a missed deadline and escalates to the department supervisor', async () => {
+    const id = await insertReport({ hoursAgo: 5 });
+
+    const state = await slaOf(id);
+    expect(state).toMatchObject({ sla_status: 'breached', sla_escalation_level: 1, sla_resolve_breached_at: null });
+    expect(state.sla_acknowledge_breached_at).not.toBeNull();
+    expect(await escalations(id)).toEqual([{ level: 1, target: 'supervisor', phase: 'acknowledge', recipients: [supervisorId] }]);
+
+    // Checking again does not escalate again before the supervisor has had time to act
+    await sla.check();
+    expect(await escalations(id)).toHaveLength(1);
+  });
+
+  test('escalates to admins once the supervisor has not acted in time', async () => {
+    const id = await insertReport({ hoursAgo: 30 });
+    await database.run(
+      "UPDATE reports SET sla_escalated_at = datetime('now', ?) WHERE id = ?",
+      [`-${sla.adminEscalationHours + 1} hours`, id]
+    );
+
+    await sla.check();
+
+    expect((await slaOf(id)).sla_escalation_level).toBe(2);
+    expect((await escalations(id))[1]).toEqual({ level: 2, target: 'admin', phase: 'acknowledge', recipients: [adminId] });
+  });
+
+  test('settles finished reports as met or breached', async () => {
+    const onTime = await insertReport({ hoursAgo: 2 });
+    const late = await insertReport({ hoursAgo: 30, status: 'in_progress' });
+    await database.run("UPDATE reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id IN (?, ?)", [onTime, late]);
+
+    await sla.check();
+
+    expect((await slaOf(onTime)).sla_status).toBe('met');
+    expect((await slaOf(late)).sla_status).toBe('breached');
+  });
+});
+
+describe('reopen', () => {
+  test('restarts the deadlines from the reopen and clears earlier breaches', async () => {
+    const id = await insertReport({ hoursAgo: 10 * 24 });
+    await database.run("UPDATE reports SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = ?", [id]);
+    expect((await slaOf(id)).sla_acknowledge_breached_at).not.toBeNull();
+
+    const report = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
+    const { sets, params } = workflow.statusUpdates(report, 'reported', { reason: 'Pothole is back' });
+    await database.run(`UPDATE reports SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    await sla.assign(id);
+
+    const reopened = await database.get(
+      `SELECT sla_status, sla_escalation_level, sla_acknowledge_breached_at, sla_resolve_breached_at,
+         ROUND((julianday(sla_acknowledge_due) - julianday('now')) * 24) AS hours_left
+       FROM reports WHERE id = ?`,
+      [id]
+    );
+    expect(reopened).toEqual({
+      sla_status: 'on_track',
+      sla_escalation_level: 0,
+      sla_acknowledge_breached_at: null,
+      sla_resolve_breached_at: null,
+      hours_left: 4
+    });
+  });
+});
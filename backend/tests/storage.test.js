@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('../config/storage');
+const { runMiddleware } = require('./helpers');
+
+/**
+ * WebP re-encoding of uploaded images and their medium/thumbnail variants,
+ * in a temporary upload directory
+ */
+
+let uploadDir;
+let originalUploadDir;
+
+// A multer disk-storage file for an image written to the upload directory
+async function upload(filename, image, fieldname = 'image') {
+  const filePath = path.join(uploadDir, filename);
+  await image.toFile(filePath);
+  return { fieldname, filename, path: filePath, mimetype: 'image/jpeg', size: fs.statSync(filePath).size };
+}
+
+const photo = (width, height) => sharp({ create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } } });
+
+const stored = () => fs.readdirSync(uploadDir).sort();
+
+beforeEach(() => {
+  originalUploadDir = storage.uploadDir;
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'civicfix-uploads-'));
+  storage.uploadDir = uploadDir;
+});
+
+afterEach(() => {
+  storage.uploadDir = originalUploadDir;
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('processImage', () => {
+  test('writes the WebP original with medium and thumbnail variants', async () => {
+    const file = await upload('photo.jpg', photo(3000, 1500).jpeg());
+
+    await storage.processImage(file);
+
+    expect(stored()).toEqual(['photo-medium.webp', 'photo-original.webp', 'photo-thumb.webp']);
+    expect(file).toMatchObject({
+      filename: 'photo-original.webp',
+      path: path.join(uploadDir, 'photo-original.webp'),
+      mimetype: 'image/webp',
+      size: fs.statSync(path.join(uploadDir, 'photo-original.webp')).size
+    });
+
+    const sizes = {};
+    for (const name of stored()) {
+      const { format, width, height } = await sharp(path.join(uploadDir, name)).metadata();
+      sizes[name] = [format, width, height];
+    }
+    expect(sizes).toEqual({
+      'photo-original.webp': ['webp', 3000, 1500],
+      'photo-medium.webp': ['webp', 1280, 640],
+      'photo-thumb.webp': ['webp', 320, 160]
+    });
+  });
+
+  test('does not enlarge small images', async () => {
+    const file = await upload('small.png', photo(200, 100).png());
+
+    await storage.processImage(file);
+
+    for (const name of ['small-original.webp', 'small-medium.webp', 'small-thumb.webp']) {
+      const { width, height } = await sharp(path.join(uploadDir, name)).metadata();
+      expect([width, height]).toEqual([200, 100]);
+    }
+  });
+
+  test('applies the EXIF orientation and strips the metadata', async () => {
+    const image = photo(400, 200).jpeg()
+      .withMetadata({ orientation: 6 })
+      .withExif({ IFD0: { Make: 'PhoneCo' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '17/1 23/1 6/1' } });
+    const file = await upload('rotated.jpg', image);
+    expect((await sharp(file.path).metadata()).exif).toBeDefined();
+
+    await storage.processImage(file);
+
+    const metadata = await sharp(file.path).metadata();
+    expect([metadata.width, metadata.height]).toEqual([200, 400]);
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+  });
+});
+
+describe('processImages', () => {
+  test('processes every image field and leaves voice notes alone', async () => {
+    const image = await upload('report.jpg', photo(50, 50).jpeg());
+    const voiceNote = { fieldname: 'voice_note', filename: 'note.m4a', path: path.join(uploadDir, 'note.m4a') };
+    fs.writeFileSync(voiceNote.path, 'audio');
+
+    expect(await runMiddleware(storage.processImages, { files: { image: [image], voice_note: [voiceNote] } })).toBeNull();
+
+    expect(stored()).toEqual(['note.m4a', 'report-medium.webp', 'report-original.webp', 'report-thumb.webp']);
+    expect(voiceNote.filename).toBe('note.m4a');
+  });
+
+  test('rejects an image that cannot be decoded and removes every upload', async () => {
+    const good = await upload('good.jpg', photo(50, 50).jpeg());
+    const broken = { fieldname: 'pof_image', filename: 'broken.jpg', path: path.join(uploadDir, 'broken.jpg') };
+    fs.writeFileSync(broken.path, Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await runMiddleware(storage.processImages, { files: [good, broken] })).toEqual({
+      status: 400,
+      body: { success: false, error: 'Could not process image: pof_image' }
+    });
+    expect(stored()).toEqual([]);
+    console.error.mockRestore();
+  });
+});
+
+describe('image URLs and deletion', () => {
+  test('builds variant URLs for processed images only', () => {
+    expect(storage.getImageUrls('uploads/photo-original.webp')).toEqual({
+      original: '/uploads/photo-original.webp',
+      medium: '/uploads/photo-medium.webp',
+      thumbnail: '/uploads/photo-thumb.webp'
+    });
+    expect(storage.getImageUrls('uploads/legacy.jpg')).toEqual({
+      original: '/uploads/legacy.jpg',
+      medium: '/uploads/legacy.jpg',
+      thumbnail: '/uploads/legacy.jpg'
+    });
+    expect(storage.getImageUrls(null)).toBeNull();
+  });
+
+  test('deletes an image together with its variants', async () => {
+    await storage.processImage(await upload('gone.jpg', photo(50, 50).jpeg()));
+    await upload('kept.jpg', photo(50, 50).jpeg());
+
+    expect(await storage.deleteFile('gone-original.webp')).toBe(true);
+
+    expect(stored()).toEqual(['kept.jpg']);
+  });
+});
@@ -0,0 +1,63 @@
+process.env.DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const auth = require('../services/auth');
+const reportsRouter = require('../routes/reports');
+
+/**
+ * Verifications and upvotes are counted once per device token
+ */
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+let reportId;
+let citizen;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.initialize();
+  citizen = await auth.registerDevice({ deviceId: 'verifying-device-01' });
+});
+
+afterAll(async () => {
+  await database.close();
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM verifications');
+  await database.run('DELETE FROM reports');
+  reportId = uuidv4();
+  await database.run(
+    `INSERT INTO reports (id, type, severity, status, latitude, longitude, address, image_path, perceptual_hash, assigned_department)
+     VALUES (?, 'pothole', 'medium', 'reported', 17.385, 78.4867, 'Main street', 'uploads/test.jpg', '0123456789abcdef', 'Public Works')`,
+    [reportId]
+  );
+});
+
+const upvotes = async () => (await database.get('SELECT upvotes FROM reports WHERE id = ?', [reportId])).upvotes;
+
+test('requires a device token', async () => {
+  const response = await request(app).post(`/api/reports/${reportId}/upvote`).send({ user_id: 'citizen_1' });
+
+  expect(response.status).toBe(401);
+  expect(await upvotes()).toBe(0);
+});
+
+test('records the verifier from the token and ignores a user_id in the body', async () => {
+  const upvote = userId => request(app).post(`/api/reports/${reportId}/upvote`)
+    .set('Authorization', `Bearer ${citizen.token}`)
+    .send({ user_id: userId });
+
+  expect((await upvote('citizen_1')).status).toBe(200);
+  expect(await upvote('citizen_2')).toMatchObject({ status: 400, body: { error: 'Already verified by this user' } });
+
+  expect(await upvotes()).toBe(1);
+  expect(await database.query('SELECT user_id FROM verifications')).toEqual([{ user_id: citizen.citizenId }]);
+});
@@ -0,0 +1,141 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), run: jest.fn(), get: jest.fn() }));
+
+const database = require('../config/database');
+const workflow = require('../services/workflow');
+
+const report = (status, fields = {}) => ({ id: 'report-1', status, ...fields });
+
+describe('check', () => {
+  beforeEach(() => {
+    database.get.mockReset();
+  });
+
+  test.each([
+    ['reported', 'acknowledged'],
+    ['reported', 'in_progress'],
+    ['acknowledged', 'in_progress'],
+    ['in_progress', 'resolved'],
+    ['resolved', 'closed']
+  ])('allows %s -> %s', async (from, to) => {
+    expect(await workflow.check(report(from), to, { reason: 'Done' })).toBeNull();
+  });
+
+  test.each([
+    ['acknowledged', 'acknowledged'],
+    ['in_progress', 'acknowledged'],
+    ['resolved', 'in_progress'],
+    ['closed', 'resolved'],
+    ['duplicate', 'reported'],
+    ['reported', 'reported']
+  ])('rejects %s -> %s with 409 and the allowed transitions', async (from, to) => {
+    const rejection = await workflow.check(report(from), to);
+
+    expect(rejection.status).toBe(409);
+    expect(rejection.body).toMatchObject({
+      success: false,
+      error: `Illegal transition from ${from} to ${to}`,
+      currentStatus: from,
+      allowedTransitions: workflow.allowedTransitions(from)
+    });
+  });
+
+  test('rejects unknown statuses with 400', async () => {
+    const rejection = await workflow.check(report('reported'), 'archived');
+
+    expect(rejection).toMatchObject({ status: 400, body: { error: 'Invalid status', validStatuses: workflow.statuses } });
+  });
+
+  test('requires a reason to close or reopen', async () => {
+    expect(await workflow.check(report('in_progress'), 'closed')).toMatchObject({
+      status: 400,
+      body: { error: "Transition 'close' requires: reason", required: ['reason'] }
+    });
+    expect(await workflow.check(report('closed'), 'reported')).toMatchObject({
+      status: 400,
+      body: { error: "Transition 'reopen' requires: reason" }
+    });
+    expect(await workflow.check(report('closed'), 'reported', { reason: 'Pothole is back' })).toBeNull();
+  });
+
+  test('requires a live, non-duplicate target to mark a duplicate', async () => {
+    expect(await workflow.check(report('reported'), 'duplicate')).toMatchObject({ status: 400, body: { required: ['duplicate_of'] } });
+    expect(await workflow.check(report('reported'), 'duplicate', { duplicate_of: 'report-1' })).toMatchObject({
+      status: 400,
+      body: { error: 'A report cannot be a duplicate of itself' }
+    });
+
+    database.get.mockResolvedValueOnce(undefined);
+    expect(await workflow.check(report('reported'), 'duplicate', { duplicate_of: 'deleted' })).toMatchObject({
+      status: 400,
+      body: { error: 'Duplicate target report not found' }
+    });
+
+    database.get.mockResolvedValueOnce({ id: 'parent', status: 'duplicate' });
+    expect(await workflow.check(report('reported'), 'duplicate', { duplicate_of: 'parent' })).toMatchObject({
+      status: 400,
+      body: { error: 'Duplicate target is itself a duplicate' }
+    });
+
+    database.get.mockResolvedValueOnce({ id: 'parent', status: 'in_progress' });
+    expect(await workflow.check(report('reported'), 'duplicate', { duplicate_of: 'parent' })).toBeNull();
+  });
+});
+
+describe('statusUpdates', () => {
+  test('stamps the timestamp of the status entered', () => {
+    const { sets, params } = workflow.statusUpdates(report('reported'), 'acknowledged');
+
+    expect(sets).toEqual(['status = ?', 'updated_at = CURRENT_TIMESTAMP', 'acknowledged_at = CURRENT_TIMESTAMP']);
+    expect(params).toEqual(['acknowledged']);
+  });
+
+  test('records the close reason', () => {
+    const { sets, params } = workflow.statusUpdates(report('resolved'), 'closed', { reason: 'Fixed by contractor' });
+
+    expect(sets).toContain('close_reason = ?');
+    expect(params).toEqual(['closed', 'Fixed by contractor']);
+  });
+
+  test('clears resolution, counts the reopen and restarts the SLA on reopen', () => {
+    const { sets, params } = workflow.statusUpdates(report('closed'), 'reported', { reason: 'Pothole is back' });
+
+    expect(params).toEqual(['reported']);
+    expect(sets).toEqual(expect.arrayContaining([
+      'resolved_at = NULL',
+      'closed_at = NULL',
+      'close_reason = NULL',
+      'reopened_at = CURRENT_TIMESTAMP',
+      'reopen_count = COALESCE(reopen_count, 0) + 1',
+      'sla_started_at = CURRENT_TIMESTAMP',
+      'sla_acknowledge_breached_at = NULL',
+      'sla_resolve_breached_at = NULL'
+    ]));
+  });
+});
+
+describe('activity log', () => {
+  beforeEach(() => {
+    database.run.mockReset().mockResolvedValue({});
+  });
+
+  test('logs a reopen as reopened and other transitions as status_updated', async () => {
+    await workflow.logTransition(report('closed'), 'reported', { reason: 'Pothole is back' }, 'official-1');
+    await workflow.logTransition(report('reported'), 'duplicate', { duplicate_of: 'parent' }, 'official-1');
+
+    const [[, reopened], [, duplicate]] = database.run.mock.calls;
+    expect(reopened.slice(0, 3)).toEqual(['report-1', 'official-1', 'reopened']);
+    expect(JSON.parse(reopened[3])).toEqual({
+      transition: 'reopen', from: 'closed', to: 'reported', reason: 'Pothole is back', duplicate_of: null
+    });
+    expect(duplicate[2]).toBe('status_updated');
+    expect(JSON.parse(duplicate[3])).toMatchObject({ transition: 'mark_duplicate', duplicate_of: 'parent' });
+  });
+
+  test('logs rejected attempts with the error', async () => {
+    await workflow.logRejected(report('closed'), 'in_progress', 'official-1', 'Illegal transition from closed to in_progress');
+
+    const [, params] = database.run.mock.calls[0];
+    expect(params.slice(0, 3)).toEqual(['report-1', 'official-1', 'transition_rejected']);
+    expect(JSON.parse(params[3])).toEqual({ from: 'closed', to: 'in_progress', error: 'Illegal transition from closed to in_progress' });
+  });
+});
@@ -4,6 +4,7 @@ import 'dart:convert';
 import 'dart:async';
 import 'package:geolocator/geolocator.dart';
 import 'package:geocoding/geocoding.dart';
+import '../services/device_service.dart';
 // import 'package:url_launcher/url_launcher.dart'; // Not needed for this implementation
 
 class CitizenMapScreen extends StatefulWidget {
@@ -438,10 +439,7 @@ class _CitizenMapScreenState extends State<CitizenMapScreen> {
     try {
       final response = await http.post(
         Uri.parse('$API_BASE_URL/reports/$reportId/$voteType'),
-        headers: {'Content-Type': 'application/json'},
-        body: json.encode({
-          'user_id': 'citizen_${DateTime.now().millisecondsSinceEpoch}',
-        }),
+        headers: await DeviceService.authHeaders(),
       );
 
       if (response.statusCode == 200) {
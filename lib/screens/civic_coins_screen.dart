@@ -80,7 +80,7 @@ class _CivicCoinsScreenState extends State<CivicCoinsScreen> with TickerProvider
 
     if (confirmed == true) {
       try {
-        final result = await CivicCoinsService.redeemVoucher(voucher['id'].toString(), _userId!);
+        final result = await CivicCoinsService.redeemVoucher(voucher['id'].toString());
         
         if (result['success']) {
           ScaffoldMessenger.of(context).showSnackBar(
@@ -1,6 +1,7 @@
 import 'dart:convert';
 import 'package:http/http.dart' as http;
 import 'package:shared_preferences/shared_preferences.dart';
+import 'device_service.dart';
 
 class CivicCoinsService {
   static const String _baseUrl = 'http://10.0.2.2:3000';
@@ -10,7 +11,7 @@ class CivicCoinsService {
     try {
       final response = await http.get(
         Uri.parse('$_baseUrl/api/civic-coins/$userId'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await DeviceService.authHeaders(),
       );
 
       if (response.statusCode == 200) {
@@ -51,13 +52,12 @@ class CivicCoinsService {
     }
   }
 
-  // Redeem a voucher
-  static Future<Map<String, dynamic>> redeemVoucher(String voucherId, String userId) async {
+  // Redeem a voucher with this device's coins
+  static Future<Map<String, dynamic>> redeemVoucher(String voucherId) async {
     try {
       final response = await http.post(
         Uri.parse('$_baseUrl/api/vouchers/$voucherId/redeem'),
-        headers: {'Content-Type': 'application/json'},
-        body: jsonEncode({'userId': userId}),
+        headers: await DeviceService.authHeaders(),
       );
 
       if (response.statusCode == 200) {
@@ -73,8 +73,11 @@ class CivicCoinsService {
     }
   }
 
-  // Get or create user ID (for anonymous users)
+  // Get the citizen ID of this device, or a local ID while it is not registered
   static Future<String> getUserId() async {
+    final citizenId = await DeviceService.getCitizenId();
+    if (citizenId != null) return citizenId;
+
     final prefs = await SharedPreferences.getInstance();
     String? userId = prefs.getString('user_id');
     
@@ -97,7 +100,7 @@ class CivicCoinsService {
     try {
       final response = await http.get(
         Uri.parse('$_baseUrl/api/civic-coins/$userId'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await DeviceService.authHeaders(),
       );
 
       if (response.statusCode == 200) {
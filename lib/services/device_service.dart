@@ -0,0 +1,83 @@
+import 'dart:convert';
+import 'dart:io';
+import 'package:http/http.dart' as http;
+import 'package:shared_preferences/shared_preferences.dart';
+import 'package:uuid/uuid.dart';
+
+/// Registers this install with the backend and keeps its device token.
+/// Reports, votes, civic coins and voucher redemptions are attributed to the
+/// citizen ID the backend returns, so requests for them send the token as
+/// `Authorization: Bearer <token>`.
+class DeviceService {
+  static const String _baseUrl = 'http://10.0.2.2:3000';
+
+  static const String _deviceIdKey = 'device_id';
+  static const String _tokenKey = 'device_token';
+  static const String _citizenIdKey = 'citizen_id';
+
+  // Get the device token, registering the device on first use
+  static Future<String?> getToken() async {
+    final prefs = await SharedPreferences.getInstance();
+    final token = prefs.getString(_tokenKey);
+    if (token != null) return token;
+
+    return _register(prefs);
+  }
+
+  // Citizen ID of this device, or null if it could not be registered yet
+  static Future<String?> getCitizenId() async {
+    final prefs = await SharedPreferences.getInstance();
+    if (prefs.getString(_tokenKey) == null) {
+      await _register(prefs);
+    }
+    return prefs.getString(_citizenIdKey);
+  }
+
+  // Headers for API requests, with the device token when there is one
+  static Future<Map<String, String>> authHeaders({bool json = true}) async {
+    final token = await getToken();
+    return {
+      if (json) 'Content-Type': 'application/json',
+      if (token != null) 'Authorization': 'Bearer $token',
+    };
+  }
+
+  static Future<String?> _register(SharedPreferences prefs) async {
+    try {
+      var response = await _post(prefs, _deviceId(prefs));
+
+      // The device ID was registered by an earlier install whose token is
+      // gone - the backend only rotates a token for its holder, so start over
+      if (response.statusCode == 409) {
+        await prefs.remove(_deviceIdKey);
+        response = await _post(prefs, _deviceId(prefs));
+      }
+
+      if (response.statusCode != 200 && response.statusCode != 201) {
+        print('Error registering device: ${response.body}');
+        return null;
+      }
+
+      final responseData = jsonDecode(response.body);
+      await prefs.setString(_tokenKey, responseData['token']);
+      await prefs.setString(_citizenIdKey, responseData['citizenId']);
+      return responseData['token'];
+    } catch (e) {
+      print('Error registering device: $e');
+      return null;
+    }
+  }
+
+  static Future<http.Response> _post(SharedPreferences prefs, String deviceId) async {
+    await prefs.setString(_deviceIdKey, deviceId);
+    return http.post(
+      Uri.parse('$_baseUrl/api/devices/register'),
+      headers: {'Content-Type': 'application/json'},
+      body: jsonEncode({'device_id': deviceId, 'platform': Platform.operatingSystem}),
+    );
+  }
+
+  static String _deviceId(SharedPreferences prefs) {
+    return prefs.getString(_deviceIdKey) ?? const Uuid().v4();
+  }
+}
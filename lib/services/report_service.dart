@@ -6,7 +6,7 @@ import 'package:uuid/uuid.dart';
 import '../models/civic_issue.dart';
 import 'ai_service.dart';
 import 'location_service.dart';
-import 'civic_coins_service.dart';
+import 'device_service.dart';
 
 class ReportService {
   static const String _baseUrl = 'http://10.0.2.2:3000'; // Android emulator localhost (10.0.2.2 maps to host machine)
@@ -131,9 +131,9 @@ class ReportService {
         'POST',
         Uri.parse('$_baseUrl$_reportsEndpoint'),
       );
-      
-      // Get user ID for civic coins
-      final userId = await CivicCoinsService.getUserId();
+
+      // The report (and its civic coins) belongs to this device's citizen
+      request.headers.addAll(await DeviceService.authHeaders(json: false));
       
       // Add fields
       request.fields['type'] = issue.type.toString().split('.').last;
@@ -143,7 +143,6 @@ class ReportService {
       request.fields['address'] = issue.address;
       request.fields['description'] = issue.description ?? '';
       request.fields['perceptual_hash'] = issue.perceptualHash;
-      request.fields['reporter_id'] = userId;
       
       // Add image file
       final imageFile = File(issue.imagePath);